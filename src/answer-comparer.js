@@ -0,0 +1,137 @@
+/**
+ * Answer Comparer
+ * Finds where answers from different models or lenses agree and where they differ
+ *
+ * Features:
+ * - Statements made by every answer, found by word overlap between sentences
+ * - Overall verdict per answer and whether the verdicts agree
+ * - Claims whose verdict differs between answers
+ *
+ * @class AnswerComparer
+ */
+class AnswerComparer {
+  /**
+   * Compare finished answers
+   * @param {Array<Object|null>} answers - Answers with `content` and optional `verdict`; null for answers that failed or are pending
+   * @returns {Object} `segments` per answer (text pieces flagged `shared`), `verdicts` per answer,
+   *   `verdictsAgree` (null with fewer than two verdicts), `disputedClaims` (Set of claim indices per answer)
+   *   and `sharedCount`, the number of statements the first finished answer has in common with all others
+   */
+  compare(answers) {
+    const sentenceSets = answers.map(answer => answer
+      ? this.splitSegments(answer.content).filter(segment => segment.words).map(segment => segment.words)
+      : null);
+    const finished = sentenceSets.map((sets, index) => index).filter(index => sentenceSets[index]);
+
+    const segments = answers.map((answer, index) => {
+      if (!answer) {
+        return null;
+      }
+      const others = finished.filter(other => other !== index);
+      return this.splitSegments(answer.content).map(segment => ({
+        text: segment.text,
+        shared: Boolean(segment.words) && others.length > 0 && others.every(other =>
+          sentenceSets[other].some(words => this.similarity(segment.words, words) >= SHARED_SENTENCE_SIMILARITY)
+        )
+      }));
+    });
+
+    const verdicts = answers.map(answer => this.getOverallVerdict(answer?.verdict));
+    const given = verdicts.filter(Boolean);
+
+    return {
+      segments,
+      verdicts,
+      verdictsAgree: given.length < 2 ? null : given.every(verdict => verdict === given[0]),
+      disputedClaims: this.findDisputedClaims(answers),
+      sharedCount: finished.length > 1 ? segments[finished[0]].filter(segment => segment.shared).length : 0
+    };
+  }
+
+  /**
+   * Split text into sentences and the whitespace between them
+   * Sentences long enough to compare carry their set of words.
+   * @param {string} content - Answer text
+   * @returns {Array<Object>} Segments with `text` and `words` (Set, or null for separators and short sentences)
+   */
+  splitSegments(content) {
+    const segments = [];
+    const pattern = /[^.!?\n]+(?:[.!?]+|(?=\n)|$)|\s+|[.!?]+/g;
+    let match;
+    while ((match = pattern.exec(content || '')) !== null) {
+      if (!match[0]) {
+        pattern.lastIndex++;
+        continue;
+      }
+      const words = this.getWords(match[0]);
+      segments.push({ text: match[0], words: words.size >= MIN_COMPARED_WORDS ? words : null });
+    }
+    return segments;
+  }
+
+  /**
+   * Get the distinct words of a sentence, ignoring case, punctuation and very short words
+   * @param {string} text - Sentence
+   * @returns {Set<string>} Words
+   */
+  getWords(text) {
+    return new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 2));
+  }
+
+  /**
+   * Word overlap of two sentences (Jaccard index)
+   * @param {Set<string>} a - Words of the first sentence
+   * @param {Set<string>} b - Words of the second sentence
+   * @returns {number} Overlap from 0 to 1
+   */
+  similarity(a, b) {
+    let common = 0;
+    a.forEach(word => {
+      if (b.has(word)) {
+        common++;
+      }
+    });
+    const total = a.size + b.size - common;
+    return total === 0 ? 0 : common / total;
+  }
+
+  /**
+   * Get the most severe verdict of a structured verdict
+   * @param {Object|null} verdict - Verdict from VerdictExtractor
+   * @returns {string|null} Verdict label, or null if the answer has none
+   */
+  getOverallVerdict(verdict) {
+    const labels = (verdict?.claims || []).map(claim => claim.verdict);
+    return CLAIM_VERDICT_SEVERITY.find(label => labels.includes(label)) || null;
+  }
+
+  /**
+   * Find claims that another answer judged differently
+   * Claims are matched across answers by word overlap of the claim text.
+   * @param {Array<Object|null>} answers - Answers with optional `verdict`
+   * @returns {Array<Set<number>>} Indices of disputed claims per answer
+   */
+  findDisputedClaims(answers) {
+    const claimLists = answers.map(answer => (answer?.verdict?.claims || []).map(claim => ({
+      verdict: claim.verdict,
+      words: this.getWords(claim.claim)
+    })));
+
+    return claimLists.map((claims, index) => new Set(claims
+      .map((claim, claimIndex) => claimLists.some((others, otherIndex) =>
+        otherIndex !== index && others.some(other =>
+          other.verdict !== claim.verdict && this.similarity(claim.words, other.words) >= SHARED_CLAIM_SIMILARITY
+        )
+      ) ? claimIndex : -1)
+      .filter(claimIndex => claimIndex !== -1)));
+  }
+}
+
+// Word overlap at which two sentences count as the same statement
+const SHARED_SENTENCE_SIMILARITY = 0.5;
+
+// Word overlap at which two claims count as the same claim
+const SHARED_CLAIM_SIMILARITY = 0.4;
+
+// Sentences with fewer distinct words are too short to compare
+const MIN_COMPARED_WORDS = 4;
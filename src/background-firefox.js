@@ -88,6 +88,9 @@ async function setupContextMenus() {
       contexts: ['selection']
     });
     
+    // Add a "New Chat" entry for each prompt template
+    await addTemplateMenuItems();
+    
     // Add separator
     contextMenus.create({
       id: 'separator',
@@ -103,6 +106,34 @@ async function setupContextMenus() {
   }
 }
 
+// Add prompt templates from settings to context menu
+async function addTemplateMenuItems() {
+  try {
+    const result = await storage.local.get(['settings']);
+    const templates = result.settings?.promptTemplates || [];
+    
+    templates.forEach(template => {
+      if (!template || !template.id || !template.name) {
+        return;
+      }
+      
+      try {
+        const title = `New Chat: ${template.name}`;
+        contextMenus.create({
+          id: `template-${template.id}`,
+          parentId: 'misinfoManager',
+          title: title.length > 40 ? title.substring(0, 40) + '...' : title,
+          contexts: ['selection']
+        });
+      } catch (error) {
+        console.warn(`[Background] Failed to create context menu for template ${template.id}:`, error);
+      }
+    });
+  } catch (error) {
+    console.error('Error adding template menu items:', error);
+  }
+}
+
 // Update context menu with existing chats
 async function updateContextMenuWithChats() {
   try {
@@ -170,7 +201,17 @@ contextMenus.onClicked.addListener(async (info, tab) => {
   if (info.menuItemId === 'newChat') {
     // Open new chat with selected text
     const urlParams = '?action=newChat&text=' + encodeURIComponent(selectedText) +
-      '&source=' + encodeURIComponent(tab.url);
+      '&source=' + encodeURIComponent(tab.url) +
+      '&title=' + encodeURIComponent(tab.title || '');
+    
+    await openOrFocusChatTab(urlParams);
+  } else if (info.menuItemId.startsWith('template-')) {
+    // Open new chat with selected text and a prompt template
+    const templateId = info.menuItemId.replace('template-', '');
+    const urlParams = '?action=newChat&template=' + encodeURIComponent(templateId) +
+      '&text=' + encodeURIComponent(selectedText) +
+      '&source=' + encodeURIComponent(tab.url) +
+      '&title=' + encodeURIComponent(tab.title || '');
     
     await openOrFocusChatTab(urlParams);
   } else if (info.menuItemId.startsWith('chat-')) {
@@ -178,7 +219,8 @@ contextMenus.onClicked.addListener(async (info, tab) => {
     const chatId = info.menuItemId.replace('chat-', '');
     const urlParams = '?action=continueChat&chatId=' + chatId +
       '&text=' + encodeURIComponent(selectedText) +
-      '&source=' + encodeURIComponent(tab.url);
+      '&source=' + encodeURIComponent(tab.url) +
+      '&title=' + encodeURIComponent(tab.title || '');
     
     await openOrFocusChatTab(urlParams);
   }
@@ -189,7 +231,7 @@ let contextMenuUpdateTimeout;
 
 // Listen for storage changes to update context menu
 storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === 'local' && (changes.chatTitles || changes.encryptedChats)) {
+  if (namespace === 'local' && (changes.chatTitles || changes.encryptedChats || changes.settings)) {
     console.log('[Background] Storage changed, updating context menu:', changes);
     
     // Clear existing timeout
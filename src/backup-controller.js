@@ -0,0 +1,305 @@
+/**
+ * Backup Controller
+ * Exports all data to an encrypted backup file and imports one again
+ *
+ * Features:
+ * - Backup modal opened from settings
+ * - Export protected by a backup passphrase
+ * - Import preview listing what merging or replacing would change, applied only when confirmed
+ *
+ * The page reloads after an import, so every component starts from the imported data.
+ *
+ * @class BackupController
+ */
+class BackupController {
+  /**
+   * Initialize backup controller
+   * @param {EventBus} eventBus - Event bus for communication
+   * @param {BackupManager} backupManager - Creates, reads and plans backups
+   * @param {StorageManager} storageManager - Stores imported settings and usage data
+   * @param {ChatController} chatController - Provides and receives the chats
+   * @param {MessageController} messageController - Running requests block an import
+   * @param {UIManager} uiManager - UI manager for modal operations
+   * @constructor
+   */
+  constructor(eventBus, backupManager, storageManager, chatController, messageController, uiManager) {
+    /** @type {EventBus} Event bus instance */
+    this.eventBus = eventBus;
+
+    /** @type {BackupManager} Backup manager instance */
+    this.backupManager = backupManager;
+
+    /** @type {StorageManager} Storage manager instance */
+    this.storageManager = storageManager;
+
+    /** @type {ChatController} Chat controller instance */
+    this.chatController = chatController;
+
+    /** @type {MessageController} Message controller instance */
+    this.messageController = messageController;
+
+    /** @type {UIManager} UI manager instance */
+    this.uiManager = uiManager;
+
+    /** @type {File|null} Backup file picked for import */
+    this.backupFile = null;
+
+    /** @type {Object|null} Decrypted contents of the picked backup */
+    this.backup = null;
+
+    /** @type {Object|null} Import plan shown in the preview */
+    this.plan = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up DOM listeners
+   */
+  setupEventListeners() {
+    const manageBtn = this.uiManager.getElement('manageBackup');
+    const closeBtn = this.uiManager.getElement('closeBackup');
+    const exportBtn = this.uiManager.getElement('exportBackup');
+    const chooseBtn = this.uiManager.getElement('chooseBackupFile');
+    const fileInput = this.uiManager.getElement('backupFile');
+    const modeSelect = this.uiManager.getElement('backupImportMode');
+    const previewBtn = this.uiManager.getElement('previewBackup');
+    const applyBtn = this.uiManager.getElement('applyBackup');
+    const modal = this.uiManager.getElement('backupModal');
+
+    if (!manageBtn || !closeBtn || !exportBtn || !chooseBtn || !fileInput || !modeSelect || !previewBtn || !applyBtn || !modal) {
+      console.error('[BackupController] Backup elements not found');
+      return;
+    }
+
+    manageBtn.onclick = () => this.openBackup();
+    closeBtn.onclick = () => this.closeBackup();
+    modal.onclick = (e) => { if (e.target === modal) this.closeBackup(); };
+    exportBtn.onclick = async () => {
+      await this.exportBackup();
+    };
+    chooseBtn.onclick = () => fileInput.click();
+    fileInput.onchange = () => {
+      this.backupFile = fileInput.files[0] || null;
+      fileInput.value = '';
+      this.uiManager.getElement('backupFileName').textContent = this.backupFile ? this.backupFile.name : 'No file chosen';
+      this.clearPreview();
+    };
+    modeSelect.onchange = async () => {
+      if (this.backup) {
+        await this.previewImport();
+      }
+    };
+    previewBtn.onclick = async () => {
+      await this.previewImport();
+    };
+    applyBtn.onclick = async () => {
+      await this.applyImport();
+    };
+  }
+
+  /**
+   * Open the backup modal
+   */
+  openBackup() {
+    this.uiManager.getElement('backupModal').style.display = 'flex';
+  }
+
+  /**
+   * Close the backup modal and forget the passphrases and the picked backup
+   */
+  closeBackup() {
+    const status = this.uiManager.getElement('backupStatus');
+    this.uiManager.getElement('backupModal').style.display = 'none';
+    ['backupPassphrase', 'backupConfirmPassphrase', 'importBackupPassphrase'].forEach(id => {
+      this.uiManager.getElement(id).value = '';
+    });
+    this.backupFile = null;
+    this.uiManager.getElement('backupFileName').textContent = 'No file chosen';
+    this.clearPreview();
+    status.className = 'settings-status';
+    status.style.display = 'none';
+  }
+
+  /**
+   * Save, load every chat and download the encrypted backup
+   */
+  async exportBackup() {
+    const passphrase = this.uiManager.getElement('backupPassphrase').value;
+    const validation = this.storageManager.validateVaultPassphrase(
+      passphrase,
+      this.uiManager.getElement('backupConfirmPassphrase').value
+    );
+    if (!validation.valid) {
+      this.showStatus(validation.errors.join(' '), 'error');
+      return;
+    }
+
+    this.showStatus('Creating backup...', 'loading');
+    try {
+      if (!(await this.chatController.forceSave())) {
+        this.showStatus('Chats could not be saved, so no backup was made.', 'error');
+        return;
+      }
+      const failed = await this.chatController.loadAllChats();
+      const chats = Array.from(this.chatController.getAllChats().values())
+        .filter(chat => chat.isLoaded)
+        .map(chat => chat.toJSON());
+
+      const json = await this.backupManager.createBackup(chats, passphrase);
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `debunkr-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      this.uiManager.getElement('backupPassphrase').value = '';
+      this.uiManager.getElement('backupConfirmPassphrase').value = '';
+      this.showStatus(
+        `Backup of ${chats.length} chat${chats.length === 1 ? '' : 's'} exported${failed ? `; ${failed} that could not be opened were left out` : ''}`,
+        failed ? 'error' : 'success'
+      );
+    } catch (error) {
+      console.error('[BackupController] Error exporting backup:', error);
+      this.showStatus(`Error creating backup: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Decrypt the picked backup and show what importing it would change
+   */
+  async previewImport() {
+    if (!this.backupFile) {
+      this.showStatus('Choose a backup file first.', 'error');
+      return;
+    }
+
+    this.showStatus('Reading backup...', 'loading');
+    try {
+      if (!this.backup) {
+        this.backup = await this.backupManager.readBackup(
+          await this.backupFile.text(),
+          this.uiManager.getElement('importBackupPassphrase').value
+        );
+      }
+
+      const mode = this.uiManager.getElement('backupImportMode').value;
+      const { plan, failed } = await this.planImport(mode);
+      this.plan = plan;
+      this.renderPreview(plan.summary, mode, failed);
+      this.uiManager.getElement('applyBackup').style.display = 'inline-block';
+      this.showStatus(`Backup from ${this.backup.createdAt ? new Date(this.backup.createdAt).toLocaleString() : 'an unknown date'}`, 'success');
+    } catch (error) {
+      console.error('[BackupController] Error reading backup:', error);
+      this.clearPreview();
+      this.showStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * Plan importing the decrypted backup into the current chats, loading them all first
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Promise<{plan: Object, failed: number}>} Import plan and the number of chats that could not be opened
+   */
+  async planImport(mode) {
+    const failed = await this.chatController.loadAllChats();
+    const allChats = Array.from(this.chatController.getAllChats().values());
+    const plan = this.backupManager.planImport(this.backup, {
+      chats: allChats.filter(chat => chat.isLoaded).map(chat => chat.toJSON()),
+      chatIds: allChats.map(chat => chat.id),
+      settings: await this.storageManager.getSettings(),
+      usageLedger: await this.storageManager.getUsageLedger()
+    }, mode);
+    return { plan, failed };
+  }
+
+  /**
+   * List the changes of an import plan
+   * @param {Object} summary - Counts from the import plan
+   * @param {string} mode - 'merge' or 'replace'
+   * @param {number} failed - Current chats that could not be opened
+   */
+  renderPreview(summary, mode, failed) {
+    const count = (n, word, plural = `${word}s`) => `${n} ${n === 1 ? word : plural}`;
+    const lines = [];
+    if (mode === 'replace') {
+      lines.push(`Deletes all ${count(summary.chatsRemoved, 'chat')} here`);
+      lines.push(`Restores ${count(summary.chatsAdded, 'chat')} with ${count(summary.messagesAdded, 'message')}`);
+      lines.push(`Replaces settings, ${count(summary.templatesAdded, 'template')}, ${count(summary.lensesAdded, 'lens', 'lenses')} and ${count(summary.usageEntriesAdded, 'usage entry', 'usage entries')}`);
+    } else {
+      lines.push(`Adds ${count(summary.chatsAdded, 'new chat')}`);
+      lines.push(`Adds missing messages to ${count(summary.chatsUpdated, 'existing chat')}; ${count(summary.messagesAdded, 'message')} in total${summary.branchesAdded > 0 ? `, ${count(summary.branchesAdded, 'new branch', 'new branches')}` : ''}`);
+      lines.push(`Adds ${count(summary.templatesAdded, 'template')}, ${count(summary.lensesAdded, 'lens', 'lenses')} and ${count(summary.usageEntriesAdded, 'usage entry', 'usage entries')}; other settings stay`);
+    }
+    if (this.backup.skippedChats > 0) {
+      lines.push(`Skips ${count(this.backup.skippedChats, 'damaged chat')} in the backup`);
+    }
+    if (failed > 0) {
+      lines.push(`${count(failed, 'chat')} here could not be opened${mode === 'replace' ? ' and will be deleted' : ' and stay unchanged'}`);
+    }
+
+    const preview = this.uiManager.getElement('backupPreview');
+    preview.innerHTML = lines.map(line => `<li>${this.uiManager.sanitizeInput(line)}</li>`).join('');
+    preview.style.display = 'block';
+  }
+
+  /**
+   * Apply the previewed import and reload
+   * The plan is made again first, so messages sent since the preview are kept.
+   */
+  async applyImport() {
+    if (!this.plan) {
+      return;
+    }
+    // Suggestions aren't worth waiting for, the reload drops them anyway
+    this.messageController.cancelFollowUps();
+    if (this.messageController.isRequestPending()) {
+      this.showStatus('Wait for the running analyses to finish before importing.', 'error');
+      return;
+    }
+    if (this.plan.mode === 'replace' && !confirm('Delete all chats here and restore the backup? This cannot be undone.')) {
+      return;
+    }
+
+    this.showStatus('Importing backup...', 'loading');
+    try {
+      const { plan } = await this.planImport(this.plan.mode);
+      if (!(await this.chatController.importChats(plan.chats, plan.mode === 'replace'))) {
+        this.showStatus('The imported chats could not be saved.', 'error');
+        return;
+      }
+      await this.storageManager.saveSettings(plan.settings);
+      await this.storageManager.saveUsageLedger(plan.usageLedger);
+      console.log(`[BackupController] Imported backup (${plan.mode})`);
+      window.location.reload();
+    } catch (error) {
+      console.error('[BackupController] Error importing backup:', error);
+      this.showStatus(`Error importing backup: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Forget the decrypted backup and hide the preview
+   */
+  clearPreview() {
+    this.backup = null;
+    this.plan = null;
+    this.uiManager.getElement('backupPreview').style.display = 'none';
+    this.uiManager.getElement('applyBackup').style.display = 'none';
+  }
+
+  /**
+   * Show a status line in the modal
+   * @param {string} message - Status text
+   * @param {string} type - 'success', 'error' or 'loading'
+   */
+  showStatus(message, type) {
+    const status = this.uiManager.getElement('backupStatus');
+    status.textContent = message;
+    status.className = `settings-status ${type}`;
+    status.style.display = 'block';
+  }
+}
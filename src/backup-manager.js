@@ -0,0 +1,489 @@
+/**
+ * Backup Manager
+ * Packs all chats and settings into one passphrase-protected file and restores them
+ *
+ * Features:
+ * - Chats with their images and branches, settings (including templates and lenses) and the usage ledger
+ * - AES-GCM encryption with a key derived from the backup passphrase (PBKDF2-SHA256)
+ * - Import by merging, where messages already present are recognised by their ID, or by replacing everything
+ * - Import plans with a summary of what would change, computed before anything is written
+ *
+ * API keys and custom providers are not included, since they belong to the browser they were set up in.
+ *
+ * @class BackupManager
+ */
+class BackupManager {
+  /**
+   * Initialize backup manager
+   * @param {StorageManager} storageManager - Storage manager for settings and the usage ledger
+   * @constructor
+   */
+  constructor(storageManager) {
+    /** @type {StorageManager} Storage manager instance */
+    this.storageManager = storageManager;
+  }
+
+  /**
+   * Create an encrypted backup file
+   * @param {Array<Object>} chats - Loaded chats as plain data (Chat.toJSON())
+   * @param {string} passphrase - Backup passphrase
+   * @returns {Promise<string>} JSON text of the backup file
+   */
+  async createBackup(chats, passphrase) {
+    const payload = {
+      createdAt: new Date().toISOString(),
+      chats,
+      settings: await this.storageManager.getSettings(),
+      usageLedger: await this.storageManager.getUsageLedger()
+    };
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await this.deriveBackupKey(passphrase, salt, BACKUP_KDF_ITERATIONS);
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(payload))
+    );
+
+    console.log(`[BackupManager] Created backup with ${chats.length} chats`);
+    return JSON.stringify({
+      format: BACKUP_FORMAT,
+      createdAt: payload.createdAt,
+      encryption: {
+        cipher: 'AES-GCM',
+        kdf: 'PBKDF2-SHA256',
+        iterations: BACKUP_KDF_ITERATIONS,
+        salt: this.toBase64(salt),
+        iv: this.toBase64(iv)
+      },
+      data: this.toBase64(new Uint8Array(encrypted))
+    });
+  }
+
+  /**
+   * Decrypt a backup file
+   * Chats that can't be rebuilt are dropped and counted in `skippedChats`.
+   * @param {string} json - JSON text of the backup file
+   * @param {string} passphrase - Backup passphrase
+   * @returns {Promise<Object>} Backup contents with `createdAt`, `chats`, `settings`, `usageLedger` and `skippedChats`
+   * @throws {Error} If the file is no backup, or the passphrase is wrong (`error.wrongPassphrase`)
+   */
+  async readBackup(json, passphrase) {
+    let file;
+    try {
+      file = JSON.parse(json);
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
+    }
+    if (file?.format !== BACKUP_FORMAT || !file.encryption || typeof file.data !== 'string') {
+      throw new Error('The file is not a debunkr backup.');
+    }
+
+    let payload;
+    try {
+      const key = await this.deriveBackupKey(passphrase, this.fromBase64(file.encryption.salt), file.encryption.iterations);
+      const decrypted = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(file.encryption.iv) },
+        key,
+        this.fromBase64(file.data)
+      );
+      payload = JSON.parse(new TextDecoder().decode(decrypted));
+    } catch (decryptError) {
+      const error = new Error('Wrong passphrase, or the backup is damaged.');
+      error.wrongPassphrase = true;
+      throw error;
+    }
+
+    const chats = (Array.isArray(payload.chats) ? payload.chats : []).filter(chat => {
+      try {
+        return Number.isInteger(chat.id) && chat.id > 0 && Chat.fromJSON(chat) instanceof Chat;
+      } catch (error) {
+        console.warn(`[BackupManager] Skipping unreadable chat ${chat?.id} in backup:`, error.message);
+        return false;
+      }
+    });
+
+    return {
+      createdAt: payload.createdAt || file.createdAt || null,
+      chats,
+      settings: payload.settings && typeof payload.settings === 'object' ? payload.settings : {},
+      usageLedger: Array.isArray(payload.usageLedger) ? payload.usageLedger : [],
+      skippedChats: (Array.isArray(payload.chats) ? payload.chats.length : 0) - chats.length
+    };
+  }
+
+  /**
+   * Work out what importing a backup would change
+   * Nothing is written; ChatController.importChats and StorageManager apply the plan.
+   * @param {Object} backup - Backup contents from readBackup()
+   * @param {Object} current - Current data
+   * @param {Array<Object>} current.chats - Current chats that could be loaded, as plain data (Chat.toJSON())
+   * @param {Array<number>} current.chatIds - IDs of all current chats, including ones that could not be loaded
+   * @param {Object} current.settings - Current settings
+   * @param {Array<Object>} current.usageLedger - Current usage ledger
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Object} Plan with the `mode`, `chats` to write, `settings`, `usageLedger` and a `summary` of counts
+   */
+  planImport(backup, current, mode) {
+    return mode === 'replace' ? this.planReplace(backup, current) : this.planMerge(backup, current);
+  }
+
+  /**
+   * Plan replacing all chats, settings and usage data with the backup
+   * The active provider stays, since providers are not part of backups.
+   * @private
+   * @param {Object} backup - Backup contents
+   * @param {Object} current - Current data
+   * @returns {Object} Import plan
+   */
+  planReplace(backup, current) {
+    return {
+      mode: 'replace',
+      chats: backup.chats,
+      settings: {
+        ...DEFAULT_SETTINGS,
+        ...backup.settings,
+        activeProviderId: current.settings.activeProviderId
+      },
+      usageLedger: backup.usageLedger,
+      summary: {
+        chatsAdded: backup.chats.length,
+        chatsUpdated: 0,
+        chatsRemoved: current.chatIds.length,
+        messagesAdded: backup.chats.reduce((count, chat) => count + this.getMessageIds(chat).size, 0),
+        templatesAdded: (backup.settings.promptTemplates || []).length,
+        lensesAdded: (backup.settings.customLenses || []).length,
+        usageEntriesAdded: backup.usageLedger.length
+      }
+    };
+  }
+
+  /**
+   * Plan adding the backup to the current data
+   * A backup chat sharing a message ID with a current chat is the same conversation: it is merged
+   * into the current chat branch by branch (see mergeBranches). Other backup chats are added, with
+   * a new ID if theirs is taken. Templates, lenses and usage entries are added if missing; other
+   * settings stay.
+   * @private
+   * @param {Object} backup - Backup contents
+   * @param {Object} current - Current data
+   * @returns {Object} Import plan
+   */
+  planMerge(backup, current) {
+    const chatByMessageId = new Map();
+    const messageIdsByChat = new Map();
+    for (const chat of current.chats) {
+      const ids = this.getMessageIds(chat);
+      messageIdsByChat.set(chat.id, ids);
+      ids.forEach(id => chatByMessageId.set(id, chat));
+    }
+
+    // Match backup chats to current ones and give the others a free ID
+    const takenIds = new Set(current.chatIds);
+    let nextChatId = Math.max(0, ...takenIds, ...backup.chats.map(chat => chat.id)) + 1;
+    const idMap = new Map();
+    const matches = new Map();
+    for (const chat of backup.chats) {
+      const match = [...this.getMessageIds(chat)].map(id => chatByMessageId.get(id)).find(Boolean);
+      if (match) {
+        matches.set(chat.id, match);
+        idMap.set(chat.id, match.id);
+      } else {
+        const id = takenIds.has(chat.id) ? nextChatId++ : chat.id;
+        takenIds.add(id);
+        idMap.set(chat.id, id);
+      }
+    }
+
+    const chats = [];
+    const updated = new Map();
+    let chatsAdded = 0;
+    let messagesAdded = 0;
+    let branchesAdded = 0;
+    for (const chat of backup.chats) {
+      const match = matches.get(chat.id);
+      if (!match) {
+        chats.push(this.remapChatLinks({ ...chat, id: idMap.get(chat.id) }, idMap));
+        chatsAdded++;
+        messagesAdded += this.getMessageIds(chat).size;
+        continue;
+      }
+
+      // Several backup chats can match one current chat, so build on earlier additions
+      const target = updated.get(match.id) || match;
+      const merged = this.mergeBranches(target, this.remapChatLinks(chat, idMap), messageIdsByChat.get(match.id));
+      if (!merged) {
+        continue;
+      }
+      updated.set(match.id, {
+        ...merged.chat,
+        lastActivity: [target.lastActivity, chat.lastActivity].filter(Boolean).sort().pop() || target.lastActivity
+      });
+      messagesAdded += merged.messagesAdded;
+      branchesAdded += merged.branchesAdded;
+    }
+    chats.push(...updated.values());
+
+    const templates = this.mergeById(current.settings.promptTemplates, backup.settings.promptTemplates);
+    const lenses = this.mergeById(current.settings.customLenses, backup.settings.customLenses);
+
+    const entryKey = entry => [entry.timestamp, entry.providerId, entry.model, entry.purpose, entry.totalTokens].join('|');
+    const knownEntries = new Set(current.usageLedger.map(entryKey));
+    const addedEntries = backup.usageLedger
+      .filter(entry => !knownEntries.has(entryKey(entry)))
+      .map(entry => ({ ...entry, chatId: idMap.has(entry.chatId) ? idMap.get(entry.chatId) : null }));
+
+    return {
+      mode: 'merge',
+      chats,
+      settings: {
+        ...current.settings,
+        promptTemplates: templates.merged,
+        customLenses: lenses.merged
+      },
+      usageLedger: [...current.usageLedger, ...addedEntries]
+        .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || '')),
+      summary: {
+        chatsAdded,
+        chatsUpdated: updated.size,
+        chatsRemoved: 0,
+        messagesAdded,
+        branchesAdded,
+        templatesAdded: templates.added,
+        lensesAdded: lenses.added,
+        usageEntriesAdded: addedEntries.length
+      }
+    };
+  }
+
+  /**
+   * Merge the branches of a backup chat into the same conversation in the current data
+   * Each backup branch is compared with the current branch that starts with the most of the same
+   * messages: if it holds nothing more it is skipped, if it continues that branch the missing
+   * messages are appended, and if it goes another way it is added as a new branch forking there.
+   * The active branch stays the same.
+   * @private
+   * @param {Object} target - Current chat as plain data
+   * @param {Object} chat - Matching backup chat as plain data, with links already remapped
+   * @param {Set<string>} knownIds - IDs of the messages in the current chat; added IDs are put in
+   * @returns {Object|null} The merged `chat` with the number of `messagesAdded` and `branchesAdded`,
+   *   or null if the backup chat adds nothing
+   */
+  mergeBranches(target, chat, knownIds) {
+    const activeBranchId = target.activeBranchId || 1;
+    const lines = this.getBranchLines(target).map(line => ({ ...line, messages: [...line.messages] }));
+    let nextBranchId = Math.max(...lines.map(line => line.branch.id)) + 1;
+    let messagesAdded = 0;
+    let branchesAdded = 0;
+
+    for (const incoming of this.getBranchLines(chat)) {
+      let best = lines[0];
+      let shared = -1;
+      for (const line of lines) {
+        let length = 0;
+        while (length < line.messages.length && length < incoming.messages.length
+          && line.messages[length].id === incoming.messages[length].id) {
+          length++;
+        }
+        if (length > shared) {
+          best = line;
+          shared = length;
+        }
+      }
+      if (shared === incoming.messages.length) {
+        continue;
+      }
+
+      incoming.messages.slice(shared).forEach(message => {
+        if (!knownIds.has(message.id)) {
+          knownIds.add(message.id);
+          messagesAdded++;
+        }
+      });
+
+      if (shared === best.messages.length) {
+        best.messages.push(...incoming.messages.slice(shared));
+      } else {
+        lines.push({
+          branch: {
+            id: nextBranchId++,
+            createdAt: incoming.messages[shared]?.timestamp || incoming.branch.createdAt,
+            parentBranchId: best.branch.id,
+            forkIndex: shared,
+            messages: []
+          },
+          messages: incoming.messages
+        });
+        branchesAdded++;
+      }
+    }
+
+    if (messagesAdded === 0 && branchesAdded === 0) {
+      return null;
+    }
+
+    const active = lines.find(line => line.branch.id === activeBranchId);
+    return {
+      chat: {
+        ...target,
+        messages: active.messages,
+        // A chat that was never branched keeps no branch records
+        branches: lines.length > 1
+          ? lines.map(line => ({ ...line.branch, messages: line === active ? [] : line.messages }))
+          : (target.branches || []),
+        activeBranchId
+      },
+      messagesAdded,
+      branchesAdded
+    };
+  }
+
+  /**
+   * List the branches of a chat with their messages
+   * A chat that was never branched has one, made up like the record Chat.branchFromMessage creates.
+   * @private
+   * @param {Object} chat - Chat as plain data
+   * @returns {Array<{branch: Object, messages: Array<Object>}>} Branch records and their messages
+   */
+  getBranchLines(chat) {
+    const activeBranchId = chat.activeBranchId || 1;
+    if (!chat.branches || chat.branches.length === 0) {
+      return [{
+        branch: {
+          id: activeBranchId,
+          createdAt: chat.messages?.[0]?.timestamp || new Date().toISOString(),
+          parentBranchId: null,
+          forkIndex: null,
+          messages: []
+        },
+        messages: chat.messages || []
+      }];
+    }
+    return chat.branches.map(branch => ({
+      branch,
+      messages: branch.id === activeBranchId ? (chat.messages || []) : (branch.messages || [])
+    }));
+  }
+
+  /**
+   * Collect the IDs of all messages of a chat, in every branch
+   * @private
+   * @param {Object} chat - Chat as plain data
+   * @returns {Set<string>} Message IDs
+   */
+  getMessageIds(chat) {
+    const ids = new Set((chat.messages || []).map(message => message.id));
+    (chat.branches || []).forEach(branch => {
+      (branch.messages || []).forEach(message => ids.add(message.id));
+    });
+    return ids;
+  }
+
+  /**
+   * Point parent and claim links of imported chats at the IDs the chats get
+   * Links to chats that are not part of the backup are removed.
+   * @private
+   * @param {Object} chat - Chat, or an object with just `messages`, as plain data
+   * @param {Map<number, number>} idMap - Backup chat ID to imported chat ID
+   * @returns {Object} Copy with the links changed
+   */
+  remapChatLinks(chat, idMap) {
+    const remapMessage = (message) => {
+      if (!Array.isArray(message.metadata?.claims)) {
+        return message;
+      }
+      return {
+        ...message,
+        metadata: {
+          ...message.metadata,
+          claims: message.metadata.claims.map(claim => claim.childChatId
+            ? { ...claim, childChatId: idMap.get(claim.childChatId) || null }
+            : claim)
+        }
+      };
+    };
+
+    const result = { ...chat, messages: (chat.messages || []).map(remapMessage) };
+    if (chat.branches) {
+      result.branches = chat.branches.map(branch => ({ ...branch, messages: (branch.messages || []).map(remapMessage) }));
+    }
+    if (chat.metadata?.parentChatId) {
+      result.metadata = { ...chat.metadata, parentChatId: idMap.get(chat.metadata.parentChatId) || null };
+    }
+    return result;
+  }
+
+  /**
+   * Add the items of a backup list whose ID is missing from the current list
+   * @private
+   * @param {Array<Object>} [current=[]] - Current items with `id`
+   * @param {Array<Object>} [incoming=[]] - Backup items with `id`
+   * @returns {{merged: Array<Object>, added: number}} Combined list and how many items were added
+   */
+  mergeById(current = [], incoming = []) {
+    const ids = new Set(current.map(item => item.id));
+    const added = incoming.filter(item => item && !ids.has(item.id));
+    return { merged: [...current, ...added], added: added.length };
+  }
+
+  /**
+   * Derive the AES-GCM key from the backup passphrase
+   * @private
+   * @param {string} passphrase - Backup passphrase
+   * @param {Uint8Array} salt - Random salt stored in the backup
+   * @param {number} iterations - PBKDF2 iterations stored in the backup
+   * @returns {Promise<CryptoKey>} Backup key
+   */
+  async deriveBackupKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Encode bytes as base64, in chunks so large backups don't overflow the call stack
+   * @private
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string} Base64 text
+   */
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 text
+   * @private
+   * @param {string} text - Base64 text
+   * @returns {Uint8Array} Decoded bytes
+   */
+  fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
+
+// Format name written into backup files
+const BACKUP_FORMAT = 'debunkr-backup-v1';
+
+// PBKDF2-SHA256 iterations for new backups; stored in each file so it can be raised later
+const BACKUP_KDF_ITERATIONS = 600000;
@@ -4,8 +4,10 @@
  * 
  * Features:
  * - Chat creation, loading, and deletion
+ * - Stored chats read and decrypted only when opened
  * - Chat search and filtering
  * - Chat title management
+ * - Child chats analysing single claims, with verdicts rolled up to the parent
  * - Integration with storage and UI through events
  * 
  * @class ChatController
@@ -33,6 +35,23 @@ class ChatController {
     /** @type {number|null} Currently active chat ID */
     this.currentChatId = null;
 
+    /** @type {Object|null} Last deleted message with its chat, branch and position, kept for undo */
+    this.deletedMessage = null;
+
+    /** @type {Map<number, Promise<Chat>>} Chats being read from storage, so each is read once */
+    this.pendingLoads = new Map();
+
+    /** @type {string} Latest search query, to tell whether a search is still showing */
+    this.searchQuery = '';
+
+    // Debounced saves run after saveToStorage has returned, so their errors arrive here
+    this.storageManager.onSaveError = (error) => {
+      this.eventBus.emit(EventTypes.STORAGE_ERROR, {
+        operation: 'save',
+        error: error.message
+      });
+    };
+
     this.setupEventListeners();
   }
 
@@ -125,7 +144,7 @@ class ChatController {
       
       if (needsCleanup && originalChatCount > 0) {
         console.log(`[ChatController] Cleaned up invalid data (${originalChatCount} -> ${this.chats.size} chats), forcing save`);
-        await this.storageManager.forceSave(this.chats, this.nextChatId, this.currentChatId);
+        await this.forceSave();
       }
 
       // Clean up any orphaned chat titles in storage
@@ -193,7 +212,8 @@ class ChatController {
       title: options.title || 'New Chat',
       messages: [],
       lastActivity: new Date().toISOString(),
-      sourceUrl: options.sourceUrl || null
+      sourceUrl: options.sourceUrl || null,
+      metadata: options.metadata || {}
     };
 
     const newChat = new Chat(chatData, this.eventBus);
@@ -217,9 +237,12 @@ class ChatController {
    * Create new chat with pre-filled text from context menu
    * @param {string} text - Text to pre-fill
    * @param {string} source - Source URL
+   * @param {Object} [context] - Page title and prompt template
+   * @param {string|null} [context.pageTitle] - Title of the source page
+   * @param {string|null} [context.templateId] - Template to format the quote with
    * @returns {Chat} Created chat
    */
-  createNewChatWithText(text, source = null) {
+  createNewChatWithText(text, source = null, context = {}) {
     const emptyChatId = this.findEmptyChat();
     let chat;
 
@@ -243,7 +266,12 @@ class ChatController {
     // Emit text pre-fill event
     this.eventBus.emit(EventTypes.UI_UPDATE, {
       type: 'preFillInput',
-      data: { text, source }
+      data: {
+        text,
+        source,
+        pageTitle: context.pageTitle || null,
+        templateId: context.templateId || null
+      }
     });
 
     this.loadChat(chat.id);
@@ -295,10 +323,56 @@ class ChatController {
       preserveQuote: true
     });
 
+    // Stored chats show a loading state until their messages are decrypted
+    if (!chat.isLoaded) {
+      this.ensureChatLoaded(chatId)
+        .catch(() => {})
+        .then(() => {
+          if (this.currentChatId === chatId) {
+            this.eventBus.emit(EventTypes.UI_UPDATE, { type: 'renderMessages', chat: chat });
+            this.eventBus.emit(EventTypes.UI_UPDATE, { type: 'updateChatHeader', chat: chat });
+          }
+        });
+    }
+
     this.saveToStorage();
     return chat;
   }
 
+  /**
+   * Read a chat's messages from storage if only its header is in memory
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Chat|null>} The loaded chat, or null if it doesn't exist
+   * @throws {Error} If the stored chat cannot be read or decrypted; the error is also kept in `chat.loadError`
+   */
+  async ensureChatLoaded(chatId) {
+    const chat = this.chats.get(chatId);
+    if (!chat || chat.isLoaded) {
+      return chat || null;
+    }
+
+    if (!this.pendingLoads.has(chatId)) {
+      const load = this.storageManager.loadChat(chatId)
+        .then(content => {
+          chat.loadContent(content);
+          console.log(`[ChatController] Loaded chat ${chatId} from storage`);
+          return chat;
+        })
+        .catch(error => {
+          console.error(`[ChatController] Error loading chat ${chatId}:`, error);
+          chat.loadError = error.message;
+          this.eventBus.emit(EventTypes.STORAGE_ERROR, {
+            operation: 'loadChat',
+            error: error.message
+          });
+          throw error;
+        })
+        .finally(() => this.pendingLoads.delete(chatId));
+      this.pendingLoads.set(chatId, load);
+    }
+    return this.pendingLoads.get(chatId);
+  }
+
   /**
    * Delete chat by ID
    * @param {number} chatId - Chat ID to delete
@@ -318,6 +392,17 @@ class ChatController {
 
     this.chats.delete(chatId);
 
+    // A deleted claim chat leaves its claim open for a new analysis
+    if (chat.metadata.parentChatId) {
+      this.ensureChatLoaded(chat.metadata.parentChatId)
+        .then(parent => {
+          if (parent) {
+            this.updateClaim(parent, chat.metadata.parentMessageId, chat.metadata.claimId, { childChatId: null, status: null });
+          }
+        })
+        .catch(() => {});
+    }
+
     // If deleted chat was current, load another chat
     if (this.currentChatId === chatId) {
       const remainingChats = Array.from(this.chats.keys());
@@ -391,14 +476,417 @@ class ChatController {
     return true;
   }
 
+  /**
+   * Change the model used for a chat
+   * Adds a marker to the transcript so earlier answers stay attributable
+   * @param {number} chatId - ID of chat to update
+   * @param {string|null} model - Model ID, or empty to use the provider's default
+   * @param {string} [defaultModel] - Provider default, used for the marker label
+   * @returns {boolean} Whether the model changed
+   */
+  setChatModel(chatId, model, defaultModel = null) {
+    const chat = this.chats.get(chatId);
+    if (!chat) {
+      return false;
+    }
+
+    const newModel = model && model.trim() ? model.trim() : null;
+    const previousModel = chat.getModel();
+    if (newModel === previousModel) {
+      return false;
+    }
+
+    chat.metadata = { ...chat.metadata, model: newModel };
+
+    // Nothing to mark in an empty chat; the first message would otherwise become the marker
+    if (!chat.isEmpty()) {
+      chat.addMessage({
+        content: `Model switched to ${newModel || defaultModel || 'provider default'}`,
+        type: 'assistant',
+        metadata: { marker: 'modelSwitch', model: newModel, previousModel }
+      });
+    }
+
+    this.eventBus.emit(EventTypes.CHAT_MODEL_CHANGED, {
+      chatId,
+      previousModel,
+      model: newModel,
+      chat
+    });
+
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+
+    this.saveToStorage();
+    console.log(`[ChatController] Chat ${chatId} model changed from "${previousModel || 'default'}" to "${newModel || 'default'}"`);
+    return true;
+  }
+
+  /**
+   * Show another version of a regenerated response
+   * @param {number} chatId - ID of the chat
+   * @param {string} messageId - ID of the message
+   * @param {number} index - Version index
+   * @returns {boolean} Whether the version was switched
+   */
+  selectMessageVersion(chatId, messageId, index) {
+    const chat = this.chats.get(chatId);
+    if (!chat || chat.getMessage(messageId)?.isLoading || !chat.selectMessageVersion(messageId, index)) {
+      return false;
+    }
+
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+
+    this.saveToStorage();
+    return true;
+  }
+
+  /**
+   * Change the analysis lens used by a chat
+   * Adds a marker to non-empty chats so it is clear which answers used which lens.
+   * @param {number} chatId - Chat ID
+   * @param {string|null} lensId - Lens ID, or null for the default lens
+   * @param {string} lensName - Display name of the lens now in effect, for the marker
+   * @returns {boolean} Whether the lens was changed
+   */
+  setChatLens(chatId, lensId, lensName) {
+    const chat = this.chats.get(chatId);
+    if (!chat) {
+      return false;
+    }
+
+    const newLensId = lensId || null;
+    const previousLensId = chat.getLensId();
+    if (newLensId === previousLensId) {
+      return false;
+    }
+
+    chat.metadata = { ...chat.metadata, lensId: newLensId };
+
+    if (!chat.isEmpty()) {
+      chat.addMessage({
+        content: `Lens switched to ${lensName}`,
+        type: 'assistant',
+        metadata: { marker: 'lensSwitch', lensId: newLensId, previousLensId }
+      });
+    }
+
+    this.eventBus.emit(EventTypes.CHAT_LENS_CHANGED, {
+      chatId,
+      previousLensId,
+      lensId: newLensId,
+      chat
+    });
+
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+
+    this.saveToStorage();
+    console.log(`[ChatController] Chat ${chatId} lens changed from "${previousLensId || 'default'}" to "${newLensId || 'default'}"`);
+    return true;
+  }
+
+  /**
+   * Show and continue another branch of a chat
+   * @param {number} chatId - Chat ID
+   * @param {number} branchId - Branch ID
+   * @returns {boolean} Whether the branch was switched
+   */
+  switchBranch(chatId, branchId) {
+    const chat = this.chats.get(chatId);
+    if (!chat || !chat.switchBranch(branchId)) {
+      return false;
+    }
+
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'updateChatHeader',
+      chat: chat
+    });
+
+    this.saveToStorage();
+    return true;
+  }
+
+  /**
+   * Delete a single message, keeping it around for undo
+   * A summary written from the message is dropped so it is rebuilt without it.
+   * @param {number} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @returns {boolean} Whether the message was deleted
+   */
+  deleteMessage(chatId, messageId) {
+    const chat = this.chats.get(chatId);
+    const message = chat?.getMessage(messageId);
+    if (!message || message.isLoading) {
+      return false;
+    }
+
+    const summary = chat.getSummary();
+    const coveredBySummary = chat.isCoveredBySummary(messageId);
+    const index = chat.getMessages().indexOf(message);
+    chat.removeMessage(messageId);
+    if (coveredBySummary) {
+      chat.setSummary(null);
+    }
+
+    this.deletedMessage = {
+      chatId,
+      branchId: chat.getActiveBranchId(),
+      message,
+      index,
+      summary: coveredBySummary ? summary : null
+    };
+
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'showUndo',
+      text: message.isFromUser() ? 'Message deleted' : 'Answer deleted'
+    });
+
+    console.log(`[ChatController] Deleted message ${messageId} from chat ${chatId}`);
+    return true;
+  }
+
+  /**
+   * Restore the most recently deleted message
+   * @returns {boolean} Whether a message was restored
+   */
+  undoDeleteMessage() {
+    const deleted = this.deletedMessage;
+    this.deletedMessage = null;
+
+    const chat = deleted && this.chats.get(deleted.chatId);
+    if (!chat || chat.getActiveBranchId() !== deleted.branchId || !chat.restoreMessage(deleted.message, deleted.index)) {
+      return false;
+    }
+    if (deleted.summary) {
+      chat.setSummary(deleted.summary);
+    }
+
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+    return true;
+  }
+
+  /**
+   * Forget the deleted message once it can no longer be undone
+   */
+  clearDeletedMessage() {
+    this.deletedMessage = null;
+  }
+
+  /**
+   * Leave a message out of API requests, or include it again
+   * The message stays visible. A summary written from it is dropped so it is rebuilt.
+   * @param {number} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @returns {boolean} Whether the message was changed
+   */
+  toggleMessageContext(chatId, messageId) {
+    const chat = this.chats.get(chatId);
+    const message = chat?.getMessage(messageId);
+    if (!message || message.isLoading) {
+      return false;
+    }
+
+    if (chat.isCoveredBySummary(messageId)) {
+      chat.setSummary(null);
+    }
+    chat.setMessageExcluded(messageId, !message.excludedFromContext);
+
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+
+    this.saveToStorage();
+    return true;
+  }
+
+  /**
+   * Keep one answer of a comparison as the chat's reply
+   * The answer becomes the message content (and its verdict the message verdict), so it is
+   * what later turns see; the other answers stay visible in the comparison. Another answer
+   * can be promoted instead at any time.
+   * @param {number} chatId - Chat ID
+   * @param {string} messageId - ID of the comparison message
+   * @param {number} index - Index of the answer to keep
+   * @returns {boolean} Whether the answer was promoted
+   */
+  promoteComparisonAnswer(chatId, messageId, index) {
+    const chat = this.chats.get(chatId);
+    const message = chat?.getMessage(messageId);
+    const comparison = message?.metadata?.comparison;
+    const variant = comparison?.variants[index];
+    if (!variant || variant.status !== 'done' || message.isLoading) {
+      console.warn(`[ChatController] Cannot promote answer ${index} of message ${messageId}`);
+      return false;
+    }
+
+    if (chat.isCoveredBySummary(messageId)) {
+      chat.setSummary(null);
+    }
+    const { verdict, verdictErrors, ...metadata } = message.metadata;
+    chat.updateMessage(messageId, {
+      content: variant.content,
+      metadata: {
+        ...metadata,
+        comparison: { ...comparison, canonicalIndex: index },
+        ...(variant.verdict ? { verdict: variant.verdict } : {}),
+        ...(variant.verdictErrors ? { verdictErrors: variant.verdictErrors } : {})
+      }
+    });
+    console.log(`[ChatController] Promoted answer ${index} (${variant.label}) of message ${messageId}`);
+
+    if (chat.metadata?.parentChatId) {
+      this.rollUpClaimStatus(chat);
+    }
+
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+
+    this.saveToStorage();
+    return true;
+  }
+
+  /**
+   * Open a child chat that analyses one claim of a split message
+   * If the claim already has a chat, that chat is loaded instead.
+   * @param {number} parentChatId - Chat containing the split message
+   * @param {string} messageId - ID of the split user message
+   * @param {string} claimId - ID of the claim
+   * @returns {Object|null} The new `chat` and the `claim` to send, or null if no chat was created
+   */
+  createClaimChat(parentChatId, messageId, claimId) {
+    const parent = this.chats.get(parentChatId);
+    const claim = parent?.getMessage(messageId)?.metadata?.claims?.find(item => item.id === claimId);
+    if (!claim) {
+      console.warn(`[ChatController] Claim ${claimId} not found in chat ${parentChatId}`);
+      return null;
+    }
+
+    if (claim.childChatId && this.chats.has(claim.childChatId)) {
+      this.loadChat(claim.childChatId);
+      return null;
+    }
+
+    const chat = this.createNewChat({
+      title: `Claim: ${claim.text.length > 40 ? claim.text.substring(0, 40) + '...' : claim.text}`,
+      sourceUrl: parent.sourceUrl,
+      forceNew: true,
+      metadata: {
+        parentChatId,
+        parentMessageId: messageId,
+        parentTitle: parent.title,
+        claimId,
+        model: parent.getModel(),
+        lensId: parent.getLensId()
+      }
+    });
+
+    this.updateClaim(parent, messageId, claimId, { childChatId: chat.id, status: 'pending' });
+    console.log(`[ChatController] Created claim chat ${chat.id} for claim ${claimId} of chat ${parentChatId}`);
+    return { chat, claim };
+  }
+
+  /**
+   * Change one claim in a split message's checklist
+   * @param {Chat} chat - Chat containing the split message
+   * @param {string} messageId - ID of the split message
+   * @param {string} claimId - ID of the claim
+   * @param {Object} updates - Claim fields to change
+   * @returns {boolean} Whether the claim was found and updated
+   */
+  updateClaim(chat, messageId, claimId, updates) {
+    const message = chat.getMessage(messageId);
+    const claims = message?.metadata?.claims;
+    if (!claims || !claims.some(claim => claim.id === claimId)) {
+      console.warn(`[ChatController] Claim ${claimId} not found in chat ${chat.id}; it may be on another branch`);
+      return false;
+    }
+
+    chat.updateMessage(messageId, {
+      metadata: {
+        ...message.metadata,
+        claims: claims.map(claim => claim.id === claimId ? { ...claim, ...updates } : claim)
+      }
+    });
+
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+    this.saveToStorage();
+    return true;
+  }
+
+  /**
+   * Copy a claim chat's latest verdict to its claim in the parent chat
+   * @param {Chat} chat - Claim chat
+   * @returns {Promise<boolean>} Whether the parent claim was updated
+   */
+  async rollUpClaimStatus(chat) {
+    const { parentChatId, parentMessageId, claimId } = chat.metadata;
+    let parent;
+    try {
+      parent = await this.ensureChatLoaded(parentChatId);
+    } catch (error) {
+      return false;
+    }
+    if (!parent) {
+      return false;
+    }
+
+    return this.updateClaim(parent, parentMessageId, claimId, { status: this.getClaimStatus(chat) });
+  }
+
+  /**
+   * Get the status of a claim from its chat's latest answer
+   * With structured verdicts the most severe verdict is used; answers without one count as analysed.
+   * @param {Chat} chat - Claim chat
+   * @returns {string} A verdict label, 'analysed' or 'pending'
+   */
+  getClaimStatus(chat) {
+    const answer = chat.getMessages()
+      .filter(msg => msg.isFromAssistant() && !msg.isMarker() && !msg.isPendingComparison() && !msg.isLoading && !msg.isError && !msg.metadata?.cancelled)
+      .pop();
+    if (!answer) {
+      return 'pending';
+    }
+
+    const verdicts = (answer.metadata?.verdict?.claims || []).map(claim => claim.verdict);
+    return CLAIM_VERDICT_SEVERITY.find(label => verdicts.includes(label)) || 'analysed';
+  }
+
   /**
    * Search chats by title and content
+   * Chats not loaded yet match by title at first; they are loaded in the background and the
+   * search runs again to include their messages.
    * @param {string} query - Search query
    * @returns {Array<Chat>} Matching chats
    */
   searchChats(query) {
     let results;
     let searchTerm;
+    this.searchQuery = query;
 
     if (!query || !query.trim()) {
       results = Array.from(this.chats.values());
@@ -423,6 +911,15 @@ class ChatController {
       totalResults: results.length
     });
 
+    const unloaded = Array.from(this.chats.values()).filter(chat => !chat.isLoaded && !chat.loadError);
+    if (searchTerm && unloaded.length > 0) {
+      Promise.allSettled(unloaded.map(chat => this.ensureChatLoaded(chat.id))).then(loads => {
+        if (this.searchQuery === query && loads.some(load => load.status === 'fulfilled')) {
+          this.searchChats(query);
+        }
+      });
+    }
+
     return results;
   }
 
@@ -443,6 +940,46 @@ class ChatController {
     return this.currentChatId ? this.chats.get(this.currentChatId) : null;
   }
 
+  /**
+   * Load every chat that is only known by its header
+   * @returns {Promise<number>} Number of chats that could not be loaded
+   */
+  async loadAllChats() {
+    let failed = 0;
+    for (const chatId of Array.from(this.chats.keys())) {
+      try {
+        await this.ensureChatLoaded(chatId);
+      } catch (error) {
+        failed++;
+      }
+    }
+    return failed;
+  }
+
+  /**
+   * Put chats from a backup into the chat list and save them
+   * Chats with an ID already in use replace that chat.
+   * @param {Array<Object>} chatsData - Chats as plain data
+   * @param {boolean} replace - Remove all current chats first
+   * @returns {Promise<boolean>} Whether the chats were saved
+   */
+  async importChats(chatsData, replace) {
+    if (replace) {
+      this.chats = new Map();
+    }
+    for (const chatData of chatsData) {
+      this.chats.set(chatData.id, Chat.fromJSON(chatData, this.eventBus));
+    }
+
+    this.nextChatId = Math.max(this.nextChatId, this.calculateNextChatId());
+    if (!this.chats.has(this.currentChatId)) {
+      this.currentChatId = null;
+    }
+
+    console.log(`[ChatController] Imported ${chatsData.length} chats${replace ? ', replacing all others' : ''}`);
+    return this.forceSave();
+  }
+
   /**
    * Get all chats
    * @returns {Map<number, Chat>} All chats
@@ -507,16 +1044,19 @@ class ChatController {
 
   /**
    * Force immediate save to storage
+   * @returns {Promise<boolean>} Whether the save succeeded; failures are also emitted as STORAGE_ERROR
    */
   async forceSave() {
     try {
       await this.storageManager.forceSave(this.chats, this.nextChatId, this.currentChatId);
+      return true;
     } catch (error) {
       console.error('[ChatController] Error force saving:', error);
       this.eventBus.emit(EventTypes.STORAGE_ERROR, {
         operation: 'forceSave',
         error: error.message
       });
+      return false;
     }
   }
 
@@ -551,6 +1091,10 @@ class ChatController {
 
   handleMessageReceived(data) {
     console.log(`[ChatController] Message received in chat ${data.chat?.id}, forcing storage save for context menu sync`);
+
+    if (data.chat?.metadata?.parentChatId) {
+      this.rollUpClaimStatus(data.chat);
+    }
     
     // Force immediate save when messages are received to ensure context menu updates
     this.forceSave();
@@ -642,4 +1186,7 @@ class ChatController {
     
     console.log('[ChatController] Cleanup completed');
   }
-}
\ No newline at end of file
+}
+
+// Verdicts from most to least severe; a claim chat reports the most severe one it found
+const CLAIM_VERDICT_SEVERITY = ['false', 'misleading', 'unverifiable', 'supported'];
@@ -29,6 +29,7 @@ class ChatApplication {
     this.components = {
       iconManager: null,
       storageManager: null,
+      providerManager: null,
       poeClient: null,
       uiManager: null,
       routingController: null,
@@ -128,6 +129,9 @@ class ChatApplication {
       // Set up application-level event listeners
       this.setupApplicationEventListeners();
 
+      // Nothing can be decrypted until a vaulted key is unlocked
+      await this.components.vaultController.waitForUnlock();
+
       // Initialize routing and load initial state
       await this.initializeApplicationState();
 
@@ -163,14 +167,38 @@ class ChatApplication {
     
     // Initialize storage manager
     this.components.storageManager = new StorageManager();
+
+    // Initialize storage schema migrations
+    this.components.schemaMigrator = new SchemaMigrator(this.components.storageManager);
     
+    // Initialize LLM provider configuration
+    this.components.providerManager = new ProviderManager(this.components.storageManager);
+    
+    // Initialize API usage ledger
+    this.components.usageLedger = new UsageLedger(this.components.storageManager);
+
+    // Initialize backup export and import
+    this.components.backupManager = new BackupManager(this.components.storageManager);
+
+    // Initialize analysis lenses
+    this.components.lensManager = new LensManager(this.components.storageManager);
+
+    // Initialize prompt templates
+    this.components.templateManager = new TemplateManager(this.components.storageManager);
+
     // Initialize Poe API client
-    this.components.poeClient = new PoeClient(this.components.storageManager);
+    this.components.poeClient = new PoeClient(
+      this.components.storageManager,
+      this.components.providerManager,
+      this.components.usageLedger
+    );
     
     // Initialize UI manager with event bus and icon manager
     this.components.uiManager = new UIManager();
     this.components.uiManager.eventBus = this.eventBus;
     this.components.uiManager.iconManager = this.components.iconManager;
+    this.components.uiManager.templateManager = this.components.templateManager;
+    this.components.uiManager.answerComparer = new AnswerComparer();
 
     console.log('[ChatApplication] Core components initialized');
   }
@@ -192,7 +220,11 @@ class ChatApplication {
     this.components.messageController = new MessageController(
       this.eventBus,
       this.components.poeClient,
-      this.components.storageManager
+      this.components.storageManager,
+      new ContextBuilder(),
+      this.components.usageLedger,
+      new RequestQueue(),
+      this.components.lensManager
     );
     
     // Initialize settings controller
@@ -200,6 +232,75 @@ class ChatApplication {
       this.eventBus,
       this.components.storageManager,
       this.components.poeClient,
+      this.components.uiManager,
+      this.components.providerManager
+    );
+
+    // Initialize conversation summary controller
+    this.components.summaryController = new SummaryController(
+      this.eventBus,
+      this.components.chatController,
+      this.components.messageController,
+      this.components.uiManager
+    );
+
+    // Initialize API usage controller
+    this.components.usageController = new UsageController(
+      this.eventBus,
+      this.components.usageLedger,
+      this.components.storageManager,
+      this.components.chatController,
+      this.components.uiManager
+    );
+
+    // Initialize analysis lens controller
+    this.components.lensController = new LensController(
+      this.eventBus,
+      this.components.lensManager,
+      this.components.uiManager
+    );
+
+    // Initialize prompt template controller
+    this.components.templateController = new TemplateController(
+      this.eventBus,
+      this.components.templateManager,
+      this.components.uiManager
+    );
+
+    // Initialize answer comparison controller
+    this.components.comparisonController = new ComparisonController(
+      this.eventBus,
+      this.components.chatController,
+      this.components.messageController,
+      this.components.lensManager,
+      this.components.storageManager,
+      this.components.uiManager
+    );
+
+    // Initialize passphrase vault controller
+    this.components.vaultController = new VaultController(
+      this.eventBus,
+      this.components.storageManager,
+      this.components.chatController,
+      this.components.messageController,
+      this.components.uiManager
+    );
+
+    // Initialize recovery controller for undecryptable data and failed saves
+    this.components.recoveryController = new RecoveryController(
+      this.eventBus,
+      this.components.storageManager,
+      this.components.chatController,
+      this.components.uiManager
+    );
+
+    // Initialize backup controller
+    this.components.backupController = new BackupController(
+      this.eventBus,
+      this.components.backupManager,
+      this.components.storageManager,
+      this.components.chatController,
+      this.components.messageController,
       this.components.uiManager
     );
 
@@ -224,6 +325,21 @@ class ChatApplication {
 
     // Handle message events for notifications
     this.eventBus.on(EventTypes.MESSAGE_RECEIVED, this.handleMessageReceived.bind(this));
+    this.eventBus.on(EventTypes.MESSAGE_STREAMING, this.handleMessageStreaming.bind(this));
+    this.eventBus.on(EventTypes.REQUEST_QUEUE_CHANGED, this.handleRequestQueueChanged.bind(this));
+
+    // Provider changes can change the available models
+    this.eventBus.on(EventTypes.SETTINGS_SAVED, () => this.refreshModelOptions());
+
+    // Follow-up suggestions can be switched off
+    this.eventBus.on(EventTypes.SETTINGS_SAVED, () => this.refreshFollowUpSetting());
+
+    // The default lens and custom lenses are listed in the lens picker
+    this.eventBus.on(EventTypes.SETTINGS_SAVED, () => this.refreshLensOptions());
+    this.eventBus.on(EventTypes.LENSES_CHANGED, () => this.refreshLensOptions());
+
+    // Templates are offered above quoted text
+    this.eventBus.on(EventTypes.TEMPLATES_CHANGED, () => this.refreshTemplateOptions());
 
     // Set up DOM event listeners
     this.setupDOMEventListeners();
@@ -323,6 +439,31 @@ class ChatApplication {
       });
     }
 
+    // Per-chat model picker
+    const modelInput = this.components.uiManager.getElement('chatModelInput');
+    if (modelInput) {
+      modelInput.addEventListener('change', () => this.changeChatModel(modelInput.value));
+      modelInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') e.target.blur();
+        if (e.key === 'Escape') {
+          e.target.value = this.components.chatController.getCurrentChat()?.getModel() || '';
+          e.target.blur();
+        }
+      });
+    }
+
+    // Per-chat lens picker
+    const lensSelect = this.components.uiManager.getElement('chatLensSelect');
+    if (lensSelect) {
+      lensSelect.addEventListener('change', () => this.changeChatLens(lensSelect.value));
+    }
+
+    // Branch navigator
+    const branchSelect = this.components.uiManager.getElement('branchSelect');
+    if (branchSelect) {
+      branchSelect.addEventListener('change', () => this.switchBranch(parseInt(branchSelect.value, 10)));
+    }
+
     // Chat item clicks (using event delegation)
     document.addEventListener('click', (e) => {
       this.handleDocumentClick(e);
@@ -339,11 +480,21 @@ class ChatApplication {
       // Parse URL parameters for routing
       const routingData = this.components.routingController.initializeFromURL();
       
-      // Load data from storage
-      const storageData = await this.components.storageManager.loadData();
+      // Migrate and load data from storage; if that fails, don't start fresh over the stored chats
+      let storageData;
+      try {
+        await this.components.schemaMigrator.migrate();
+        storageData = await this.components.storageManager.loadData();
+      } catch (error) {
+        this.components.recoveryController.showLoadError(error);
+        return;
+      }
       
       // Initialize chat controller with storage data
       await this.components.chatController.initializeFromStorage(storageData);
+
+      // Offer recovery for chats moved to the quarantine
+      await this.components.recoveryController.checkQuarantine();
       
       // Process routing decision
       await this.processRoutingDecision(routingData, storageData);
@@ -351,6 +502,12 @@ class ChatApplication {
       // Set up sidebar state
       this.initializeSidebarState();
 
+      // Fill the model, lens and template pickers without delaying startup
+      this.refreshModelOptions();
+      this.refreshLensOptions();
+      this.refreshTemplateOptions();
+      this.refreshFollowUpSetting();
+
       console.log('[ChatApplication] Application state initialized');
 
     } catch (error) {
@@ -374,7 +531,8 @@ class ChatApplication {
       case 'createNewChatWithText':
         this.components.chatController.createNewChatWithText(
           decision.data.text,
-          decision.data.source
+          decision.data.source,
+          { pageTitle: decision.data.pageTitle, templateId: decision.data.templateId }
         );
         break;
 
@@ -426,13 +584,8 @@ class ChatApplication {
     }, 100);
   }
 
-  sendMessage() {
+  async sendMessage() {
     console.log('[ChatApplication] sendMessage called');
-    
-    if (this.components.messageController.isRequestPending()) {
-      console.log('[ChatApplication] Message controller request pending');
-      return;
-    }
 
     const messageWithImages = this.components.uiManager.getMessageWithImages();
     
@@ -449,6 +602,13 @@ class ChatApplication {
     }
 
     const chatToUse = currentChat || this.components.chatController.getCurrentChat();
+
+    // A chat opened a moment ago may still be decrypting
+    try {
+      await this.components.chatController.ensureChatLoaded(chatToUse.id);
+    } catch (error) {
+      return;
+    }
     
     this.components.messageController.sendMessage(
       chatToUse,
@@ -496,6 +656,201 @@ class ChatApplication {
    * @param {Event} e - Click event
    */
   handleDocumentClick(e) {
+    // Handle stopping an in-flight analysis
+    if (e.target.closest('.stop-message-btn')) {
+      e.stopPropagation();
+      const stopBtn = e.target.closest('.stop-message-btn');
+      stopBtn.disabled = true;
+      this.components.messageController.cancelRequest(stopBtn.dataset.messageId);
+      return;
+    }
+
+    // Handle replacing a cached answer with a fresh one
+    if (e.target.closest('.fresh-answer-btn')) {
+      e.stopPropagation();
+      const freshBtn = e.target.closest('.fresh-answer-btn');
+      freshBtn.disabled = true;
+      this.components.messageController.requestFreshResponse(
+        this.components.chatController.getCurrentChat(),
+        freshBtn.dataset.messageId
+      );
+      return;
+    }
+
+    // Handle regenerating an answer
+    if (e.target.closest('.regenerate-message-btn')) {
+      e.stopPropagation();
+      const regenerateBtn = e.target.closest('.regenerate-message-btn');
+      regenerateBtn.disabled = true;
+      this.components.messageController.regenerateResponse(
+        this.components.chatController.getCurrentChat(),
+        regenerateBtn.dataset.messageId
+      );
+      return;
+    }
+
+    // Handle retrying a failed turn
+    if (e.target.closest('.retry-message-btn')) {
+      e.stopPropagation();
+      const retryBtn = e.target.closest('.retry-message-btn');
+      retryBtn.disabled = true;
+      this.components.messageController.retryFailedTurn(
+        this.components.chatController.getCurrentChat(),
+        retryBtn.dataset.messageId
+      );
+      return;
+    }
+
+    // Handle copying a structured verdict
+    if (e.target.closest('.copy-verdict-btn')) {
+      e.stopPropagation();
+      const copyBtn = e.target.closest('.copy-verdict-btn');
+      this.components.messageController.copyVerdictToClipboard(
+        copyBtn.dataset.messageId,
+        this.components.chatController.getCurrentChat()
+      ).then(copied => {
+        copyBtn.textContent = copied ? 'Copied' : 'Copy failed';
+        setTimeout(() => { copyBtn.textContent = 'Copy JSON'; }, 2000);
+      });
+      return;
+    }
+
+    // Handle sending a suggested follow-up question
+    if (e.target.closest('.follow-up-chip')) {
+      e.stopPropagation();
+      const chip = e.target.closest('.follow-up-chip');
+      const currentChat = this.components.chatController.getCurrentChat();
+      const question = currentChat?.getMessage(chip.dataset.messageId)?.metadata?.followUps?.[parseInt(chip.dataset.index, 10)];
+      if (question && !this.components.messageController.isRequestPending(currentChat.id)) {
+        chip.disabled = true;
+        this.components.messageController.sendMessage(currentChat, question, []);
+      }
+      return;
+    }
+
+    // Handle keeping one answer of a comparison
+    if (e.target.closest('.promote-answer-btn')) {
+      e.stopPropagation();
+      const promoteBtn = e.target.closest('.promote-answer-btn');
+      const currentChat = this.components.chatController.getCurrentChat();
+      if (currentChat) {
+        this.components.chatController.promoteComparisonAnswer(
+          currentChat.id,
+          promoteBtn.dataset.messageId,
+          parseInt(promoteBtn.dataset.index, 10)
+        );
+      }
+      return;
+    }
+
+    // Handle splitting a message into claims
+    if (e.target.closest('.split-claims-btn')) {
+      e.stopPropagation();
+      const splitBtn = e.target.closest('.split-claims-btn');
+      splitBtn.disabled = true;
+      this.components.messageController.splitClaims(
+        this.components.chatController.getCurrentChat(),
+        splitBtn.dataset.messageId
+      );
+      return;
+    }
+
+    // Handle analysing a claim in its own chat
+    if (e.target.closest('.analyse-claim-btn')) {
+      e.stopPropagation();
+      const analyseBtn = e.target.closest('.analyse-claim-btn');
+      analyseBtn.disabled = true;
+      this.analyseClaim(analyseBtn.dataset.messageId, analyseBtn.dataset.claimId);
+      return;
+    }
+
+    // Handle moving between a claim chat and its parent
+    if (e.target.closest('.open-claim-chat-btn, .open-parent-chat-btn')) {
+      e.stopPropagation();
+      const chatId = parseInt(e.target.closest('.open-claim-chat-btn, .open-parent-chat-btn').dataset.chatId, 10);
+      if (!this.components.chatController.loadChat(chatId)) {
+        console.warn(`[ChatApplication] Linked chat ${chatId} no longer exists`);
+      }
+      return;
+    }
+
+    // Handle paging between answer versions
+    if (e.target.closest('.version-btn')) {
+      e.stopPropagation();
+      const versionBtn = e.target.closest('.version-btn');
+      const currentChat = this.components.chatController.getCurrentChat();
+      if (currentChat) {
+        this.components.chatController.selectMessageVersion(
+          currentChat.id,
+          versionBtn.dataset.messageId,
+          parseInt(versionBtn.dataset.versionIndex, 10)
+        );
+      }
+      return;
+    }
+
+    // Handle editing a user message
+    if (e.target.closest('.edit-message-btn')) {
+      e.stopPropagation();
+      const messageId = e.target.closest('.edit-message-btn').dataset.messageId;
+      const message = this.components.chatController.getCurrentChat()?.getMessage(messageId);
+      if (message) {
+        this.components.uiManager.startMessageEdit(messageId, message.content);
+      }
+      return;
+    }
+
+    // Handle saving an edited message as a new branch
+    if (e.target.closest('.message-edit-save')) {
+      e.stopPropagation();
+      const saveBtn = e.target.closest('.message-edit-save');
+      const currentChat = this.components.chatController.getCurrentChat();
+      const content = this.components.uiManager.getMessageEditValue(saveBtn.dataset.messageId);
+      saveBtn.disabled = true;
+      this.components.messageController.editMessage(currentChat, saveBtn.dataset.messageId, content)
+        .then(branched => {
+          if (!branched) {
+            this.components.uiManager.renderMessages(currentChat);
+          }
+        });
+      return;
+    }
+
+    // Handle cancelling an edit
+    if (e.target.closest('.message-edit-cancel')) {
+      e.stopPropagation();
+      this.components.uiManager.renderMessages(this.components.chatController.getCurrentChat());
+      return;
+    }
+
+    // Handle deleting a message
+    if (e.target.closest('.delete-message-btn')) {
+      e.stopPropagation();
+      const currentChat = this.components.chatController.getCurrentChat();
+      if (currentChat) {
+        this.components.chatController.deleteMessage(currentChat.id, e.target.closest('.delete-message-btn').dataset.messageId);
+      }
+      return;
+    }
+
+    // Handle restoring the last deleted message
+    if (e.target.closest('#undoDelete')) {
+      e.stopPropagation();
+      this.components.uiManager.hideUndoBar();
+      this.components.chatController.undoDeleteMessage();
+      return;
+    }
+
+    // Handle leaving a message out of (or back into) the context
+    if (e.target.closest('.context-toggle-btn')) {
+      e.stopPropagation();
+      const currentChat = this.components.chatController.getCurrentChat();
+      if (currentChat) {
+        this.components.chatController.toggleMessageContext(currentChat.id, e.target.closest('.context-toggle-btn').dataset.messageId);
+      }
+      return;
+    }
+
     // Handle chat rename
     if (e.target.closest('.rename-btn')) {
       e.stopPropagation();
@@ -531,12 +886,16 @@ class ChatApplication {
     elements.selectorItems.forEach(item => {
       item.addEventListener('click', () => {
         const chatId = parseInt(item.dataset.chatId);
-        this.continueChatFromContext({ chatId, text: data.text, source: data.source });
+        this.continueChatFromContext({ ...data, chatId });
       });
     });
     
     elements.createNewBtn.addEventListener('click', () => {
-      this.components.chatController.createNewChatWithText(data.text, data.source);
+      this.components.chatController.createNewChatWithText(
+        data.text,
+        data.source,
+        { pageTitle: data.pageTitle, templateId: data.templateId }
+      );
     });
   }
 
@@ -551,7 +910,12 @@ class ChatApplication {
     // Pre-fill input
     this.eventBus.emit(EventTypes.UI_UPDATE, {
       type: 'preFillInput',
-      data: { text: data.text, source: data.source }
+      data: {
+        text: data.text,
+        source: data.source,
+        pageTitle: data.pageTitle,
+        templateId: data.templateId
+      }
     });
   }
 
@@ -575,6 +939,10 @@ class ChatApplication {
   handleUIUpdate(data) {
     switch (data.type) {
       case 'renderMessages':
+        // Chats answering in the background must not replace the visible chat
+        if (data.chat && data.chat.id !== this.components.chatController.getCurrentChat()?.id) {
+          break;
+        }
         this.components.uiManager.renderMessages(data.chat);
         // Re-setup welcome message listeners after rendering
         this.components.uiManager.setupWelcomeMessageListeners();
@@ -585,6 +953,9 @@ class ChatApplication {
       case 'updateChatHeader':
         this.updateChatHeader(data.chat);
         break;
+      case 'showUndo':
+        this.components.uiManager.showUndoBar(data.text, () => this.components.chatController.clearDeletedMessage());
+        break;
       case 'preFillInput':
         this.preFillInput(data.data);
         break;
@@ -668,8 +1039,138 @@ class ChatApplication {
     }
   }
 
+  /**
+   * Load the active provider's models into the model picker
+   * Falls back to manual entry when the provider has no /models endpoint
+   */
+  async refreshModelOptions() {
+    try {
+      const provider = await this.components.poeClient.getCachedProvider();
+      const models = await this.components.poeClient.listModels();
+      this.components.uiManager.setModelOptions(models, provider.model);
+    } catch (error) {
+      console.warn('[ChatApplication] Could not load model list:', error);
+    }
+  }
+
+  /**
+   * Apply the model picked in the chat header to the current chat
+   * @param {string} model - Model ID, empty for the provider default
+   */
+  async changeChatModel(model) {
+    const chat = this.components.chatController.getCurrentChat();
+    if (!chat) {
+      return;
+    }
+
+    const provider = await this.components.poeClient.getCachedProvider();
+    this.components.chatController.setChatModel(chat.id, model, provider.model);
+  }
+
+  /**
+   * Show or hide follow-up suggestions as set in the settings
+   */
+  async refreshFollowUpSetting() {
+    try {
+      const settings = await this.components.storageManager.getSettings();
+      const show = Boolean(settings.followUpSuggestions);
+      if (show !== this.components.uiManager.showFollowUps) {
+        this.components.uiManager.showFollowUps = show;
+        this.components.uiManager.renderMessages(this.components.chatController.getCurrentChat());
+      }
+    } catch (error) {
+      console.warn('[ChatApplication] Could not load follow-up setting:', error);
+    }
+  }
+
+  /**
+   * Load the lenses into the lens picker
+   */
+  async refreshLensOptions() {
+    try {
+      const lenses = await this.components.lensManager.getLenses();
+      const defaultLens = await this.components.lensManager.getDefaultLens(lenses);
+      const chat = this.components.chatController.getCurrentChat();
+      this.components.uiManager.setLensOptions(lenses, defaultLens, chat ? chat.getLensId() : null);
+    } catch (error) {
+      console.warn('[ChatApplication] Could not load lenses:', error);
+    }
+  }
+
+  /**
+   * Analyse one claim of a split message in a child chat
+   * The claim is sent right away; its verdict rolls up to the parent chat when answered.
+   * @param {string} messageId - ID of the split message in the current chat
+   * @param {string} claimId - ID of the claim
+   */
+  async analyseClaim(messageId, claimId) {
+    const parent = this.components.chatController.getCurrentChat();
+    if (!parent) {
+      return;
+    }
+
+    const created = this.components.chatController.createClaimChat(parent.id, messageId, claimId);
+    if (!created) {
+      return;
+    }
+
+    const source = parent.sourceUrl ? ` from ${this.components.chatController.extractDomainFromUrl(parent.sourceUrl)}` : '';
+    await this.components.messageController.sendMessage(
+      created.chat,
+      `"${created.claim.text}"\n\nCheck this claim on its own. It is one of several claims in a longer text${source}.`
+    );
+  }
+
+  /**
+   * Load the prompt templates into the quote template picker
+   */
+  async refreshTemplateOptions() {
+    try {
+      const templates = await this.components.templateManager.getTemplates();
+      this.components.uiManager.setTemplateOptions(templates);
+    } catch (error) {
+      console.warn('[ChatApplication] Could not load prompt templates:', error);
+    }
+  }
+
+  /**
+   * Apply the lens picked in the chat header to the current chat
+   * @param {string} lensId - Lens ID, empty for the default lens
+   */
+  async changeChatLens(lensId) {
+    const chat = this.components.chatController.getCurrentChat();
+    if (!chat) {
+      return;
+    }
+
+    const lens = await this.components.lensManager.resolveLens(lensId || null);
+    this.components.chatController.setChatLens(chat.id, lensId || null, lensId ? lens.name : `default (${lens.name})`);
+  }
+
+  /**
+   * Switch the current chat to another branch
+   * Refused while the chat is waiting for an answer, since it belongs to the active branch.
+   * @param {number} branchId - Branch ID
+   */
+  switchBranch(branchId) {
+    const chat = this.components.chatController.getCurrentChat();
+    if (!chat) {
+      return;
+    }
+
+    if (this.components.messageController.isRequestPending(chat.id)) {
+      console.warn('[ChatApplication] Cannot switch branches while an answer is pending');
+      this.components.uiManager.updateBranchSelect(chat);
+      return;
+    }
+
+    // Suggestions are for the answer being switched away from
+    this.components.messageController.cancelFollowUps(chat.id);
+    this.components.chatController.switchBranch(chat.id, branchId);
+  }
+
   preFillInput(data) {
-    this.components.uiManager.showInputQuote(data.text, data.source);
+    this.components.uiManager.showInputQuote(data.text, data.source, data.pageTitle, data.templateId);
     this.components.uiManager.focusInput();
     this.components.uiManager.updateSendButton();
     this.components.routingController.clearPendingData();
@@ -792,6 +1293,25 @@ class ChatApplication {
     }
   }
 
+  /**
+   * Handle streamed chunks by updating the visible message in place
+   * @param {Object} data - Streaming event data
+   */
+  handleMessageStreaming(data) {
+    const currentChat = this.components.chatController.getCurrentChat();
+    if (currentChat && data.chat && currentChat.id === data.chat.id) {
+      this.components.uiManager.updateStreamingMessage(data.messageId, data.content);
+    }
+  }
+
+  /**
+   * Mark chats with running or queued requests in the sidebar
+   * @param {Object} data - Queue event data with `busyChatIds`
+   */
+  handleRequestQueueChanged(data) {
+    this.components.uiManager.setBusyChats(data.busyChatIds);
+  }
+
   /**
    * Start tab notification (blinking favicon and title)
    */
@@ -0,0 +1,213 @@
+/**
+ * Chat Store
+ * IndexedDB database holding one record per chat and one per image
+ *
+ * Features:
+ * - Chat headers (title, activity, preview) kept apart from message bodies,
+ *   so the chat list loads without reading every conversation
+ * - Images stored as their own records, referenced from messages by ID
+ * - All changes of one save written in a single transaction
+ * - Quarantine for records that could not be decrypted, kept for recovery or export
+ * - Snapshots of all chat data, taken before storage migrations so they can be rolled back
+ *
+ * Records only hold ciphertext; StorageManager encrypts and decrypts them.
+ *
+ * @class ChatStore
+ */
+class ChatStore {
+  /**
+   * Initialize the chat store
+   * @param {string} [name=CHAT_STORE_NAME] - Name of the IndexedDB database
+   * @constructor
+   */
+  constructor(name = CHAT_STORE_NAME) {
+    /** @type {string} Database name */
+    this.name = name;
+
+    /** @type {Promise<IDBDatabase>|null} Open database, shared by all operations */
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating its object stores on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   * @throws {Error} If IndexedDB is unavailable or the database cannot be opened
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, CHAT_STORE_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('headers')) {
+            db.createObjectStore('headers', { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains('bodies')) {
+            db.createObjectStore('bodies', { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains('images')) {
+            const images = db.createObjectStore('images', { keyPath: 'id' });
+            images.createIndex('chatId', 'chatId', { unique: false });
+          }
+          if (!db.objectStoreNames.contains('quarantine')) {
+            db.createObjectStore('quarantine', { keyPath: 'id', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains('snapshots')) {
+            db.createObjectStore('snapshots', { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Let the next call try again instead of repeating the failure
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Read one record
+   * @param {string} storeName - Store name from CHAT_STORE_NAMES
+   * @param {number|string} key - Record ID
+   * @returns {Promise<Object|undefined>} The record, or undefined if there is none
+   */
+  async get(storeName, key) {
+    const db = await this.open();
+    return this.toPromise(db.transaction(storeName).objectStore(storeName).get(key));
+  }
+
+  /**
+   * Read every record of a store
+   * @param {string} storeName - Store name from CHAT_STORE_NAMES
+   * @returns {Promise<Array<Object>>} All records
+   */
+  async getAll(storeName) {
+    const db = await this.open();
+    return this.toPromise(db.transaction(storeName).objectStore(storeName).getAll());
+  }
+
+  /**
+   * Read the images of one chat
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Array<Object>>} Image records of the chat
+   */
+  async getChatImages(chatId) {
+    const db = await this.open();
+    return this.toPromise(db.transaction('images').objectStore('images').index('chatId').getAll(chatId));
+  }
+
+  /**
+   * Apply changes in one transaction, so a save is written completely or not at all
+   * @param {Array<Object>} operations - `{ type: 'put', store, value }`, `{ type: 'delete', store, key }`
+   *   or `{ type: 'deleteChatImages', chatId }`
+   * @returns {Promise<void>} Resolves when the transaction has committed
+   */
+  async write(operations) {
+    if (operations.length === 0) {
+      return;
+    }
+
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(CHAT_STORE_NAMES, 'readwrite');
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Chat store transaction aborted'));
+
+      for (const operation of operations) {
+        if (operation.type === 'put') {
+          transaction.objectStore(operation.store).put(operation.value);
+        } else if (operation.type === 'delete') {
+          transaction.objectStore(operation.store).delete(operation.key);
+        } else if (operation.type === 'deleteChatImages') {
+          const cursorRequest = transaction.objectStore('images').index('chatId').openCursor(IDBKeyRange.only(operation.chatId));
+          cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+              cursor.delete();
+              cursor.continue();
+            }
+          };
+        }
+      }
+    });
+  }
+
+  /**
+   * Read every record of several stores in one transaction, so they fit together
+   * @param {Array<string>} storeNames - Stores to read
+   * @returns {Promise<Object>} Arrays of records keyed by store name
+   */
+  async getStores(storeNames) {
+    const db = await this.open();
+    const transaction = db.transaction(storeNames);
+    const records = await Promise.all(storeNames.map(storeName => this.toPromise(transaction.objectStore(storeName).getAll())));
+    return Object.fromEntries(storeNames.map((storeName, index) => [storeName, records[index]]));
+  }
+
+  /**
+   * Replace the contents of several stores in one transaction
+   * @param {Object} records - Arrays of records keyed by store name; each listed store is emptied first
+   * @returns {Promise<void>} Resolves when the transaction has committed
+   */
+  async replaceStores(records) {
+    const storeNames = Object.keys(records);
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, 'readwrite');
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Chat store transaction aborted'));
+
+      for (const storeName of storeNames) {
+        const store = transaction.objectStore(storeName);
+        store.clear();
+        records[storeName].forEach(record => store.put(record));
+      }
+    });
+  }
+
+  /**
+   * Delete every record of the given stores
+   * @param {Array<string>} [storeNames=CHAT_STORE_NAMES] - Stores to empty
+   * @returns {Promise<void>}
+   */
+  async clear(storeNames = CHAT_STORE_NAMES) {
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, 'readwrite');
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      storeNames.forEach(storeName => transaction.objectStore(storeName).clear());
+    });
+  }
+
+  /**
+   * Wrap an IndexedDB request in a promise
+   * @private
+   * @param {IDBRequest} request - Pending request
+   * @returns {Promise<any>} Request result
+   */
+  toPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+// IndexedDB database holding the chats
+const CHAT_STORE_NAME = 'debunkr-chats';
+
+// Version of the object store layout; raise it when stores or indexes change
+const CHAT_STORE_VERSION = 3;
+
+// Object stores holding chat data, which migration snapshots copy
+const CHAT_DATA_STORE_NAMES = ['headers', 'bodies', 'images', 'quarantine'];
+
+// Object stores of the database
+const CHAT_STORE_NAMES = [...CHAT_DATA_STORE_NAMES, 'snapshots'];
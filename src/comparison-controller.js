@@ -0,0 +1,260 @@
+/**
+ * Comparison Controller
+ * Lets the user send one message to several models or lenses and compare the answers
+ *
+ * Features:
+ * - Compare button next to the send button
+ * - Modal to pick two or three model and lens combinations
+ * - Last used combinations remembered in settings
+ *
+ * @class ComparisonController
+ */
+class ComparisonController {
+  /**
+   * Initialize comparison controller
+   * @param {EventBus} eventBus - Event bus for communication
+   * @param {ChatController} chatController - Chat controller for the current chat
+   * @param {MessageController} messageController - Sends the comparison requests
+   * @param {LensManager} lensManager - Lenses offered for each answer
+   * @param {StorageManager} storageManager - Storage manager for the remembered combinations
+   * @param {UIManager} uiManager - UI manager for modal operations
+   * @constructor
+   */
+  constructor(eventBus, chatController, messageController, lensManager, storageManager, uiManager) {
+    /** @type {EventBus} Event bus instance */
+    this.eventBus = eventBus;
+
+    /** @type {ChatController} Chat controller instance */
+    this.chatController = chatController;
+
+    /** @type {MessageController} Message controller instance */
+    this.messageController = messageController;
+
+    /** @type {LensManager} Lens manager instance */
+    this.lensManager = lensManager;
+
+    /** @type {StorageManager} Storage manager instance */
+    this.storageManager = storageManager;
+
+    /** @type {UIManager} UI manager instance */
+    this.uiManager = uiManager;
+
+    /** @type {Array<Object>} Lenses listed in the modal */
+    this.lenses = [];
+
+    /** @type {Object|null} Lens of the current chat, used by rows without a lens of their own */
+    this.chatLens = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up DOM listeners
+   */
+  setupEventListeners() {
+    const compareBtn = this.uiManager.getElement('compareButton');
+    const closeBtn = this.uiManager.getElement('closeCompare');
+    const startBtn = this.uiManager.getElement('startCompare');
+    const modal = this.uiManager.getElement('compareModal');
+
+    if (!compareBtn || !closeBtn || !startBtn || !modal) {
+      console.error('[ComparisonController] Comparison elements not found');
+      return;
+    }
+
+    compareBtn.onclick = async () => {
+      await this.openCompare();
+    };
+    closeBtn.onclick = () => this.closeCompare();
+    modal.onclick = (e) => { if (e.target === modal) this.closeCompare(); };
+    startBtn.onclick = async () => {
+      await this.startComparison();
+    };
+  }
+
+  /**
+   * Open the comparison modal with the last used combinations
+   */
+  async openCompare() {
+    const chat = this.chatController.getCurrentChat();
+    if (!chat) {
+      return;
+    }
+
+    this.uiManager.getElement('compareModal').style.display = 'flex';
+    if (this.messageController.isRequestPending(chat.id)) {
+      this.showStatus('Wait for the current analysis in this chat to finish.', 'error');
+    }
+
+    try {
+      const settings = await this.storageManager.getSettings();
+      this.lenses = await this.lensManager.getLenses();
+      this.chatLens = await this.lensManager.resolveLens(chat.getLensId());
+      this.renderVariantRows(settings.comparisonVariants || [], chat, this.chatLens);
+    } catch (error) {
+      console.error('[ComparisonController] Error loading comparison options:', error);
+      this.showStatus('Error loading models and lenses', 'error');
+    }
+  }
+
+  /**
+   * Close the comparison modal
+   */
+  closeCompare() {
+    const status = this.uiManager.getElement('compareStatus');
+    this.uiManager.getElement('compareModal').style.display = 'none';
+    status.className = 'settings-status';
+    status.style.display = 'none';
+  }
+
+  /**
+   * Show one row per possible answer
+   * Without saved combinations the first two rows start out enabled with the chat's own model and lens.
+   * @param {Array<Object>} saved - Combinations from settings with `enabled`, `model` and `lensId`
+   * @param {Chat} chat - Current chat
+   * @param {Object} chatLens - Lens the chat uses
+   */
+  renderVariantRows(saved, chat, chatLens) {
+    const container = this.uiManager.getElement('compareVariants');
+    const rows = Array.from({ length: MAX_COMPARED_ANSWERS }, (unused, index) => saved[index] || {
+      enabled: index < 2,
+      model: '',
+      lensId: ''
+    });
+
+    container.innerHTML = rows.map((row, index) => `
+      <div class="compare-variant" data-index="${index}">
+        <input type="checkbox" class="compare-variant-enabled" title="Include this answer"${row.enabled ? ' checked' : ''}>
+        <input type="text" class="settings-input compare-variant-model" list="chatModelOptions" autocomplete="off" spellcheck="false" placeholder="${this.uiManager.sanitizeInput(chat.getModel() || 'Chat model')}">
+        <select class="settings-select compare-variant-lens">
+          <option value="">Chat lens (${this.uiManager.sanitizeInput(chatLens.name)})</option>
+          ${this.lenses.map(lens => `
+            <option value="${this.uiManager.sanitizeInput(lens.id)}">${this.uiManager.sanitizeInput(lens.name)}</option>
+          `).join('')}
+        </select>
+      </div>
+    `).join('');
+
+    // Set values after rendering so saved text never ends up in markup
+    container.querySelectorAll('.compare-variant').forEach((element, index) => {
+      element.querySelector('.compare-variant-model').value = rows[index].model || '';
+      const lensSelect = element.querySelector('.compare-variant-lens');
+      lensSelect.value = this.lenses.some(lens => lens.id === rows[index].lensId) ? rows[index].lensId : '';
+    });
+  }
+
+  /**
+   * Read the rows of the modal
+   * @returns {Array<Object>} Rows with `enabled`, `model` and `lensId`
+   */
+  getVariantRows() {
+    return Array.from(this.uiManager.getElement('compareVariants').querySelectorAll('.compare-variant')).map(element => ({
+      enabled: element.querySelector('.compare-variant-enabled').checked,
+      model: element.querySelector('.compare-variant-model').value.trim(),
+      lensId: element.querySelector('.compare-variant-lens').value
+    }));
+  }
+
+  /**
+   * Validate the enabled rows
+   * @param {Array<Object>} rows - Rows from getVariantRows()
+   * @param {Chat} chat - Chat the comparison runs in, whose model and lens fill empty fields
+   * @returns {Object} Validation result with `valid` and `errors`
+   */
+  validateVariants(rows, chat) {
+    const result = {
+      valid: true,
+      errors: []
+    };
+
+    const enabled = rows.filter(row => row.enabled);
+    if (enabled.length < 2) {
+      result.errors.push('Pick at least two answers to compare.');
+    }
+
+    const keys = enabled.map(row => `${row.model || chat.getModel() || ''}|${row.lensId || this.chatLens?.id || ''}`);
+    if (new Set(keys).size < keys.length) {
+      result.errors.push('Each answer needs a different model or lens.');
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Send the message in the input to every enabled combination
+   */
+  async startComparison() {
+    const chat = this.chatController.getCurrentChat();
+    if (!chat) {
+      return;
+    }
+
+    if (this.messageController.isRequestPending(chat.id)) {
+      this.showStatus('Wait for the current analysis in this chat to finish.', 'error');
+      return;
+    }
+
+    if (!chat.isLoaded) {
+      this.showStatus('This chat is still loading.', 'error');
+      return;
+    }
+
+    const message = this.uiManager.getMessageWithImages();
+    if (!message.text && message.images.length === 0) {
+      this.showStatus('Type a message or quote text to compare answers on.', 'error');
+      return;
+    }
+
+    const rows = this.getVariantRows();
+    const validation = this.validateVariants(rows, chat);
+    if (!validation.valid) {
+      this.showStatus(validation.errors.join(' '), 'error');
+      return;
+    }
+
+    try {
+      await this.storageManager.saveSettings({ comparisonVariants: rows });
+    } catch (error) {
+      // Not fatal: the comparison can run without remembering the choice
+      console.warn('[ComparisonController] Could not save comparison choices:', error);
+    }
+
+    const variants = rows.filter(row => row.enabled).map(row => ({
+      model: row.model || null,
+      lensId: row.lensId || null,
+      label: this.getVariantLabel(row, chat)
+    }));
+
+    this.closeCompare();
+    console.log(`[ComparisonController] Comparing ${variants.length} answers in chat ${chat.id}`);
+    await this.messageController.compareResponses(chat, message.text, message.images, variants);
+  }
+
+  /**
+   * Name an answer after its model and lens
+   * @param {Object} row - Row with `model` and `lensId`
+   * @param {Chat} chat - Chat whose model and lens fill empty fields
+   * @returns {string} Label shown above the answer
+   */
+  getVariantLabel(row, chat) {
+    const model = row.model || chat.getModel() || 'Default model';
+    const lens = this.lenses.find(candidate => candidate.id === row.lensId) || this.chatLens;
+    return lens ? `${model} · ${lens.name}` : model;
+  }
+
+  /**
+   * Show a status line in the modal
+   * @param {string} message - Status text
+   * @param {string} type - 'success', 'error' or 'loading'
+   */
+  showStatus(message, type) {
+    const status = this.uiManager.getElement('compareStatus');
+    status.textContent = message;
+    status.className = `settings-status ${type}`;
+    status.style.display = 'block';
+  }
+}
+
+// Most answers one comparison can show side by side
+const MAX_COMPARED_ANSWERS = 3;
@@ -0,0 +1,144 @@
+/**
+ * Context Builder
+ * Selects which chat messages are sent to the model within a token budget
+ *
+ * Features:
+ * - Rough token estimation without a tokenizer (about 4 characters per token)
+ * - Pins the first quoted source message so the claim under analysis is never dropped
+ * - Fills the remaining budget with the most recent turns
+ * - Skips UI-only messages (loading placeholders, errors, markers, empty cancellations)
+ * - Reports excluded messages so the UI can show what was left out
+ * - Keeps part of the budget free for a rolling summary of the left-out turns
+ *
+ * @class ContextBuilder
+ */
+class ContextBuilder {
+  /**
+   * Initialize context builder
+   * @constructor
+   */
+  constructor() {
+    /** @type {number} Average characters per token used for estimation */
+    this.charsPerToken = 4;
+
+    /** @type {number} Per-message overhead for role and formatting tokens */
+    this.messageOverhead = 4;
+
+    /** @type {number} Estimated tokens per attached image */
+    this.imageTokens = 1000;
+  }
+
+  /**
+   * Estimate the token count of a text
+   * @param {string} text - Text to estimate
+   * @returns {number} Estimated tokens
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / this.charsPerToken);
+  }
+
+  /**
+   * Estimate the tokens a message takes up in a request
+   * @param {Message} message - Message to estimate
+   * @param {number} [imageCount=0] - Images sent along with the message
+   * @returns {number} Estimated tokens
+   */
+  estimateMessageTokens(message, imageCount = 0) {
+    return this.estimateTokens(message.content) + this.messageOverhead + imageCount * this.imageTokens;
+  }
+
+  /**
+   * Check whether a message can be sent to the model at all
+   * @param {Message} message - Message to check
+   * @returns {boolean} Whether the message is part of the conversation
+   */
+  isContextEligible(message) {
+    if (message.isLoading || message.isError || message.isMarker() || message.isPendingComparison() || message.excludedFromContext) {
+      return false;
+    }
+
+    // Cancelled before any text arrived; the placeholder text means nothing to the model
+    return !message.metadata?.emptyResponse;
+  }
+
+  /**
+   * Check whether a message quotes source text
+   * Quoted messages start with the selected text in double quotes
+   * @param {Message} message - Message to check
+   * @returns {boolean} Whether the message is a quoted source message
+   */
+  isQuotedSource(message) {
+    return message.isFromUser() && /^"(.+?)"/s.test(message.content);
+  }
+
+  /**
+   * Select the messages to send for a request
+   * The newest message is always included, as is the first quoted source message.
+   * Older turns are added newest-first until the budget is used up.
+   * @param {Array<Message>} messages - All chat messages in order
+   * @param {Object} [options] - Build options
+   * @param {number} [options.budget=12000] - Token budget for the context
+   * @param {number} [options.pendingImageCount=0] - Images attached to the newest user message
+   * @param {number} [options.reservedTokens=0] - Part of the budget kept free, e.g. for a conversation summary
+   * @returns {Object} Context with `messages`, `excludedIds`, `pinnedId`, `estimatedTokens` and `budget`
+   */
+  build(messages, options = {}) {
+    const { budget = DEFAULT_CONTEXT_BUDGET, pendingImageCount = 0, reservedTokens = 0 } = options;
+
+    const eligible = messages.filter(message => this.isContextEligible(message));
+    if (eligible.length === 0) {
+      return { messages: [], excludedIds: [], pinnedId: null, estimatedTokens: 0, budget };
+    }
+
+    const newest = eligible[eligible.length - 1];
+    const pinned = eligible.find(message => this.isQuotedSource(message)) || null;
+
+    const included = new Set([newest.id]);
+    let estimatedTokens = reservedTokens + this.estimateMessageTokens(newest, newest.isFromUser() ? pendingImageCount : 0);
+
+    if (pinned && pinned !== newest) {
+      included.add(pinned.id);
+      estimatedTokens += this.estimateMessageTokens(pinned);
+    }
+
+    // Walk back from the newest turn; stop at the first message that doesn't fit so the
+    // recent history stays contiguous
+    for (let i = eligible.length - 2; i >= 0; i--) {
+      const message = eligible[i];
+      if (included.has(message.id)) {
+        continue;
+      }
+
+      const tokens = this.estimateMessageTokens(message);
+      if (estimatedTokens + tokens > budget) {
+        break;
+      }
+
+      included.add(message.id);
+      estimatedTokens += tokens;
+    }
+
+    const selected = eligible.filter(message => included.has(message.id));
+    const excludedIds = eligible
+      .filter(message => !included.has(message.id))
+      .map(message => message.id);
+
+    if (estimatedTokens > budget) {
+      console.warn(`[ContextBuilder] Required messages exceed the budget (${estimatedTokens}/${budget} tokens)`);
+    }
+
+    return {
+      messages: selected,
+      excludedIds,
+      pinnedId: pinned ? pinned.id : null,
+      estimatedTokens,
+      budget
+    };
+  }
+}
+
+// Default context budget in estimated tokens
+const DEFAULT_CONTEXT_BUDGET = 12000;
+
+// Budget kept free for a conversation summary that hasn't been written yet
+const SUMMARY_TOKEN_RESERVE = 500;
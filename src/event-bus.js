@@ -247,12 +247,18 @@ const EventTypes = {
   CHAT_RENAMED: 'chat:renamed',
   CHAT_SEARCH: 'chat:search',
   CHAT_UPDATED: 'chat:updated',
+  CHAT_MODEL_CHANGED: 'chat:modelChanged',
+  CHAT_LENS_CHANGED: 'chat:lensChanged',
+  CHAT_SUMMARY_UPDATED: 'chat:summaryUpdated',
 
   // Message Events  
   MESSAGE_SENT: 'message:sent',
   MESSAGE_RECEIVED: 'message:received',
   MESSAGE_ERROR: 'message:error',
   MESSAGE_LOADING: 'message:loading',
+  MESSAGE_STREAMING: 'message:streaming',
+  MESSAGE_CANCELLED: 'message:cancelled',
+  MESSAGE_RETRYING: 'message:retrying',
 
   // UI Events
   UI_UPDATE: 'ui:update',
@@ -266,6 +272,8 @@ const EventTypes = {
   SETTINGS_SAVED: 'settings:saved',
   SETTINGS_ERROR: 'settings:error',
   SETTINGS_TEST: 'settings:test',
+  LENSES_CHANGED: 'settings:lensesChanged',
+  TEMPLATES_CHANGED: 'settings:templatesChanged',
 
   // Image Events
   IMAGE_ADDED: 'image:added',
@@ -283,6 +291,7 @@ const EventTypes = {
   API_REQUEST_SUCCESS: 'api:request:success', 
   API_REQUEST_ERROR: 'api:request:error',
   API_REQUEST_TIMEOUT: 'api:request:timeout',
+  REQUEST_QUEUE_CHANGED: 'api:queue:changed',
 
   // Cache Events
   CACHE_CLEAR: 'cache:clear',
@@ -0,0 +1,234 @@
+/**
+ * Lens Controller
+ * Lets the user pick the default analysis lens and write their own lenses
+ *
+ * Features:
+ * - Default lens picker in the settings panel
+ * - Lens modal to view built-in lenses and create, edit or delete custom ones
+ * - LENSES_CHANGED event so the chat header picker stays current
+ *
+ * @class LensController
+ */
+class LensController {
+  /**
+   * Initialize lens controller
+   * @param {EventBus} eventBus - Event bus for communication
+   * @param {LensManager} lensManager - Lens definitions and persistence
+   * @param {UIManager} uiManager - UI manager for modal operations
+   * @constructor
+   */
+  constructor(eventBus, lensManager, uiManager) {
+    /** @type {EventBus} Event bus instance */
+    this.eventBus = eventBus;
+
+    /** @type {LensManager} Lens manager instance */
+    this.lensManager = lensManager;
+
+    /** @type {UIManager} UI manager instance */
+    this.uiManager = uiManager;
+
+    /** @type {string|null} Lens shown in the modal, or NEW_LENS_OPTION */
+    this.selectedLensId = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event and DOM listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on(EventTypes.SETTINGS_OPENED, this.handleSettingsOpened.bind(this));
+
+    const manageBtn = this.uiManager.getElement('manageLenses');
+    const closeBtn = this.uiManager.getElement('closeLenses');
+    const saveBtn = this.uiManager.getElement('saveLens');
+    const deleteBtn = this.uiManager.getElement('deleteLens');
+    const lensSelect = this.uiManager.getElement('lensSelect');
+    const modal = this.uiManager.getElement('lensModal');
+
+    if (!manageBtn || !closeBtn || !saveBtn || !deleteBtn || !lensSelect || !modal) {
+      console.error('[LensController] Lens elements not found');
+      return;
+    }
+
+    manageBtn.onclick = async () => {
+      await this.openLenses();
+    };
+    closeBtn.onclick = () => this.closeLenses();
+    modal.onclick = (e) => { if (e.target === modal) this.closeLenses(); };
+    lensSelect.onchange = async () => {
+      await this.showLensForm(lensSelect.value);
+    };
+    saveBtn.onclick = async () => {
+      await this.saveLens();
+    };
+    deleteBtn.onclick = async () => {
+      await this.deleteSelectedLens();
+    };
+  }
+
+  /**
+   * Open the lens modal on the lens picked as default
+   */
+  async openLenses() {
+    this.uiManager.getElement('lensModal').style.display = 'flex';
+    const defaultLensSelect = this.uiManager.getElement('defaultLensSelect');
+    await this.loadLenses(defaultLensSelect.value || NO_LENS_ID);
+  }
+
+  /**
+   * Close the lens modal
+   */
+  closeLenses() {
+    const status = this.uiManager.getElement('lensStatus');
+    this.uiManager.getElement('lensModal').style.display = 'none';
+    status.className = 'settings-status';
+    status.style.display = 'none';
+  }
+
+  /**
+   * Fill the lens picker in the modal and show one lens
+   * @param {string} selectedId - Lens to show
+   */
+  async loadLenses(selectedId) {
+    const lenses = await this.lensManager.getLenses();
+    const lensSelect = this.uiManager.getElement('lensSelect');
+    const validId = lenses.some(lens => lens.id === selectedId) ? selectedId : NO_LENS_ID;
+
+    lensSelect.innerHTML = lenses.map(lens => `
+      <option value="${this.uiManager.sanitizeInput(lens.id)}">${this.uiManager.sanitizeInput(lens.name)}${lens.builtIn ? ' (built-in)' : ''}</option>
+    `).join('') + `<option value="${NEW_LENS_OPTION}">+ New lens…</option>`;
+    lensSelect.value = validId;
+
+    await this.showLensForm(validId);
+  }
+
+  /**
+   * Show a lens in the form
+   * Built-in lenses are read-only; a new lens starts as a copy of the lens shown before.
+   * @param {string} lensId - Lens ID or NEW_LENS_OPTION
+   */
+  async showLensForm(lensId) {
+    const nameInput = this.uiManager.getElement('lensNameInput');
+    const promptInput = this.uiManager.getElement('lensPromptInput');
+    const help = this.uiManager.getElement('lensHelp');
+    const isNew = lensId === NEW_LENS_OPTION;
+    const lens = await this.lensManager.getLens(isNew ? this.selectedLensId : lensId);
+    const readOnly = !isNew && Boolean(lens?.builtIn);
+
+    this.selectedLensId = lensId;
+    nameInput.value = isNew ? '' : lens?.name || '';
+    promptInput.value = lens?.prompt || '';
+    nameInput.disabled = readOnly;
+    promptInput.disabled = readOnly;
+    this.uiManager.getElement('saveLens').style.display = readOnly ? 'none' : 'inline-block';
+    this.uiManager.getElement('deleteLens').style.display = readOnly || isNew ? 'none' : 'inline-block';
+
+    if (lensId === NO_LENS_ID) {
+      help.textContent = 'Sends no system prompt; the model or bot answers with its own instructions.';
+    } else if (readOnly) {
+      help.textContent = 'Built-in lenses can\'t be changed. Pick "+ New lens…" to start a copy you can edit.';
+    } else {
+      help.textContent = 'Sent as the system message ahead of every request in chats using this lens.';
+    }
+  }
+
+  /**
+   * Save the lens shown in the form
+   */
+  async saveLens() {
+    const saveBtn = this.uiManager.getElement('saveLens');
+    const lens = {
+      id: this.selectedLensId === NEW_LENS_OPTION ? undefined : this.selectedLensId,
+      name: this.uiManager.getElement('lensNameInput').value,
+      prompt: this.uiManager.getElement('lensPromptInput').value
+    };
+
+    const validation = this.lensManager.validateLens(lens);
+    if (!validation.valid) {
+      this.showStatus(validation.errors.join(' '), 'error');
+      return;
+    }
+
+    try {
+      saveBtn.disabled = true;
+      const saved = await this.lensManager.saveLens(lens);
+      await this.loadLenses(saved.id);
+      await this.refreshDefaultLensSelect();
+      this.eventBus.emit(EventTypes.LENSES_CHANGED, { lensId: saved.id });
+      this.showStatus('Lens saved', 'success');
+    } catch (error) {
+      console.error('[LensController] Error saving lens:', error);
+      this.showStatus(error.message || 'Error saving lens', 'error');
+    } finally {
+      saveBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Delete the custom lens shown in the form
+   * Chats that used it fall back to the default lens.
+   */
+  async deleteSelectedLens() {
+    const lensId = this.selectedLensId;
+    const lens = await this.lensManager.getLens(lensId);
+    if (!lens || lens.builtIn) {
+      return;
+    }
+
+    if (!confirm(`Delete lens "${lens.name}"? Chats using it will switch to the default lens.`)) {
+      return;
+    }
+
+    try {
+      await this.lensManager.deleteLens(lensId);
+      await this.loadLenses(NO_LENS_ID);
+      await this.refreshDefaultLensSelect();
+      this.eventBus.emit(EventTypes.LENSES_CHANGED, { lensId });
+      this.showStatus('Lens deleted', 'success');
+    } catch (error) {
+      console.error('[LensController] Error deleting lens:', error);
+      this.showStatus('Error deleting lens', 'error');
+    }
+  }
+
+  /**
+   * Fill the default lens picker in the settings panel
+   */
+  async refreshDefaultLensSelect() {
+    const defaultLensSelect = this.uiManager.getElement('defaultLensSelect');
+    if (!defaultLensSelect) {
+      return;
+    }
+
+    try {
+      const lenses = await this.lensManager.getLenses();
+      const defaultLens = await this.lensManager.getDefaultLens(lenses);
+      defaultLensSelect.innerHTML = lenses.map(lens => `
+        <option value="${this.uiManager.sanitizeInput(lens.id)}">${this.uiManager.sanitizeInput(lens.name)}</option>
+      `).join('');
+      defaultLensSelect.value = defaultLens.id;
+    } catch (error) {
+      console.error('[LensController] Error loading lenses:', error);
+    }
+  }
+
+  /**
+   * Show a status line in the modal
+   * @param {string} message - Status text
+   * @param {string} type - 'success', 'error' or 'loading'
+   */
+  showStatus(message, type) {
+    const status = this.uiManager.getElement('lensStatus');
+    status.textContent = message;
+    status.className = `settings-status ${type}`;
+    status.style.display = 'block';
+  }
+
+  /**
+   * Event handlers
+   */
+  async handleSettingsOpened() {
+    await this.refreshDefaultLensSelect();
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Analysis Lens Manager
+ * Manages the system prompts that frame each analysis
+ *
+ * Features:
+ * - Built-in lenses: power structures, logical fallacies, statistical claims, propaganda techniques
+ * - Custom lenses written by the user, saved in settings
+ * - Default lens for chats that haven't picked one
+ * - "Bot default" lens that sends no system prompt at all
+ *
+ * @class LensManager
+ */
+class LensManager {
+  /**
+   * Initialize lens manager
+   * @param {StorageManager} storageManager - Storage manager for persistence
+   * @constructor
+   */
+  constructor(storageManager) {
+    /** @type {StorageManager} Storage manager instance */
+    this.storageManager = storageManager;
+  }
+
+  /**
+   * Built-in lens definitions
+   * @returns {Array<Object>} Lenses with `id`, `name`, `prompt` and `builtIn`
+   */
+  getBuiltInLenses() {
+    return [
+      {
+        id: NO_LENS_ID,
+        name: 'Bot default',
+        prompt: ''
+      },
+      {
+        id: 'power-structures',
+        name: 'Power structures',
+        prompt: 'You analyze content from an egalitarian perspective. Identify who holds power in the situation described, whose interests the framing serves, whose voices are missing, and which hierarchies the text takes for granted. Distinguish what the text states from what it implies, and cite the passages your analysis relies on.'
+      },
+      {
+        id: 'logical-fallacies',
+        name: 'Logical fallacy audit',
+        prompt: 'You audit the reasoning in the content you are given. Reconstruct the main argument step by step, then name each logical fallacy or rhetorical shortcut you find (e.g. false dilemma, strawman, appeal to authority, hasty generalization), quote the passage it occurs in, and explain why the inference does not hold. Note where the argument is sound as well.'
+      },
+      {
+        id: 'statistical-claims',
+        name: 'Statistical claims check',
+        prompt: 'You check the numbers in the content you are given. List every quantitative claim, then for each one ask what the source and base rate are, whether the comparison or chart is framed fairly, whether correlation is presented as causation, and what context is missing. Say plainly when a claim cannot be verified from the text alone.'
+      },
+      {
+        id: 'propaganda-techniques',
+        name: 'Propaganda technique detection',
+        prompt: 'You detect propaganda and manipulation techniques in the content you are given, such as loaded language, fear appeals, scapegoating, bandwagon, glittering generalities, whataboutism and manufactured urgency. For each technique, quote the passage, name the technique, explain the effect it aims for and whom it benefits.'
+      }
+    ].map(lens => ({ ...lens, builtIn: true }));
+  }
+
+  /**
+   * Get all lenses, built-in first
+   * @returns {Promise<Array<Object>>} Lenses with `id`, `name`, `prompt` and `builtIn`
+   */
+  async getLenses() {
+    const settings = await this.storageManager.getSettings();
+    return [
+      ...this.getBuiltInLenses(),
+      ...(settings.customLenses || []).map(lens => ({ ...lens, builtIn: false }))
+    ];
+  }
+
+  /**
+   * Get a lens by ID
+   * @param {string} lensId - Lens ID
+   * @returns {Promise<Object|null>} Lens, or null if it doesn't exist
+   */
+  async getLens(lensId) {
+    const lenses = await this.getLenses();
+    return lenses.find(lens => lens.id === lensId) || null;
+  }
+
+  /**
+   * Get the lens a chat uses
+   * Chats without a lens of their own, or whose lens was deleted, use the default lens.
+   * @param {string|null} lensId - Lens ID stored on the chat
+   * @returns {Promise<Object>} Lens to apply
+   */
+  async resolveLens(lensId) {
+    const lenses = await this.getLenses();
+    const chosen = lensId && lenses.find(lens => lens.id === lensId);
+    if (chosen) {
+      return chosen;
+    }
+
+    if (lensId) {
+      console.warn(`[LensManager] Lens ${lensId} not found, using the default lens`);
+    }
+    return this.getDefaultLens(lenses);
+  }
+
+  /**
+   * Get the lens used by chats that haven't picked one
+   * @param {Array<Object>} [lenses] - Lenses to pick from; loaded if omitted
+   * @returns {Promise<Object>} Default lens
+   */
+  async getDefaultLens(lenses = null) {
+    const settings = await this.storageManager.getSettings();
+    const available = lenses || await this.getLenses();
+    return available.find(lens => lens.id === settings.defaultLensId)
+      || available.find(lens => lens.id === NO_LENS_ID);
+  }
+
+  /**
+   * Select the lens used by chats that haven't picked one
+   * @param {string} lensId - Lens ID
+   * @returns {Promise<void>}
+   */
+  async setDefaultLens(lensId) {
+    await this.storageManager.saveSettings({ defaultLensId: lensId || NO_LENS_ID });
+  }
+
+  /**
+   * Create or update a custom lens
+   * @param {Object} lens - Lens definition
+   * @param {string} [lens.id] - Existing lens ID; omitted for new lenses
+   * @param {string} lens.name - Display name
+   * @param {string} lens.prompt - System prompt sent with every request of chats using the lens
+   * @returns {Promise<Object>} Saved lens
+   * @throws {Error} If the lens is invalid or built in
+   */
+  async saveLens(lens) {
+    const validation = this.validateLens(lens);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(' '));
+    }
+
+    const settings = await this.storageManager.getSettings();
+    const customLenses = [...(settings.customLenses || [])];
+    const saved = {
+      id: lens.id || `lens_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      name: lens.name.trim(),
+      prompt: lens.prompt.trim()
+    };
+
+    const index = customLenses.findIndex(existing => existing.id === saved.id);
+    if (index === -1) {
+      customLenses.push(saved);
+    } else {
+      customLenses[index] = saved;
+    }
+
+    await this.storageManager.saveSettings({ customLenses });
+    console.log(`[LensManager] Saved lens ${saved.id} (${saved.name})`);
+    return { ...saved, builtIn: false };
+  }
+
+  /**
+   * Delete a custom lens
+   * If it was the default lens, "Bot default" becomes the default again
+   * @param {string} lensId - Lens ID to delete
+   * @returns {Promise<boolean>} Whether a lens was deleted
+   */
+  async deleteLens(lensId) {
+    const settings = await this.storageManager.getSettings();
+    const customLenses = settings.customLenses || [];
+    const remaining = customLenses.filter(lens => lens.id !== lensId);
+    if (remaining.length === customLenses.length) {
+      return false;
+    }
+
+    const updates = { customLenses: remaining };
+    if (settings.defaultLensId === lensId) {
+      updates.defaultLensId = NO_LENS_ID;
+    }
+    await this.storageManager.saveSettings(updates);
+
+    console.log(`[LensManager] Deleted lens ${lensId}`);
+    return true;
+  }
+
+  /**
+   * Validate a custom lens
+   * @param {Object} lens - Lens definition to validate
+   * @returns {Object} Validation result with `valid` and `errors`
+   */
+  validateLens(lens) {
+    const result = {
+      valid: true,
+      errors: []
+    };
+
+    if (lens?.id && this.getBuiltInLenses().some(builtIn => builtIn.id === lens.id)) {
+      result.errors.push('Built-in lenses cannot be changed.');
+    }
+
+    if (!lens || !lens.name || !lens.name.trim()) {
+      result.errors.push('Lens name is required.');
+    }
+
+    if (!lens || !lens.prompt || !lens.prompt.trim()) {
+      result.errors.push('System prompt is required.');
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Build the system message a lens adds to a request
+   * @param {Object} lens - Lens to apply
+   * @returns {Object|null} System message, or null if the lens has no prompt
+   */
+  createSystemMessage(lens) {
+    if (!lens || !lens.prompt) {
+      return null;
+    }
+    return { type: 'system', content: lens.prompt };
+  }
+}
+
+// ID of the built-in lens that sends no system prompt
+const NO_LENS_ID = 'none';
+
+// Value of the lens picker option that starts a new custom lens
+const NEW_LENS_OPTION = '__new__';
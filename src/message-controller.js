@@ -6,8 +6,15 @@
  * - Message sending and receiving
  * - AI response handling with error recovery
  * - Image attachment processing
- * - Message state management (loading, error states)
- * - Integration with Poe API
+ * - Message state management (loading, streaming, cancelled, error states)
+ * - User cancellation of in-flight requests
+ * - Monthly token budgets that warn about or block new requests
+ * - System prompt from the chat's analysis lens
+ * - Optional structured verdicts returned alongside the analysis
+ * - Splitting a message into the atomic claims it makes
+ * - Answering one message with several models or lenses side by side
+ * - Follow-up questions suggested under the latest answer
+ * - Integration with Poe API and other configured providers
  * 
  * @class MessageController
  */
@@ -17,9 +24,14 @@ class MessageController {
    * @param {EventBus} eventBus - Event bus for communication
    * @param {PoeClient} poeClient - Poe API client
    * @param {StorageManager} storageManager - Storage manager instance
+   * @param {ContextBuilder} [contextBuilder] - Selects the history sent with each request
+   * @param {UsageLedger} [usageLedger] - Usage record checked against the monthly budgets
+   * @param {RequestQueue} [requestQueue] - Schedules requests across chats
+   * @param {LensManager} [lensManager] - Provides the system prompt of each chat's lens
+   * @param {VerdictExtractor} [verdictExtractor] - Requests and reads structured verdicts
    * @constructor
    */
-  constructor(eventBus, poeClient, storageManager) {
+  constructor(eventBus, poeClient, storageManager, contextBuilder = new ContextBuilder(), usageLedger = poeClient.usageLedger, requestQueue = new RequestQueue(), lensManager = new LensManager(storageManager), verdictExtractor = new VerdictExtractor()) {
     /** @type {EventBus} Event bus instance */
     this.eventBus = eventBus;
     
@@ -28,12 +40,36 @@ class MessageController {
     
     /** @type {StorageManager} Storage manager instance */
     this.storageManager = storageManager;
-    
-    /** @type {boolean} Flag to prevent concurrent API requests */
-    this.isApiRequestPending = false;
-    
-    /** @type {Array<Object>} Pending images for current message */
-    this.pendingImages = null;
+
+    /** @type {ContextBuilder} Context window builder */
+    this.contextBuilder = contextBuilder;
+
+    /** @type {UsageLedger} Usage ledger instance */
+    this.usageLedger = usageLedger;
+
+    /** @type {LensManager} Lens manager instance */
+    this.lensManager = lensManager;
+
+    /** @type {VerdictExtractor} Verdict extractor instance */
+    this.verdictExtractor = verdictExtractor;
+
+    /** @type {RequestQueue} Concurrency limit and per-chat ordering of requests */
+    this.requestQueue = requestQueue;
+    this.requestQueue.onChange = (chatIds) => {
+      this.eventBus.emit(EventTypes.REQUEST_QUEUE_CHANGED, { busyChatIds: chatIds });
+    };
+
+    /** @type {Map<string, Object>} Running and queued requests by loading message ID, with chat ID and AbortController */
+    this.activeRequests = new Map();
+
+    /** @type {Map<string, Object>} Request options of failed turns by error message ID, replayed by Retry */
+    this.failedRequests = new Map();
+
+    /** @type {Object<string, number>} Retries per original error category, for diagnostics */
+    this.retriedErrors = {};
+
+    /** @type {Map<number, AbortController>} Follow-up suggestion requests by chat ID */
+    this.followUpRequests = new Map();
 
     this.setupEventListeners();
   }
@@ -47,22 +83,19 @@ class MessageController {
     this.eventBus.on(EventTypes.IMAGE_ADDED, this.handleImageAdded.bind(this));
     this.eventBus.on(EventTypes.UI_UPDATE, this.handleUIUpdate.bind(this));
     this.eventBus.on(EventTypes.CACHE_CLEAR, this.handleCacheClear.bind(this));
+    this.eventBus.on(EventTypes.CHAT_DELETED, this.handleChatDeleted.bind(this));
   }
 
   /**
    * Send a user message and trigger AI response
+   * Chats are independent: sending while another chat is waiting queues the request
+   * instead of dropping it.
    * @param {Chat} chat - Chat to send message to
    * @param {string} content - Message content
    * @param {Array} images - Image attachments
    * @returns {Promise<Message>} Promise resolving to sent message
    */
   async sendMessage(chat, content, images = []) {
-    // Prevent concurrent API requests
-    if (this.isApiRequestPending) {
-      console.log('[MessageController] API request already pending, skipping');
-      return null;
-    }
-
     if (!content && images.length === 0) {
       console.warn('[MessageController] Cannot send empty message');
       return null;
@@ -73,12 +106,17 @@ class MessageController {
       return null;
     }
 
+    if (!chat.isLoaded) {
+      console.warn(`[MessageController] Chat ${chat.id} is still loading, not sending`);
+      return null;
+    }
+
     try {
+      // Suggestions for the previous answer are no longer needed
+      this.cancelFollowUps(chat.id);
+
       // Create and add user message
       const userMessage = chat.addMessage(content || '[Image]', 'user', images);
-      
-      // Store images for API call before clearing UI
-      this.pendingImages = images;
 
       // Update chat title if it's still default
       if (chat.title === 'New Chat' && (content || images.length > 0)) {
@@ -97,8 +135,8 @@ class MessageController {
         type: 'input'
       });
 
-      // Trigger AI response
-      await this.getAIResponse(chat);
+      // Trigger AI response; the images travel with this request only
+      await this.getAIResponse(chat, { images });
 
       return userMessage;
     } catch (error) {
@@ -113,32 +151,71 @@ class MessageController {
 
   /**
    * Get AI response from the Poe bot
+   * The request waits in the RequestQueue until a slot is free and the chat has no other
+   * request running; meanwhile the loading message shows its queue position.
+   * With streaming enabled the loading message is filled in as chunks arrive;
+   * if the stream breaks off, the partial text is kept and flagged as incomplete.
+   * Answers served from the response cache are flagged with `metadata.cached`.
+   * Past the hard monthly budget no request is made; past the soft budget the answer
+   * carries `metadata.budgetWarning`.
    * @param {Chat} chat - Chat to get response for
+   * @param {Object} [options] - Response options
+   * @param {Array<Object>} [options.images=[]] - Images attached to the newest user message
+   * @param {boolean} [options.bypassCache=false] - Always generate a fresh answer
+   * @param {string} [options.regenerateMessageId] - Answer again in place of this assistant message,
+   *   using only the turns before it; the answer is added as a new version of the message
    */
-  async getAIResponse(chat) {
-    if (!chat || this.isApiRequestPending) {
+  async getAIResponse(chat, options = {}) {
+    if (!chat) {
       return;
     }
 
-    this.isApiRequestPending = true;
+    const { images = [], regenerateMessageId = null } = options;
+    let loadingMessage = null;
+    let previousVersionIndex = 0;
+    let structured = false;
 
     try {
-      // Check API key first
-      const apiKey = await this.storageManager.getOpenAIApiKey();
-      if (!apiKey) {
+      // Check the active provider has the credentials it needs
+      const provider = await this.poeClient.getCachedProvider();
+      if (provider.requiresApiKey && !provider.apiKey) {
         await this.addErrorMessage(chat, 
-          'Poe API key not configured. Please click the settings icon (⚙️) to configure your API key.'
+          `${provider.name} API key not configured. Please click the settings icon (⚙️) to configure your API key.`,
+          { category: 'auth', retryOptions: options }
         );
         return;
       }
 
-      // Add loading message
-      const loadingMessage = chat.addMessage(
-        'debunkr.org Assistant is thinking...', 
-        'assistant',
-        [],
-        { isLoading: true }
-      );
+      const settings = await this.storageManager.getSettings();
+      this.requestQueue.setMaxConcurrent(settings.maxConcurrentRequests);
+      structured = Boolean(settings.structuredVerdicts);
+
+      const budget = await this.usageLedger.checkBudget(settings);
+      if (budget.status === 'block') {
+        await this.addErrorMessage(chat, this.getBudgetBlockedMessage(budget), { category: 'budget', retryOptions: options });
+        return;
+      }
+
+      if (regenerateMessageId) {
+        // Keep the existing versions while the message shows the loading state
+        const target = chat.getMessage(regenerateMessageId);
+        previousVersionIndex = target.versionIndex;
+        chat.updateMessage(target.id, {
+          content: 'debunkr.org Assistant is thinking...',
+          isLoading: true,
+          metadata: {},
+          versions: target.getVersions()
+        });
+        loadingMessage = chat.getMessage(target.id);
+      } else {
+        // Add loading message
+        loadingMessage = chat.addMessage(
+          'debunkr.org Assistant is thinking...', 
+          'assistant',
+          [],
+          { isLoading: true }
+        );
+      }
 
       // Emit loading state
       this.eventBus.emit(EventTypes.MESSAGE_LOADING, {
@@ -152,60 +229,99 @@ class MessageController {
         chat: chat
       });
 
-      // Get AI response  
-      const messages = chat.getMessages().map(msg => msg.toJSON ? msg.toJSON() : msg);
-      const response = await this.poeClient.sendMessage(messages, this.pendingImages || []);
+      const controller = new AbortController();
+      this.activeRequests.set(loadingMessage.id, { chatId: chat.id, controller });
 
-      // Clear pending images after successful API call
-      this.pendingImages = null;
+      const response = await this.requestQueue.run(
+        chat.id,
+        () => this.requestResponse(chat, loadingMessage, settings, {
+          images,
+          bypassCache: options.bypassCache,
+          contextUntilId: regenerateMessageId,
+          signal: controller.signal
+        }),
+        {
+          signal: controller.signal,
+          onPositionChange: (position) => this.handleQueuePosition(chat, loadingMessage.id, position)
+        }
+      );
 
-      // Replace loading message with actual response
-      const updateSuccess = chat.updateMessage(loadingMessage.id, {
-        content: response,
-        isLoading: false
-      });
+      const metadata = response.cacheHit ? { cached: true, cachedAt: response.cacheHit.createdAt } : {};
+      if (budget.status === 'warn') {
+        metadata.budgetWarning = { used: budget.used, soft: budget.soft };
+      }
+      const result = this.extractVerdict(response.content, metadata, structured);
+      this.completeLoadingMessage(chat, loadingMessage, result.content, result.metadata);
 
-      if (!updateSuccess) {
-        console.warn('[MessageController] Failed to update loading message, adding new message');
-        // Fallback: remove loading message and add new response
-        chat.removeMessage(loadingMessage.id);
-        const newMessage = chat.addMessage(response, 'assistant');
-        
-        this.eventBus.emit(EventTypes.MESSAGE_RECEIVED, {
-          message: newMessage,
+      // Not awaited, so the answer is done now; sending another message cancels the suggestions
+      this.suggestFollowUps(chat, loadingMessage.id);
+
+    } catch (error) {
+      console.error('[MessageController] Error getting AI response:', error);
+
+      if (error.cancelled && loadingMessage && regenerateMessageId && !error.partialContent) {
+        // Nothing new to keep; show the version that was there before
+        chat.selectMessageVersion(loadingMessage.id, previousVersionIndex);
+        this.eventBus.emit(EventTypes.MESSAGE_CANCELLED, {
           chat: chat,
-          loadingMessageId: loadingMessage.id,
-          fallbackUsed: true
+          messageId: loadingMessage.id,
+          hadPartialContent: false
         });
-      } else {
-        const updatedMessage = chat.getMessage(loadingMessage.id);
-        this.eventBus.emit(EventTypes.MESSAGE_RECEIVED, {
-          message: updatedMessage,
+        return;
+      }
+
+      if (error.cancelled && loadingMessage) {
+        const result = this.extractVerdict(error.partialContent || 'Analysis cancelled.', {
+          cancelled: true,
+          emptyResponse: !error.partialContent
+        }, structured && Boolean(error.partialContent));
+        this.completeLoadingMessage(chat, loadingMessage, result.content, result.metadata);
+        this.eventBus.emit(EventTypes.MESSAGE_CANCELLED, {
           chat: chat,
-          loadingMessageId: loadingMessage.id
+          messageId: loadingMessage.id,
+          hadPartialContent: Boolean(error.partialContent)
         });
+        return;
       }
 
-    } catch (error) {
-      console.error('[MessageController] Error getting AI response:', error);
-      
-      // Clear pending images on error
-      this.pendingImages = null;
+      if (error.partialContent && loadingMessage) {
+        // Keep whatever was streamed before the connection dropped
+        const result = this.extractVerdict(error.partialContent, {
+          incomplete: true,
+          incompleteReason: error.message
+        }, structured);
+        this.completeLoadingMessage(chat, loadingMessage, result.content, result.metadata);
+        return;
+      }
+
+      if (loadingMessage && regenerateMessageId) {
+        chat.selectMessageVersion(loadingMessage.id, previousVersionIndex);
+      } else if (loadingMessage) {
+        chat.removeMessage(loadingMessage.id);
+      }
       
       // Create user-friendly error message
+      const category = this.getErrorCategory(error);
       const errorContent = this.getUserFriendlyErrorMessage(error);
       
-      await this.addErrorMessage(chat, errorContent);
+      await this.addErrorMessage(chat, errorContent, {
+        category,
+        detail: error.message,
+        retryOptions: options
+      });
 
       // Emit error event
       this.eventBus.emit(EventTypes.MESSAGE_ERROR, {
         error: error.message,
+        category,
         chat: chat,
         userFriendlyMessage: errorContent
       });
 
     } finally {
-      this.isApiRequestPending = false;
+      if (loadingMessage) {
+        this.activeRequests.delete(loadingMessage.id);
+      }
       
       // Update UI with final state
       this.eventBus.emit(EventTypes.UI_UPDATE, {
@@ -221,17 +337,1055 @@ class MessageController {
     }
   }
 
+  /**
+   * Build the context and send the request once the queue lets it start
+   * @param {Chat} chat - Chat to get response for
+   * @param {Message} loadingMessage - Placeholder message for the response
+   * @param {Object} settings - User settings
+   * @param {Object} options - Images, cache bypass, context cut-off (`contextUntilId`) and cancellation signal
+   * @returns {Promise<Object>} Response `content` and the `cacheHit` entry, if answered from the cache
+   */
+  async requestResponse(chat, loadingMessage, settings, { images, bypassCache, contextUntilId, signal }) {
+    // Leaving the queue; drop the position from the loading message
+    if (chat.getMessage(loadingMessage.id)?.metadata?.queuePosition) {
+      chat.updateMessage(loadingMessage.id, {
+        content: 'debunkr.org Assistant is thinking...',
+        isLoading: true,
+        metadata: {}
+      });
+      this.eventBus.emit(EventTypes.UI_UPDATE, {
+        type: 'renderMessages',
+        chat: chat
+      });
+    }
+
+    // Fit the history into the token budget and remember what was left out
+    const systemMessage = await this.getSystemMessage(chat.getLensId(), settings);
+    const context = this.buildContext(chat, settings, images.length, contextUntilId, systemMessage);
+    const summary = context.excludedIds.length > 0
+      ? await this.ensureSummary(chat, context.excludedIds, {
+        settings,
+        signal,
+        loadingMessageId: loadingMessage.id
+      })
+      : null;
+
+    // A regenerated answer only sees earlier turns, so it says nothing about the latest context
+    if (!contextUntilId) {
+      chat.metadata = {
+        ...chat.metadata,
+        lastContext: {
+          excludedIds: context.excludedIds,
+          pinnedId: context.pinnedId,
+          estimatedTokens: context.estimatedTokens,
+          budget: context.budget,
+          summaryUsed: Boolean(summary)
+        }
+      };
+    }
+    if (context.excludedIds.length > 0) {
+      console.log(`[MessageController] Context: ${context.messages.length} messages (~${context.estimatedTokens} tokens), ${context.excludedIds.length} left out, summary ${summary ? 'included' : 'unavailable'}`);
+    }
+
+    // Get AI response
+    const messages = this.toRequestMessages(context, summary, systemMessage);
+    let cacheHit = null;
+    const content = await this.poeClient.sendMessage(messages, images, {
+      useCache: settings.useResponseCache && !bypassCache,
+      updateCache: settings.useResponseCache,
+      cacheTtl: settings.responseCacheTtlHours * 60 * 60 * 1000,
+      onCacheHit: (entry) => { cacheHit = entry; },
+      model: chat.getModel(),
+      chatId: chat.id,
+      stream: settings.streamResponses,
+      signal,
+      maxRetries: settings.maxRetries,
+      maxRetryWait: settings.maxRetryWaitSeconds * 1000,
+      onChunk: (delta, fullText) => {
+        // The verdict JSON is shown as a card once complete, not as streaming text
+        const shown = settings.structuredVerdicts ? this.verdictExtractor.getProse(fullText) : fullText;
+        if (shown) {
+          this.handleStreamChunk(chat, loadingMessage.id, shown);
+        }
+      },
+      onRetry: (retry) => this.handleRetry(chat, loadingMessage.id, retry)
+    });
+
+    return { content, cacheHit };
+  }
+
+  /**
+   * Get the system message for a request: the lens prompt, plus the verdict instructions
+   * when structured verdicts are on
+   * @param {string|null} lensId - Lens to use
+   * @param {Object} settings - User settings
+   * @returns {Promise<Object|null>} System message, or null if none is sent
+   */
+  async getSystemMessage(lensId, settings) {
+    const lens = await this.lensManager.resolveLens(lensId);
+    const lensMessage = this.lensManager.createSystemMessage(lens);
+    return settings.structuredVerdicts
+      ? this.verdictExtractor.addInstructions(lensMessage)
+      : lensMessage;
+  }
+
+  /**
+   * Turn a built context into the message list sent to the model
+   * The summary leads in place of the dropped turns, after the lens prompt.
+   * @param {Object} context - Context from buildContext()
+   * @param {Object|null} summary - Rolling summary of the dropped turns
+   * @param {Object|null} systemMessage - System message from getSystemMessage()
+   * @returns {Array<Object>} Messages in the format PoeClient expects
+   */
+  toRequestMessages(context, summary, systemMessage) {
+    const messages = context.messages.map(msg => msg.toJSON ? msg.toJSON() : msg);
+    if (summary) {
+      messages.unshift(this.createSummaryContextMessage(summary));
+    }
+    if (systemMessage) {
+      messages.unshift(systemMessage);
+    }
+    return messages;
+  }
+
+  /**
+   * Send a user message to several models or lenses at once and collect the answers side by side
+   * The answers share one assistant message whose `metadata.comparison` holds each variant's
+   * status, text and verdict. Until one is promoted with ChatController.promoteComparisonAnswer()
+   * the message stays out of the context, so later turns only ever see the chosen answer.
+   * All variants run as a single job in the RequestQueue, so the chat is busy until the last one settles.
+   * @param {Chat} chat - Chat to send message to
+   * @param {string} content - Message content
+   * @param {Array} images - Image attachments, sent to every variant
+   * @param {Array<Object>} variants - Two or more variants with `model` (null for the chat's model),
+   *   `lensId` (null for the chat's lens) and a display `label`
+   * @returns {Promise<Message|null>} Comparison message, or null if nothing was sent
+   */
+  async compareResponses(chat, content, images = [], variants = []) {
+    if (!chat || (!content && images.length === 0) || variants.length < 2) {
+      console.warn('[MessageController] Cannot compare answers without a message and at least two variants');
+      return null;
+    }
+    if (this.requestQueue.isChatBusy(chat.id)) {
+      console.warn(`[MessageController] Chat ${chat.id} is busy, not starting a comparison`);
+      return null;
+    }
+    if (!chat.isLoaded) {
+      console.warn(`[MessageController] Chat ${chat.id} is still loading, not starting a comparison`);
+      return null;
+    }
+
+    const provider = await this.poeClient.getCachedProvider();
+    const settings = await this.storageManager.getSettings();
+    this.requestQueue.setMaxConcurrent(settings.maxConcurrentRequests);
+    const structured = Boolean(settings.structuredVerdicts);
+
+    this.cancelFollowUps(chat.id);
+    const userMessage = chat.addMessage(content || '[Image]', 'user', images);
+    if (chat.title === 'New Chat') {
+      this.updateChatTitle(chat, content, images);
+    }
+    this.eventBus.emit(EventTypes.MESSAGE_SENT, {
+      message: userMessage,
+      chat: chat,
+      hasImages: images.length > 0
+    });
+    this.eventBus.emit(EventTypes.UI_CLEAR, {
+      type: 'input'
+    });
+
+    if (provider.requiresApiKey && !provider.apiKey) {
+      await this.addErrorMessage(chat,
+        `${provider.name} API key not configured. Please click the settings icon (⚙️) to configure your API key.`,
+        { category: 'auth' }
+      );
+      this.eventBus.emit(EventTypes.UI_UPDATE, { type: 'renderMessages', chat: chat });
+      return null;
+    }
+
+    const budget = await this.usageLedger.checkBudget(settings);
+    if (budget.status === 'block') {
+      await this.addErrorMessage(chat, this.getBudgetBlockedMessage(budget), { category: 'budget' });
+      this.eventBus.emit(EventTypes.UI_UPDATE, { type: 'renderMessages', chat: chat });
+      return null;
+    }
+
+    const comparisonMessage = chat.addMessage(`Comparing ${variants.length} answers...`, 'assistant', [], {
+      isLoading: true,
+      metadata: {
+        comparison: {
+          variants: variants.map(variant => ({
+            model: variant.model || null,
+            lensId: variant.lensId || null,
+            label: variant.label,
+            status: 'loading',
+            content: null,
+            verdict: null,
+            verdictErrors: null,
+            error: null
+          })),
+          canonicalIndex: null
+        }
+      }
+    });
+
+    // Every change goes through the current message, since answers settle in any order
+    const updateComparison = (update, messageUpdates = {}) => {
+      const current = chat.getMessage(comparisonMessage.id);
+      if (!current) {
+        return;
+      }
+      const comparison = update(current.metadata.comparison);
+      chat.updateMessage(comparisonMessage.id, {
+        ...messageUpdates,
+        metadata: { comparison }
+      });
+      this.eventBus.emit(EventTypes.UI_UPDATE, {
+        type: 'renderMessages',
+        chat: chat
+      });
+    };
+    const updateVariant = (index, updates) => updateComparison(comparison => ({
+      ...comparison,
+      queuePosition: null,
+      variants: comparison.variants.map((variant, i) => i === index ? { ...variant, ...updates } : variant)
+    }));
+
+    this.eventBus.emit(EventTypes.MESSAGE_LOADING, {
+      message: comparisonMessage,
+      chat: chat
+    });
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+
+    const controller = new AbortController();
+    this.activeRequests.set(comparisonMessage.id, { chatId: chat.id, controller });
+
+    try {
+      await this.requestQueue.run(
+        chat.id,
+        () => Promise.allSettled(variants.map(async (variant, index) => {
+          try {
+            const answer = await this.requestVariant(chat, comparisonMessage.id, variant, settings, images, controller.signal);
+            const result = this.extractVerdict(answer, {}, structured);
+            updateVariant(index, {
+              status: 'done',
+              content: result.content,
+              verdict: result.metadata.verdict || null,
+              verdictErrors: result.metadata.verdictErrors || null
+            });
+          } catch (error) {
+            console.error(`[MessageController] Comparison answer from ${variant.label} failed:`, error);
+            updateVariant(index, {
+              status: error.cancelled ? 'cancelled' : 'error',
+              error: error.cancelled ? 'Stopped.' : this.getUserFriendlyErrorMessage(error)
+            });
+          }
+        })),
+        {
+          signal: controller.signal,
+          onPositionChange: (position) => updateComparison(comparison => ({ ...comparison, queuePosition: position }))
+        }
+      );
+    } catch (error) {
+      // Only reached when the comparison is stopped while still queued
+      console.warn('[MessageController] Comparison stopped before it started:', error.message);
+      updateComparison(comparison => ({
+        ...comparison,
+        queuePosition: null,
+        variants: comparison.variants.map(variant => ({ ...variant, status: 'cancelled', error: 'Stopped.' }))
+      }));
+    } finally {
+      this.activeRequests.delete(comparisonMessage.id);
+    }
+
+    const done = chat.getMessage(comparisonMessage.id).metadata.comparison.variants
+      .filter(variant => variant.status === 'done').length;
+    updateComparison(comparison => comparison, {
+      content: `Compared ${done} of ${variants.length} answers.`,
+      isLoading: false
+    });
+    console.log(`[MessageController] Comparison in chat ${chat.id} finished with ${done} of ${variants.length} answers`);
+
+    this.eventBus.emit(EventTypes.MESSAGE_RECEIVED, {
+      message: chat.getMessage(comparisonMessage.id),
+      chat: chat,
+      loadingMessageId: comparisonMessage.id
+    });
+    this.eventBus.emit(EventTypes.STORAGE_SAVED, {
+      type: 'chatUpdate',
+      chatId: chat.id
+    });
+    return chat.getMessage(comparisonMessage.id);
+  }
+
+  /**
+   * Get one answer of a comparison
+   * The context is the chat up to the comparison message, with the variant's lens as system prompt.
+   * Answers are not streamed, and only an existing summary is used so the variants don't race to write one.
+   * @param {Chat} chat - Chat being answered
+   * @param {string} comparisonMessageId - ID of the comparison message
+   * @param {Object} variant - Variant with `model` and `lensId`
+   * @param {Object} settings - User settings
+   * @param {Array<Object>} images - Images attached to the user message
+   * @param {AbortSignal} signal - Stops the request
+   * @returns {Promise<string>} Answer text
+   */
+  async requestVariant(chat, comparisonMessageId, variant, settings, images, signal) {
+    const systemMessage = await this.getSystemMessage(variant.lensId || chat.getLensId(), settings);
+    const context = this.buildContext(chat, settings, images.length, comparisonMessageId, systemMessage);
+    const summary = context.excludedIds.length > 0 ? chat.getSummary() : null;
+
+    return this.poeClient.sendMessage(this.toRequestMessages(context, summary, systemMessage), images, {
+      useCache: settings.useResponseCache,
+      cacheTtl: settings.responseCacheTtlHours * 60 * 60 * 1000,
+      model: variant.model || chat.getModel(),
+      chatId: chat.id,
+      stream: false,
+      signal,
+      maxRetries: settings.maxRetries,
+      maxRetryWait: settings.maxRetryWaitSeconds * 1000
+    });
+  }
+
+  /**
+   * Show a waiting request's place in the queue in its loading message
+   * @param {Chat} chat - Chat receiving the response
+   * @param {string} messageId - ID of the loading message
+   * @param {number} position - 1-based queue position
+   */
+  handleQueuePosition(chat, messageId, position) {
+    chat.updateMessage(messageId, {
+      content: 'Waiting for another analysis to finish...',
+      isLoading: true,
+      metadata: { queuePosition: position }
+    });
+
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+  }
+
+  /**
+   * Replace a cached answer with a freshly generated one
+   * Only the latest message can be replaced, since later turns depend on it
+   * @param {Chat} chat - Chat containing the message
+   * @param {string} messageId - ID of the cached assistant message
+   * @returns {Promise<boolean>} Whether a fresh answer was requested
+   */
+  async requestFreshResponse(chat, messageId) {
+    const lastMessage = chat?.getLastMessage();
+    if (!lastMessage || lastMessage.id !== messageId || !lastMessage.isFromAssistant() || this.requestQueue.isChatBusy(chat.id)) {
+      console.warn(`[MessageController] Cannot refresh message ${messageId}`);
+      return false;
+    }
+
+    // A running suggestion request would hold up the new answer
+    this.cancelFollowUps(chat.id);
+
+    chat.removeMessage(messageId);
+    await this.getAIResponse(chat, { bypassCache: true });
+    return true;
+  }
+
+  /**
+   * Generate another version of an assistant response from the turns before it
+   * Earlier versions stay on the message and can be paged through; the shown version
+   * is the one sent in later context.
+   * @param {Chat} chat - Chat containing the message
+   * @param {string} messageId - ID of the assistant message
+   * @returns {Promise<boolean>} Whether a new version was requested
+   */
+  async regenerateResponse(chat, messageId) {
+    const message = chat?.getMessage(messageId);
+    if (!this.canRegenerate(chat, message) || this.requestQueue.isChatBusy(chat.id)) {
+      console.warn(`[MessageController] Cannot regenerate message ${messageId}`);
+      return false;
+    }
+
+    // A running suggestion request would hold up the new version
+    this.cancelFollowUps(chat.id);
+
+    // Resend the images of the question being answered
+    const messages = chat.getMessages();
+    const previous = messages[messages.indexOf(message) - 1];
+    const images = previous && previous.isFromUser() ? previous.images : [];
+
+    await this.getAIResponse(chat, { regenerateMessageId: messageId, images, bypassCache: true });
+    return true;
+  }
+
+  /**
+   * Check whether an assistant message can be regenerated
+   * @param {Chat} chat - Chat containing the message
+   * @param {Message|null} message - Message to check
+   * @returns {boolean} Whether the message is a finished answer with a turn before it
+   */
+  canRegenerate(chat, message) {
+    if (!message || !message.isFromAssistant() || message.isLoading || message.isError || message.isMarker() || message.metadata?.comparison) {
+      return false;
+    }
+
+    const messages = chat.getMessages();
+    return messages
+      .slice(0, messages.indexOf(message))
+      .some(msg => this.contextBuilder.isContextEligible(msg));
+  }
+
+  /**
+   * Edit an earlier user message and answer it on a new branch
+   * The turns after the message stay on the original branch, which can be switched back to.
+   * @param {Chat} chat - Chat containing the message
+   * @param {string} messageId - ID of the user message
+   * @param {string} content - Edited content
+   * @returns {Promise<boolean>} Whether a branch was created
+   */
+  async editMessage(chat, messageId, content) {
+    const message = chat?.getMessage(messageId);
+    const edited = (content || '').trim();
+    if (!message || !message.isFromUser() || this.requestQueue.isChatBusy(chat.id)) {
+      console.warn(`[MessageController] Cannot edit message ${messageId}`);
+      return false;
+    }
+    if (!edited || edited === message.content) {
+      return false;
+    }
+
+    // A running suggestion request would hold up the answer on the new branch
+    this.cancelFollowUps(chat.id);
+
+    const newMessage = chat.branchFromMessage(messageId, edited);
+    if (!newMessage) {
+      return false;
+    }
+
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'updateChatHeader',
+      chat: chat
+    });
+
+    await this.getAIResponse(chat, { images: newMessage.images });
+    return true;
+  }
+
+  /**
+   * Ask the model for the distinct claims in a user message and store them as a checklist
+   * The claims are kept in the message's `metadata.claims`; each can later be analysed in a
+   * child chat (see ChatController.createClaimChat()). A failure is stored as `metadata.claimsError`.
+   * @param {Chat} chat - Chat containing the message
+   * @param {string} messageId - ID of the user message
+   * @returns {Promise<boolean>} Whether claims were extracted
+   */
+  async splitClaims(chat, messageId) {
+    const message = chat?.getMessage(messageId);
+    if (!message || !message.isFromUser() || message.metadata.claimsLoading || this.requestQueue.isChatBusy(chat.id)) {
+      console.warn(`[MessageController] Cannot split message ${messageId} into claims`);
+      return false;
+    }
+
+    const updateClaimsMetadata = (updates) => {
+      const current = chat.getMessage(messageId);
+      if (current) {
+        chat.updateMessage(messageId, { metadata: { ...current.metadata, ...updates } });
+      }
+      this.eventBus.emit(EventTypes.UI_UPDATE, {
+        type: 'renderMessages',
+        chat: chat
+      });
+    };
+
+    updateClaimsMetadata({ claimsLoading: true, claimsError: null });
+
+    try {
+      const settings = await this.storageManager.getSettings();
+      const budget = await this.usageLedger.checkBudget(settings);
+      if (budget.status === 'block') {
+        const blocked = new Error(this.getBudgetBlockedMessage(budget));
+        blocked.budgetBlocked = true;
+        throw blocked;
+      }
+
+      const claims = await this.requestQueue.run(chat.id, () => this.poeClient.extractClaims(message.content, {
+        model: chat.getModel(),
+        chatId: chat.id,
+        useCache: settings.useResponseCache,
+        cacheTtl: settings.responseCacheTtlHours * 60 * 60 * 1000,
+        maxRetries: settings.maxRetries,
+        maxRetryWait: settings.maxRetryWaitSeconds * 1000
+      }));
+
+      const createdAt = Date.now();
+      updateClaimsMetadata({
+        claimsLoading: false,
+        claims: claims.map((text, index) => ({
+          id: `claim_${createdAt}_${index}`,
+          text,
+          childChatId: null,
+          status: null
+        }))
+      });
+      console.log(`[MessageController] Split message ${messageId} into ${claims.length} claims`);
+      return true;
+    } catch (error) {
+      console.error('[MessageController] Error splitting message into claims:', error);
+      // Budget and unreadable-reply errors already explain themselves
+      const explained = error.budgetBlocked || error.reply !== undefined;
+      updateClaimsMetadata({
+        claimsLoading: false,
+        claimsError: explained ? error.message : this.getUserFriendlyErrorMessage(error)
+      });
+      return false;
+    } finally {
+      this.eventBus.emit(EventTypes.STORAGE_SAVED, {
+        type: 'chatUpdate',
+        chatId: chat.id
+      });
+    }
+  }
+
+  /**
+   * Ask for follow-up questions to show under an answer
+   * Suggestions are stored in the message's `metadata.followUps`, so each answer is only
+   * asked about once; answers served from the response cache get none, so they cost nothing.
+   * The request runs in the background of the RequestQueue: it counts toward the concurrency
+   * limit but leaves the chat free, and is dropped when the answer is replaced or the user sends
+   * something else. Failures only cost the chips.
+   * @param {Chat} chat - Chat containing the answer
+   * @param {string} messageId - ID of the assistant message
+   * @returns {Promise<boolean>} Whether suggestions were added
+   */
+  async suggestFollowUps(chat, messageId) {
+    const message = chat.getMessage(messageId);
+    if (!message || chat.getLastMessage()?.id !== messageId || !message.isFromAssistant() || message.isLoading
+      || message.isError || message.metadata?.cancelled || message.metadata?.cached || message.metadata?.followUps) {
+      return false;
+    }
+
+    const messages = chat.getMessages();
+    const question = messages
+      .slice(0, messages.indexOf(message))
+      .reverse()
+      .find(msg => msg.isFromUser() && !msg.excludedFromContext);
+    if (!question) {
+      return false;
+    }
+
+    this.cancelFollowUps(chat.id);
+    const controller = new AbortController();
+    this.followUpRequests.set(chat.id, controller);
+
+    try {
+      const settings = await this.storageManager.getSettings();
+      if (!settings.followUpSuggestions) {
+        return false;
+      }
+
+      const budget = await this.usageLedger.checkBudget(settings);
+      if (budget.status === 'block') {
+        return false;
+      }
+
+      const followUps = await this.requestQueue.run(
+        chat.id,
+        () => this.poeClient.suggestFollowUps(question.content, message.content, {
+          model: chat.getModel(),
+          chatId: chat.id,
+          signal: controller.signal,
+          useCache: settings.useResponseCache,
+          cacheTtl: settings.responseCacheTtlHours * 60 * 60 * 1000,
+          maxRetries: 0
+        }),
+        { signal: controller.signal, background: true }
+      );
+
+      // The answer may have been regenerated or deleted meanwhile
+      const current = chat.getMessage(messageId);
+      if (!current || current.content !== message.content || followUps.length === 0) {
+        return false;
+      }
+
+      chat.updateMessage(messageId, { metadata: { ...current.metadata, followUps } });
+      this.eventBus.emit(EventTypes.UI_UPDATE, {
+        type: 'renderMessages',
+        chat: chat
+      });
+      this.eventBus.emit(EventTypes.STORAGE_SAVED, {
+        type: 'chatUpdate',
+        chatId: chat.id
+      });
+      return true;
+    } catch (error) {
+      if (!error.cancelled) {
+        console.warn('[MessageController] Could not suggest follow-up questions:', error.message);
+      }
+      return false;
+    } finally {
+      if (this.followUpRequests.get(chat.id) === controller) {
+        this.followUpRequests.delete(chat.id);
+      }
+    }
+  }
+
+  /**
+   * Drop a chat's pending follow-up suggestion request
+   * @param {number} [chatId] - Chat ID; all chats if omitted
+   */
+  cancelFollowUps(chatId) {
+    if (chatId === undefined) {
+      this.followUpRequests.forEach(controller => controller.abort());
+      this.followUpRequests.clear();
+      return;
+    }
+
+    const controller = this.followUpRequests.get(chatId);
+    if (controller) {
+      controller.abort();
+      this.followUpRequests.delete(chatId);
+    }
+  }
+
+  /**
+   * Cancel an in-flight or queued AI request
+   * The loading message becomes a cancelled assistant message once the request unwinds.
+   * @param {string|null} [messageId] - Loading message of the request to cancel; all requests if omitted
+   * @returns {boolean} Whether a request was cancelled
+   */
+  cancelRequest(messageId = null) {
+    if (!messageId) {
+      this.activeRequests.forEach(request => request.controller.abort());
+      return this.activeRequests.size > 0;
+    }
+
+    const request = this.activeRequests.get(messageId);
+    if (!request) {
+      console.warn(`[MessageController] Ignoring cancel for inactive message ${messageId}`);
+      return false;
+    }
+
+    console.log(`[MessageController] Cancelling request in chat ${request.chatId}`);
+    request.controller.abort();
+    return true;
+  }
+
+  /**
+   * Apply a streamed chunk to the loading message and notify the UI
+   * @param {Chat} chat - Chat receiving the response
+   * @param {string} messageId - ID of the loading message
+   * @param {string} content - Full text received so far
+   */
+  handleStreamChunk(chat, messageId, content) {
+    chat.updateMessage(messageId, {
+      content,
+      isLoading: true,
+      metadata: { isStreaming: true }
+    });
+
+    this.eventBus.emit(EventTypes.MESSAGE_STREAMING, {
+      chat,
+      messageId,
+      content
+    });
+  }
+
+  /**
+   * Select the messages to send for the next request
+   * The lens prompt's share of the budget is always reserved; part of the rest is kept free
+   * for the rolling summary once turns start being left out
+   * @param {Chat} chat - Chat to build the context for
+   * @param {Object} settings - User settings with `contextTokenBudget`
+   * @param {number} [imageCount=0] - Images attached to the newest user message
+   * @param {string|null} [untilId=null] - Only use the messages before this one
+   * @param {Object|null} [systemMessage=null] - Lens prompt sent ahead of the history
+   * @returns {Object} Context from ContextBuilder.build()
+   */
+  buildContext(chat, settings, imageCount = 0, untilId = null, systemMessage = null) {
+    const allMessages = chat.getMessages();
+    const untilIndex = untilId ? allMessages.findIndex(msg => msg.id === untilId) : -1;
+    const messages = untilIndex === -1 ? allMessages : allMessages.slice(0, untilIndex);
+    const options = {
+      budget: settings.contextTokenBudget,
+      pendingImageCount: imageCount
+    };
+
+    const summary = chat.getSummary();
+    const systemTokens = systemMessage ? this.contextBuilder.estimateTokens(systemMessage.content) : 0;
+    const summaryTokens = summary ? this.contextBuilder.estimateTokens(summary.content) : 0;
+    const context = this.contextBuilder.build(messages, { ...options, reservedTokens: systemTokens + summaryTokens });
+    if (context.excludedIds.length === 0 || summaryTokens >= SUMMARY_TOKEN_RESERVE) {
+      return context;
+    }
+
+    // Turns are being dropped: make room for a summary of them
+    return this.contextBuilder.build(messages, { ...options, reservedTokens: systemTokens + SUMMARY_TOKEN_RESERVE });
+  }
+
+  /**
+   * Make sure the chat's rolling summary covers the turns left out of the context
+   * Only turns dropped since the last summary are sent, together with the previous summary.
+   * Failures are logged and the request continues with the existing summary, if any.
+   * @param {Chat} chat - Chat being answered
+   * @param {Array<string>} excludedIds - IDs of messages left out of the context
+   * @param {Object} options - Summary options
+   * @param {Object} options.settings - User settings (retry limits)
+   * @param {AbortSignal} [options.signal] - Cancels the summary request
+   * @param {string} [options.loadingMessageId] - Loading message to show progress in
+   * @param {boolean} [options.rebuild=false] - Summarize all excluded turns from scratch
+   * @returns {Promise<Object|null>} The up-to-date summary, or null if none is available
+   * @throws {Error} Cancelled error if the user stops the request during summarization
+   */
+  async ensureSummary(chat, excludedIds, options) {
+    const { settings, signal = null, loadingMessageId = null, rebuild = false } = options;
+    const messages = chat.getMessages();
+    const excluded = messages.filter(msg => excludedIds.includes(msg.id));
+    if (excluded.length === 0) {
+      return chat.getSummary();
+    }
+
+    const lastExcluded = excluded[excluded.length - 1];
+    const lastExcludedIndex = messages.indexOf(lastExcluded);
+    const existing = rebuild ? null : chat.getSummary();
+    if (existing && existing.coveredUntilId === lastExcluded.id) {
+      return existing;
+    }
+
+    // Fold only newly dropped turns into the existing summary; if the summary covers turns
+    // that are back in the context (budget raised, messages deleted) start over
+    const coveredIndex = existing ? messages.findIndex(msg => msg.id === existing.coveredUntilId) : -1;
+    const rolling = coveredIndex !== -1 && coveredIndex < lastExcludedIndex;
+    const turns = rolling
+      ? excluded.filter(msg => messages.indexOf(msg) > coveredIndex)
+      : excluded;
+
+    if (loadingMessageId) {
+      chat.updateMessage(loadingMessageId, {
+        content: 'Summarizing earlier messages...',
+        isLoading: true,
+        metadata: {}
+      });
+      this.eventBus.emit(EventTypes.UI_UPDATE, {
+        type: 'renderMessages',
+        chat: chat
+      });
+    }
+
+    try {
+      const content = await this.poeClient.summarizeConversation(
+        turns.map(msg => msg.toJSON()),
+        rolling ? existing.content : null,
+        {
+          model: chat.getModel(),
+          chatId: chat.id,
+          signal,
+          useCache: settings.useResponseCache,
+          cacheTtl: settings.responseCacheTtlHours * 60 * 60 * 1000,
+          maxRetries: settings.maxRetries,
+          maxRetryWait: settings.maxRetryWaitSeconds * 1000
+        }
+      );
+
+      const summary = {
+        content,
+        coveredUntilId: lastExcluded.id,
+        coveredCount: excluded.length,
+        updatedAt: new Date().toISOString(),
+        edited: false
+      };
+      chat.setSummary(summary);
+
+      this.eventBus.emit(EventTypes.CHAT_SUMMARY_UPDATED, {
+        chat,
+        summary,
+        rolling
+      });
+
+      console.log(`[MessageController] ${rolling ? 'Extended' : 'Created'} summary for chat ${chat.id} (${turns.length} turns)`);
+      return summary;
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      console.warn('[MessageController] Could not update conversation summary:', error);
+      return existing;
+    } finally {
+      if (loadingMessageId && chat.getMessage(loadingMessageId)?.isLoading) {
+        chat.updateMessage(loadingMessageId, {
+          content: 'debunkr.org Assistant is thinking...',
+          isLoading: true,
+          metadata: {}
+        });
+      }
+    }
+  }
+
+  /**
+   * Rewrite the chat's summary from all turns left out of the last request
+   * @param {Chat} chat - Chat to summarize
+   * @returns {Promise<Object|null>} New summary, or null if no turns were left out
+   * @throws {Error} If the chat has a request in flight or summarization fails
+   */
+  async regenerateSummary(chat) {
+    const excludedIds = chat.metadata.lastContext?.excludedIds || [];
+    if (excludedIds.length === 0) {
+      return null;
+    }
+
+    if (this.requestQueue.isChatBusy(chat.id)) {
+      throw new Error('Please wait for the current analysis in this chat to finish.');
+    }
+
+    const settings = await this.storageManager.getSettings();
+    const budget = await this.usageLedger.checkBudget(settings);
+    if (budget.status === 'block') {
+      throw new Error(this.getBudgetBlockedMessage(budget));
+    }
+
+    const summary = await this.requestQueue.run(chat.id, () => this.ensureSummary(chat, excludedIds, { settings, rebuild: true }));
+    if (!summary) {
+      throw new Error('Could not generate a summary. Please check your connection and try again.');
+    }
+    return summary;
+  }
+
+  /**
+   * Explain why sending is blocked by the hard monthly budget
+   * @param {Object} budget - Result of UsageLedger.checkBudget()
+   * @returns {string} Error message text
+   */
+  getBudgetBlockedMessage(budget) {
+    return `Monthly token budget reached (${budget.used.toLocaleString()} of ${budget.hard.toLocaleString()} tokens used). ` +
+      'Raise or turn off the hard budget in Settings (⚙️) to keep sending messages.';
+  }
+
+  /**
+   * Build the leading context message that stands in for the dropped turns
+   * @param {Object} summary - Rolling summary
+   * @returns {Object} Message in the format PoeClient expects
+   */
+  createSummaryContextMessage(summary) {
+    return {
+      type: 'system',
+      content: `Summary of earlier turns in this conversation that are not included below:\n\n${summary.content}`
+    };
+  }
+
+  /**
+   * Show an upcoming automatic retry in the loading message
+   * The UI counts down to `retryAt` until the next attempt starts
+   * @param {Chat} chat - Chat receiving the response
+   * @param {string} messageId - ID of the loading message
+   * @param {Object} retry - Retry details from PoeClient (attempt, maxAttempts, delay, error)
+   */
+  handleRetry(chat, messageId, retry) {
+    chat.updateMessage(messageId, {
+      content: 'debunkr.org Assistant is thinking...',
+      isLoading: true,
+      metadata: {
+        retryAt: Date.now() + retry.delay,
+        retryAttempt: retry.attempt,
+        retryMaxAttempts: retry.maxAttempts,
+        retryReason: retry.error.message
+      }
+    });
+
+    this.eventBus.emit(EventTypes.MESSAGE_RETRYING, {
+      chat,
+      messageId,
+      attempt: retry.attempt,
+      maxAttempts: retry.maxAttempts,
+      delay: retry.delay
+    });
+
+    this.eventBus.emit(EventTypes.UI_UPDATE, {
+      type: 'renderMessages',
+      chat: chat
+    });
+  }
+
+  /**
+   * Move the verdict block of a reply into the message metadata
+   * The prose alone becomes the message content, so the JSON is neither shown as text
+   * nor sent back to the model in later turns.
+   * @param {string} content - Reply text
+   * @param {Object} metadata - Metadata for the final message
+   * @param {boolean} structured - Whether structured verdicts were requested
+   * @returns {Object} Message `content` and `metadata` with `verdict` or `verdictErrors`
+   */
+  extractVerdict(content, metadata, structured) {
+    if (!structured) {
+      return { content, metadata };
+    }
+
+    const { prose, verdict, errors } = this.verdictExtractor.extract(content);
+    return {
+      content: prose || 'The analysis is in the verdict above.',
+      metadata: verdict ? { ...metadata, verdict } : { ...metadata, verdictErrors: errors }
+    };
+  }
+
+  /**
+   * Copy a message's verdict to the clipboard as JSON
+   * @param {string} messageId - ID of the message
+   * @param {Chat} chat - Chat containing the message
+   * @returns {Promise<boolean>} Whether the verdict was copied
+   */
+  async copyVerdictToClipboard(messageId, chat) {
+    const verdict = chat.getMessage(messageId)?.metadata?.verdict;
+    if (!verdict) {
+      return false;
+    }
+
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(verdict, null, 2));
+      return true;
+    } catch (error) {
+      console.error('[MessageController] Failed to copy verdict to clipboard:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Replace the loading message with the final response text
+   * A loading message that carries earlier versions (a regeneration) gets the response
+   * as a new version instead.
+   * @param {Chat} chat - Chat receiving the response
+   * @param {Message} loadingMessage - Placeholder message to replace
+   * @param {string} content - Response text
+   * @param {Object} [metadata] - Metadata for the final message
+   */
+  completeLoadingMessage(chat, loadingMessage, content, metadata = {}) {
+    const updateSuccess = loadingMessage.versions.length > 0
+      ? chat.addMessageVersion(loadingMessage.id, content, metadata)
+      : chat.updateMessage(loadingMessage.id, {
+        content,
+        isLoading: false,
+        metadata
+      });
+
+    if (!updateSuccess) {
+      console.warn('[MessageController] Failed to update loading message, adding new message');
+      // Fallback: remove loading message and add new response
+      chat.removeMessage(loadingMessage.id);
+      const newMessage = chat.addMessage(content, 'assistant', [], { metadata });
+      
+      this.eventBus.emit(EventTypes.MESSAGE_RECEIVED, {
+        message: newMessage,
+        chat: chat,
+        loadingMessageId: loadingMessage.id,
+        fallbackUsed: true
+      });
+    } else {
+      const updatedMessage = chat.getMessage(loadingMessage.id);
+      this.eventBus.emit(EventTypes.MESSAGE_RECEIVED, {
+        message: updatedMessage,
+        chat: chat,
+        loadingMessageId: loadingMessage.id
+      });
+    }
+  }
+
   /**
    * Add error message to chat
+   * The failed request's options (including its images) are kept so Retry can replay the turn.
    * @param {Chat} chat - Chat to add error to
    * @param {string} errorContent - Error message content
+   * @param {Object} [failure] - What failed
+   * @param {string} [failure.category] - Error category from getErrorCategory()
+   * @param {string} [failure.detail] - Original error message
+   * @param {Object} [failure.retryOptions] - getAIResponse() options of the failed request
    */
-  async addErrorMessage(chat, errorContent) {
-    const errorMessage = chat.addMessage(errorContent, 'assistant', [], { isError: true });
+  async addErrorMessage(chat, errorContent, failure = {}) {
+    const { category = 'unknown', detail = null, retryOptions = null } = failure;
+    const errorMessage = chat.addMessage(errorContent, 'assistant', [], {
+      isError: true,
+      metadata: { errorCategory: category, errorDetail: detail }
+    });
     
     chat.updateMessage(errorMessage.id, {
       isError: true
     });
+
+    if (retryOptions) {
+      this.failedRequests.set(errorMessage.id, {
+        chatId: chat.id,
+        images: retryOptions.images || [],
+        regenerateMessageId: retryOptions.regenerateMessageId || null,
+        bypassCache: Boolean(retryOptions.bypassCache)
+      });
+    }
+  }
+
+  /**
+   * Replay the turn that failed with an error message
+   * The error message is removed and the same history is sent again, with the images the
+   * failed request carried. After a reload those are taken from the user message before the error.
+   * @param {Chat} chat - Chat containing the error message
+   * @param {string} messageId - ID of the error message
+   * @returns {Promise<boolean>} Whether the turn was retried
+   */
+  async retryFailedTurn(chat, messageId) {
+    const message = chat?.getMessage(messageId);
+    if (!this.canRetry(chat, message) || this.requestQueue.isChatBusy(chat.id)) {
+      console.warn(`[MessageController] Cannot retry message ${messageId}`);
+      return false;
+    }
+
+    this.cancelFollowUps(chat.id);
+
+    const category = message.metadata?.errorCategory || 'unknown';
+    const failed = this.failedRequests.get(messageId) || {
+      images: this.getLastUserImages(chat, message),
+      regenerateMessageId: null,
+      bypassCache: false
+    };
+    this.failedRequests.delete(messageId);
+    this.retriedErrors[category] = (this.retriedErrors[category] || 0) + 1;
+    console.log(`[MessageController] Retrying turn in chat ${chat.id} after ${category} error`);
+
+    chat.removeMessage(messageId);
+
+    const regenerateMessageId = failed.regenerateMessageId && chat.getMessage(failed.regenerateMessageId)
+      ? failed.regenerateMessageId
+      : null;
+    await this.getAIResponse(chat, {
+      images: failed.images,
+      regenerateMessageId,
+      bypassCache: failed.bypassCache
+    });
+    return true;
+  }
+
+  /**
+   * Check whether an error message can be retried
+   * Only the latest message can be, so the replayed turn sees the same history.
+   * @param {Chat} chat - Chat containing the message
+   * @param {Message|null} message - Message to check
+   * @returns {boolean} Whether Retry is possible
+   */
+  canRetry(chat, message) {
+    const messages = chat.getMessages();
+    return Boolean(message && message.isError && messages[messages.length - 1] === message);
+  }
+
+  /**
+   * Get the images of the user message before a message
+   * @param {Chat} chat - Chat containing the message
+   * @param {Message} message - Message to look back from
+   * @returns {Array<Object>} Images, empty if none
+   */
+  getLastUserImages(chat, message) {
+    const messages = chat.getMessages();
+    const previous = messages
+      .slice(0, messages.indexOf(message))
+      .reverse()
+      .find(msg => msg.isFromUser() && !msg.excludedFromContext);
+    return previous ? previous.images : [];
   }
 
   /**
@@ -263,21 +1417,48 @@ class MessageController {
    * @returns {string} User-friendly error message
    */
   getUserFriendlyErrorMessage(error) {
-    const message = error.message.toLowerCase();
+    const retried = error.attempts > 1 ? ` (gave up after ${error.attempts} attempts)` : '';
     
-    if (message.includes('401') || message.includes('invalid or expired api key')) {
-      return "Your API key appears to be invalid or expired. Please check your API key in Settings.";
+    switch (this.getErrorCategory(error)) {
+      case 'retryAfterTooLong':
+        return `The service asked to wait ${Math.ceil(error.retryAfter / 1000)} seconds before retrying, which is longer than the maximum retry wait in Settings. Please try again later.`;
+      case 'auth':
+        return "Your API key appears to be invalid or expired. Please check your API key in Settings.";
+      case 'rateLimit':
+        return `You've exceeded your API rate limit${retried}. Please wait a moment before trying again.`;
+      case 'unavailable':
+        return `The service is temporarily unavailable${retried}. Please try again in a few minutes.`;
+      case 'timeout':
+        return "The request timed out. Please check your internet connection and try again.";
+      case 'network':
+        return "Unable to connect to the service. Please check your internet connection.";
+      default:
+        return `Something went wrong while processing your request.\n\nPlease make sure your API key and provider are configured in Settings and try again.`;
+    }
+  }
+
+  /**
+   * Classify an error for the user-facing message and diagnostics
+   * @param {Error} error - Error object
+   * @returns {string} 'retryAfterTooLong', 'auth', 'rateLimit', 'unavailable', 'timeout', 'network' or 'unknown'
+   */
+  getErrorCategory(error) {
+    const message = error.message.toLowerCase();
+
+    if (error.retryAfterTooLong) {
+      return 'retryAfterTooLong';
+    } else if (message.includes('401') || message.includes('invalid or expired api key')) {
+      return 'auth';
     } else if (message.includes('429') || message.includes('rate limit')) {
-      return "You've exceeded your API rate limit. Please wait a moment before trying again.";
+      return 'rateLimit';
     } else if (message.includes('503') || message.includes('service temporarily unavailable')) {
-      return "The service is temporarily unavailable. Please try again in a few minutes.";
+      return 'unavailable';
     } else if (message.includes('timeout') || message.includes('timed out')) {
-      return "The request timed out. Please check your internet connection and try again.";
+      return 'timeout';
     } else if (message.includes('network') || message.includes('fetch')) {
-      return "Unable to connect to the service. Please check your internet connection.";
-    } else {
-      return `Something went wrong while processing your request.\n\nPlease make sure your Poe API key is configured in Settings and try again.`;
+      return 'network';
     }
+    return 'unknown';
   }
 
   /**
@@ -390,6 +1571,21 @@ class MessageController {
     }
   }
 
+  handleChatDeleted(data) {
+    // Nothing can show the answer anymore; free the slot for other chats
+    this.cancelFollowUps(data.chatId);
+    this.activeRequests.forEach((request, messageId) => {
+      if (request.chatId === data.chatId) {
+        this.cancelRequest(messageId);
+      }
+    });
+    this.failedRequests.forEach((failed, messageId) => {
+      if (failed.chatId === data.chatId) {
+        this.failedRequests.delete(messageId);
+      }
+    });
+  }
+
   handleCacheClear(data) {
     console.log(`[MessageController] Cache clear requested: ${data.type} (reason: ${data.reason})`);
     
@@ -400,29 +1596,22 @@ class MessageController {
 
   /**
    * Get current API request status
-   * @returns {boolean} Whether API request is pending
+   * @param {number} [chatId] - Only check this chat
+   * @returns {boolean} Whether a request, including a follow-up suggestion request, is running or queued
    */
-  isRequestPending() {
-    return this.isApiRequestPending;
-  }
-
-  /**
-   * Get pending images
-   * @returns {Array|null} Pending images or null
-   */
-  getPendingImages() {
-    return this.pendingImages;
+  isRequestPending(chatId) {
+    if (chatId !== undefined) {
+      return this.requestQueue.isChatBusy(chatId);
+    }
+    return this.activeRequests.size > 0 || this.followUpRequests.size > 0;
   }
 
   /**
-   * Clear pending images
+   * Get the IDs of chats with a running or queued request
+   * @returns {Array<number>} Busy chat IDs
    */
-  clearPendingImages() {
-    this.pendingImages = null;
-    
-    this.eventBus.emit(EventTypes.UI_CLEAR, {
-      type: 'images'
-    });
+  getBusyChatIds() {
+    return this.requestQueue.getBusyChatIds();
   }
 
   /**
@@ -431,9 +1620,11 @@ class MessageController {
    */
   getDiagnostics() {
     return {
-      isApiRequestPending: this.isApiRequestPending,
-      hasPendingImages: this.pendingImages !== null,
-      pendingImageCount: this.pendingImages ? this.pendingImages.length : 0
+      activeRequestCount: this.activeRequests.size,
+      activeLoadingMessageIds: Array.from(this.activeRequests.keys()),
+      busyChatIds: this.requestQueue.getBusyChatIds(),
+      maxConcurrentRequests: this.requestQueue.maxConcurrent,
+      retriedErrors: { ...this.retriedErrors }
     };
   }
 
@@ -441,9 +1632,9 @@ class MessageController {
    * Clean up message controller
    */
   cleanup() {
-    // Clear pending state
-    this.isApiRequestPending = false;
-    this.pendingImages = null;
+    // Abort all running and queued requests
+    this.cancelRequest();
+    this.cancelFollowUps();
     
     console.log('[MessageController] Cleanup completed');
   }
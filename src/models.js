@@ -60,6 +60,15 @@ class Message {
     /** @type {Object} Additional metadata */
     this.metadata = data.metadata || {};
 
+    /** @type {Array<Object>} Every generated version ({ content, metadata, timestamp }), oldest first; empty until a response is regenerated */
+    this.versions = Array.isArray(data.versions) ? data.versions : [];
+
+    /** @type {number} Index of the version shown and sent in later context */
+    this.versionIndex = data.versionIndex || 0;
+
+    /** @type {boolean} Whether the user left this message out of API requests */
+    this.excludedFromContext = Boolean(data.excludedFromContext);
+
     // Freeze the object to prevent accidental mutations
     if (options.freeze !== false) {
       Object.freeze(this);
@@ -148,6 +157,88 @@ class Message {
     return this.type === 'assistant';
   }
 
+  /**
+   * Check if message is a transcript marker (e.g. a model switch)
+   * Markers are shown in the chat but never sent to the model
+   * @returns {boolean} Whether message is a marker
+   */
+  isMarker() {
+    return Boolean(this.metadata && this.metadata.marker);
+  }
+
+  /**
+   * Check if message compares several answers and none has been promoted yet
+   * Such a message is not part of the conversation the model sees
+   * @returns {boolean} Whether message is an undecided comparison
+   */
+  isPendingComparison() {
+    return Boolean(this.metadata && this.metadata.comparison) && this.metadata.comparison.canonicalIndex === null;
+  }
+
+  /**
+   * Get all versions of the message
+   * A message that was never regenerated has a single version: itself.
+   * @returns {Array<Object>} Versions with `content`, `metadata` and `timestamp`, oldest first
+   */
+  getVersions() {
+    if (this.versions.length > 0) {
+      return this.versions;
+    }
+    return [{ content: this.content, metadata: this.metadata, timestamp: this.timestamp }];
+  }
+
+  /**
+   * Get the number of versions
+   * @returns {number} Version count (at least 1)
+   */
+  getVersionCount() {
+    return this.getVersions().length;
+  }
+
+  /**
+   * Create a copy with a new version added and shown
+   * @param {string} content - Content of the new version
+   * @param {Object} [metadata] - Metadata of the new version
+   * @returns {Message} New message instance
+   */
+  withNewVersion(content, metadata = {}) {
+    const versions = [...this.getVersions(), {
+      content: this.sanitizeContent(content),
+      metadata,
+      timestamp: new Date().toISOString()
+    }];
+    return this.update({
+      content,
+      metadata,
+      isLoading: false,
+      isError: false,
+      versions,
+      versionIndex: versions.length - 1
+    });
+  }
+
+  /**
+   * Create a copy showing another version
+   * @param {number} index - Version index
+   * @returns {Message} New message instance
+   * @throws {Error} If the version doesn't exist
+   */
+  withVersion(index) {
+    const versions = this.getVersions();
+    const version = versions[index];
+    if (!version) {
+      throw new Error(`Message has no version ${index}`);
+    }
+
+    return this.update({
+      content: version.content,
+      metadata: version.metadata,
+      isLoading: false,
+      versions,
+      versionIndex: index
+    });
+  }
+
   /**
    * Get message preview for UI display
    * @param {number} maxLength - Maximum preview length
@@ -171,6 +262,14 @@ class Message {
    * @returns {Message} New message instance
    */
   update(updates) {
+    // Metadata added to a finished answer (verdict, follow-ups, cache flags) belongs to the version shown
+    let versions = this.versions;
+    if ('metadata' in updates && !('versions' in updates) && versions.length > 0 && !(updates.isLoading ?? this.isLoading)) {
+      versions = versions.map((version, index) => index === this.versionIndex
+        ? { ...version, metadata: updates.metadata }
+        : version);
+    }
+
     return new Message({
       id: this.id,
       content: this.content,
@@ -180,6 +279,9 @@ class Message {
       isLoading: this.isLoading,
       isError: this.isError,
       metadata: this.metadata,
+      versions,
+      versionIndex: this.versionIndex,
+      excludedFromContext: this.excludedFromContext,
       ...updates
     });
   }
@@ -197,7 +299,10 @@ class Message {
       images: this.images,
       isLoading: this.isLoading,
       isError: this.isError,
-      metadata: this.metadata
+      metadata: this.metadata,
+      versions: this.versions,
+      versionIndex: this.versionIndex,
+      excludedFromContext: this.excludedFromContext
     };
   }
 
@@ -252,6 +357,41 @@ class Chat {
     
     /** @type {Object} Additional metadata */
     this.metadata = data.metadata || {};
+
+    /** @type {Array<Object>} Conversation branches; empty until a user message is edited. The active branch's messages live in `_messages` */
+    this._branches = (data.branches || []).map(branch => ({
+      ...branch,
+      messages: this.initializeMessages(branch.messages || [])
+    }));
+
+    /** @type {number} ID of the branch shown and continued */
+    this._activeBranchId = data.activeBranchId || 1;
+
+    /** @type {boolean} Whether the messages are in memory; stored chats are loaded when opened */
+    this.isLoaded = data.isLoaded !== false;
+
+    /** @type {Object|null} Stored `messageCount` and `lastMessage`, standing in for the messages until loaded */
+    this.storedStats = data.storedStats || null;
+
+    /** @type {string|null} Why the stored messages could not be loaded */
+    this.loadError = null;
+  }
+
+  /**
+   * Fill in the messages of a chat that was stored
+   * Title, activity and metadata stay as they are, since they were read with the chat list.
+   * @param {Object} data - Stored content with `messages`, `branches` and `activeBranchId`
+   */
+  loadContent(data) {
+    this._messages = this.initializeMessages(data.messages || []);
+    this._branches = (data.branches || []).map(branch => ({
+      ...branch,
+      messages: this.initializeMessages(branch.messages || [])
+    }));
+    this._activeBranchId = data.activeBranchId || 1;
+    this.isLoaded = true;
+    this.storedStats = null;
+    this.loadError = null;
   }
 
   /**
@@ -397,20 +537,248 @@ class Chat {
    * @returns {boolean} Whether message was found and updated
    */
   updateMessage(messageId, updates) {
-    const index = this._messages.findIndex(msg => msg.id === messageId);
+    const message = this.getMessage(messageId);
+    return message ? this.replaceMessage(message.update(updates)) : false;
+  }
+
+  /**
+   * Add a regenerated response as a new version of a message and show it
+   * @param {string} messageId - ID of the message
+   * @param {string} content - Content of the new version
+   * @param {Object} [metadata] - Metadata of the new version
+   * @returns {boolean} Whether message was found and updated
+   */
+  addMessageVersion(messageId, content, metadata = {}) {
+    const message = this.getMessage(messageId);
+    return message ? this.replaceMessage(message.withNewVersion(content, metadata)) : false;
+  }
+
+  /**
+   * Show another version of a message; the shown version is sent in later context
+   * @param {string} messageId - ID of the message
+   * @param {number} index - Version index
+   * @returns {boolean} Whether the message and version were found
+   */
+  selectMessageVersion(messageId, index) {
+    const message = this.getMessage(messageId);
+    if (!message || index < 0 || index >= message.getVersionCount()) {
+      return false;
+    }
+    return this.replaceMessage(message.withVersion(index));
+  }
+
+  /**
+   * Swap in a new instance of an existing message
+   * @param {Message} newMessage - Updated message with the same ID
+   * @returns {boolean} Whether message was found and replaced
+   */
+  replaceMessage(newMessage) {
+    const index = this._messages.findIndex(msg => msg.id === newMessage.id);
     if (index !== -1) {
       const oldMessage = this._messages[index];
-      this._messages[index] = oldMessage.update(updates);
+      this._messages[index] = newMessage;
       this.updateActivity();
       this.emitChange('messageUpdated', { 
         oldMessage, 
-        newMessage: this._messages[index] 
+        newMessage 
       });
       return true;
     }
     return false;
   }
 
+  /**
+   * Put a removed message back at its former position
+   * @param {Message} message - Message returned by removeMessage()
+   * @param {number} index - Position it had
+   * @returns {boolean} Whether the message was restored
+   */
+  restoreMessage(message, index) {
+    if (this.getMessage(message.id)) {
+      return false;
+    }
+
+    this._messages.splice(Math.min(index, this._messages.length), 0, message);
+    this.updateActivity();
+    this.emitChange('messageAdded', { message, totalMessages: this._messages.length });
+    return true;
+  }
+
+  /**
+   * Leave a message out of API requests, or include it again
+   * The message stays visible in the chat.
+   * @param {string} messageId - Message ID
+   * @param {boolean} excluded - Whether to exclude the message
+   * @returns {boolean} Whether the message was found
+   */
+  setMessageExcluded(messageId, excluded) {
+    const message = this.getMessage(messageId);
+    if (!message) {
+      return false;
+    }
+    return this.replaceMessage(message.update({ excludedFromContext: Boolean(excluded) }));
+  }
+
+  /**
+   * Check whether the conversation summary was written from a message
+   * @param {string} messageId - Message ID
+   * @returns {boolean} Whether the message is at or before the summary's last covered turn
+   */
+  isCoveredBySummary(messageId) {
+    const summary = this.getSummary();
+    if (!summary) {
+      return false;
+    }
+
+    const coveredIndex = this._messages.findIndex(msg => msg.id === summary.coveredUntilId);
+    const index = this._messages.findIndex(msg => msg.id === messageId);
+    return index !== -1 && index <= coveredIndex;
+  }
+
+  /**
+   * Get the conversation branches
+   * @returns {Array<Object>} Branches with `id`, `createdAt`, `parentBranchId`, `forkIndex`,
+   *   `messageCount` and `isActive`; empty if the chat was never branched
+   */
+  getBranches() {
+    return this._branches.map(branch => ({
+      id: branch.id,
+      createdAt: branch.createdAt,
+      parentBranchId: branch.parentBranchId,
+      forkIndex: branch.forkIndex,
+      messageCount: branch.id === this._activeBranchId ? this._messages.length : branch.messages.length,
+      isActive: branch.id === this._activeBranchId
+    }));
+  }
+
+  /**
+   * Get the ID of the active branch
+   * @returns {number} Branch ID
+   */
+  getActiveBranchId() {
+    return this._activeBranchId;
+  }
+
+  /**
+   * Start a new branch with an edited copy of a user message
+   * The new branch keeps the turns before the message; the original branch is left intact.
+   * @param {string} messageId - ID of the user message to edit
+   * @param {string} content - Edited content
+   * @returns {Message|null} The edited message in the new branch, or null if it can't be edited
+   */
+  branchFromMessage(messageId, content) {
+    const index = this._messages.findIndex(msg => msg.id === messageId);
+    if (index === -1 || !this._messages[index].isFromUser()) {
+      return null;
+    }
+
+    const original = this._messages[index];
+    const edited = new Message({
+      content,
+      type: 'user',
+      images: original.images
+    }, { freeze: false });
+    const prefix = this._messages.slice(0, index);
+
+    if (this._branches.length === 0) {
+      this._branches.push({
+        id: this._activeBranchId,
+        createdAt: this._messages[0]?.timestamp || new Date().toISOString(),
+        parentBranchId: null,
+        forkIndex: null,
+        messages: []
+      });
+    }
+    this.storeActiveBranch();
+
+    const branch = {
+      id: Math.max(...this._branches.map(b => b.id)) + 1,
+      createdAt: new Date().toISOString(),
+      parentBranchId: this._activeBranchId,
+      forkIndex: index,
+      messages: []
+    };
+    this._branches.push(branch);
+
+    // A summary of turns that are all in the shared prefix still applies
+    const summary = this.getSummary();
+    const keepSummary = summary && prefix.some(msg => msg.id === summary.coveredUntilId);
+
+    this._activeBranchId = branch.id;
+    this._messages = [...prefix, edited];
+    this.metadata = { ...this.metadata, summary: keepSummary ? summary : null, lastContext: null };
+    this.updateActivity();
+    this.emitChange('branchCreated', { branchId: branch.id, parentBranchId: branch.parentBranchId, message: edited });
+
+    return edited;
+  }
+
+  /**
+   * Show and continue another branch
+   * @param {number} branchId - Branch ID
+   * @returns {boolean} Whether the branch was switched
+   */
+  switchBranch(branchId) {
+    const target = this._branches.find(branch => branch.id === branchId);
+    if (!target || branchId === this._activeBranchId) {
+      return false;
+    }
+
+    this.storeActiveBranch();
+
+    this._messages = target.messages;
+    target.messages = [];
+    this.metadata = { ...this.metadata, summary: target.summary || null, lastContext: target.lastContext || null };
+    this._activeBranchId = branchId;
+    this.emitChange('branchSwitched', { branchId });
+    return true;
+  }
+
+  /**
+   * Move the active branch's messages and context state into its branch record
+   */
+  storeActiveBranch() {
+    const active = this._branches.find(branch => branch.id === this._activeBranchId);
+    if (active) {
+      active.messages = this._messages;
+      active.summary = this.metadata.summary || null;
+      active.lastContext = this.metadata.lastContext || null;
+    }
+  }
+
+  /**
+   * Get the model selected for this chat
+   * @returns {string|null} Model ID, or null to use the provider's default
+   */
+  getModel() {
+    return this.metadata.model || null;
+  }
+
+  /**
+   * Get the analysis lens selected for this chat
+   * @returns {string|null} Lens ID, or null to use the default lens
+   */
+  getLensId() {
+    return this.metadata.lensId || null;
+  }
+
+  /**
+   * Get the rolling summary of turns left out of the context
+   * @returns {Object|null} Summary with `content`, `coveredUntilId`, `coveredCount`, `updatedAt` and `edited`
+   */
+  getSummary() {
+    return this.metadata.summary || null;
+  }
+
+  /**
+   * Store or clear the rolling summary
+   * @param {Object|null} summary - Summary to store, or null to remove it
+   */
+  setSummary(summary) {
+    this.metadata = { ...this.metadata, summary: summary || null };
+    this.emitChange('summaryUpdated', { summary: this.metadata.summary });
+  }
+
   /**
    * Get message by ID
    * @param {string} messageId - Message ID to find
@@ -433,15 +801,15 @@ class Chat {
    * @returns {boolean} Whether chat has no messages
    */
   isEmpty() {
-    return this._messages.length === 0;
+    return this.getMessageCount() === 0;
   }
 
   /**
    * Get message count
-   * @returns {number} Number of messages
+   * @returns {number} Number of messages, including stored ones not loaded yet
    */
   getMessageCount() {
-    return this._messages.length;
+    return this.isLoaded ? this._messages.length : this.storedStats?.messageCount || 0;
   }
 
   /**
@@ -521,7 +889,13 @@ class Chat {
       lastActivity: this._lastActivity,
       sourceUrl: this.sourceUrl,
       lastSourceUrl: this.lastSourceUrl,
-      metadata: this.metadata
+      metadata: this.metadata,
+      // The active branch's messages are stored once, in `messages`
+      branches: this._branches.map(branch => ({
+        ...branch,
+        messages: branch.id === this._activeBranchId ? [] : branch.messages.map(msg => msg.toJSON())
+      })),
+      activeBranchId: this._activeBranchId
     };
   }
 
@@ -1,36 +1,45 @@
 /**
  * Poe API Client Module
  * Handles all communication with Poe's API for the debunkr.org bot.
- * This client uses the Chat Completions endpoint provided by Poe.
+ * This client uses the Chat Completions endpoint provided by Poe, or any
+ * OpenAI-compatible endpoint configured as a provider in ProviderManager.
  *
  * Features:
  * - Secure API key management through StorageManager.
+ * - Pluggable providers (base URL, model, headers and API key per provider).
  * - Client-side conversation history management for persistent chats.
  * - Connection testing for API key validation.
  * - Simplified, single-call API interaction.
+ * - Optional SSE streaming with incremental chunk callbacks.
+ * - Persistent response cache keyed by a SHA-256 of the full request.
+ * - Automatic retries with jittered exponential backoff and Retry-After support.
+ * - Per-request model override and model discovery via the provider's /models endpoint.
+ * - Token usage and latency of every call recorded in a local UsageLedger.
  *
  * API Flow:
  * 1. The ChatManager provides the entire message history for a conversation.
- * 2. This client formats the history and sends it to the Poe API.
- * 3. The Poe API processes the request using the proprietary 'debunkr.org' bot.
+ * 2. This client formats the history and sends it to the active provider.
+ * 3. The provider processes the request (by default Poe's proprietary 'debunkr.org' bot).
  * 4. The response is returned directly to the ChatManager.
  *
  * @class PoeClient
  */
 class PoeClient {
   /**
-   * Initialize Poe client with storage manager dependency.
+   * Initialize Poe client with storage and provider dependencies.
    * @param {StorageManager} storageManager - Storage manager for API key access.
+   * @param {ProviderManager} providerManager - Resolves the endpoint configuration to use.
+   * @param {UsageLedger} [usageLedger] - Ledger that records the usage of each call.
    * @constructor
    */
-  constructor(storageManager) {
+  constructor(storageManager, providerManager, usageLedger) {
     /** @type {StorageManager} Reference to storage manager for API key operations. */
     this.storageManager = storageManager;
-    /** @type {string} The base URL for the Poe API. */
-    this.baseUrl = 'https://api.poe.com/v1';
-    /** @type {string|null} Cached API key to avoid repeated decryption */
-    this.cachedApiKey = null;
-    /** @type {number} Cache timestamp for API key */
+    /** @type {ProviderManager} Provider configuration source. */
+    this.providerManager = providerManager || new ProviderManager(storageManager);
+    /** @type {Object|null} Cached active provider (including API key) to avoid repeated decryption */
+    this.cachedProvider = null;
+    /** @type {number} Cache timestamp for the provider */
     this.cacheTimestamp = 0;
     /** @type {number} Cache validity in milliseconds (5 minutes) */
     this.cacheValidity = 5 * 60 * 1000;
@@ -38,56 +47,86 @@ class PoeClient {
     this.lastRequestTime = 0;
     /** @type {number} Minimum interval between requests (ms) */
     this.minRequestInterval = 1000;
-    /** @type {Map} Simple cache for identical requests */
-    this.requestCache = new Map();
-    /** @type {number} Maximum cache size */
-    this.maxCacheSize = 20;
+    /** @type {ResponseCache} Persistent cache for identical requests */
+    this.responseCache = new ResponseCache(storageManager);
+    /** @type {UsageLedger} Local record of token usage per call */
+    this.usageLedger = usageLedger || new UsageLedger(storageManager);
+    /** @type {number} Request timeout in milliseconds (idle time between chunks when streaming) */
+    this.requestTimeout = 30000;
+    /** @type {Map<string, Object>} Model lists per provider ID with fetch timestamp */
+    this.modelListCache = new Map();
+    /** @type {number} Base delay for exponential retry backoff in milliseconds */
+    this.retryBaseDelay = 2000;
   }
 
   /**
-   * Get API key with caching to avoid repeated decryption
-   * @returns {Promise<string>} API key
+   * Get the active provider with caching to avoid repeated decryption
+   * @returns {Promise<Object>} Provider configuration including `apiKey`
    */
-  async getCachedApiKey() {
+  async getCachedProvider() {
     const now = Date.now();
     
     // Check if cache is valid
-    if (this.cachedApiKey && (now - this.cacheTimestamp) < this.cacheValidity) {
-      return this.cachedApiKey;
+    if (this.cachedProvider && (now - this.cacheTimestamp) < this.cacheValidity) {
+      return this.cachedProvider;
     }
     
     // Refresh cache
-    this.cachedApiKey = await this.storageManager.getOpenAIApiKey();
+    this.cachedProvider = await this.providerManager.getActiveProvider();
     this.cacheTimestamp = now;
     
-    return this.cachedApiKey;
+    return this.cachedProvider;
   }
 
   /**
-   * Clear API key cache (call when API key changes)
+   * Clear API key and provider cache (call when API key or provider settings change)
    */
   clearApiKeyCache() {
-    this.cachedApiKey = null;
+    this.cachedProvider = null;
     this.cacheTimestamp = 0;
+    this.modelListCache.clear();
+  }
+
+  /**
+   * Build request headers for a provider
+   * @param {Object} provider - Provider configuration
+   * @param {string|null} apiKey - API key to send as a bearer token
+   * @returns {Object<string, string>} Request headers
+   */
+  buildHeaders(provider, apiKey) {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...(provider.headers || {})
+    };
+
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    return headers;
   }
 
   /**
    * Clear request cache (call when chats are deleted to prevent resurrection)
+   * @returns {Promise<void>}
    */
-  clearRequestCache() {
-    this.requestCache.clear();
+  async clearRequestCache() {
+    await this.responseCache.clear();
     console.log('[PoeClient] Request cache cleared');
   }
 
   /**
-   * Test Poe API connection with the provided API key.
+   * Test the API connection with the provided API key.
    * Makes a minimal request to validate the key with timeout protection.
-   * @param {string} apiKey - Poe API key to test.
+   * @param {string} apiKey - API key to test (may be empty for providers without authentication).
+   * @param {Object} [provider] - Provider configuration to test; defaults to the active provider.
    * @returns {Promise<boolean>} True if the connection is successful, false otherwise.
    */
-  async testConnection(apiKey) {
+  async testConnection(apiKey, provider = null) {
+    const target = provider || await this.getCachedProvider();
+
     // Validate API key format
-    if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 10) {
+    if (target.requiresApiKey && (!apiKey || typeof apiKey !== 'string' || apiKey.length < 10)) {
       console.warn('Invalid API key format');
       return false;
     }
@@ -96,15 +135,12 @@ class PoeClient {
     const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
 
     try {
-      console.log('Testing connection to Poe API...');
-      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      console.log(`Testing connection to ${target.name}...`);
+      const response = await fetch(`${target.baseUrl}/chat/completions`, {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
+        headers: this.buildHeaders(target, apiKey),
         body: JSON.stringify({
-          model: 'debunkr.org',
+          model: target.model,
           messages: [{ role: 'user', content: 'ping' }],
           max_tokens: 1 // Minimize API usage for test
         }),
@@ -112,7 +148,7 @@ class PoeClient {
       });
 
       clearTimeout(timeoutId);
-      console.log('Poe connection test status:', response.status);
+      console.log(`${target.name} connection test status:`, response.status);
       return response.ok;
     } catch (error) {
       clearTimeout(timeoutId);
@@ -120,176 +156,719 @@ class PoeClient {
         console.error('Connection test timed out');
         return false;
       }
-      console.error('Error testing Poe connection:', error);
+      console.error(`Error testing ${target.name} connection:`, error);
       return false;
     }
   }
 
+  /**
+   * List the models offered by the active provider.
+   * Uses the OpenAI-compatible `GET /models` endpoint; providers without it return an
+   * empty list so the caller can fall back to manual entry.
+   * @returns {Promise<Array<string>>} Sorted model IDs, empty if unavailable.
+   */
+  async listModels() {
+    const provider = await this.getCachedProvider();
+    const cached = this.modelListCache.get(provider.id);
+    if (cached && (Date.now() - cached.timestamp) < this.cacheValidity) {
+      return cached.models;
+    }
+
+    if (provider.requiresApiKey && !provider.apiKey) {
+      return [];
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    try {
+      const response = await fetch(`${provider.baseUrl}/models`, {
+        method: 'GET',
+        headers: this.buildHeaders(provider, provider.apiKey),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        console.warn(`${provider.name} model list unavailable:`, response.status);
+        return [];
+      }
+
+      const data = await response.json();
+      const models = (Array.isArray(data.data) ? data.data : [])
+        .map(model => model && model.id)
+        .filter(id => typeof id === 'string' && id)
+        .sort((a, b) => a.localeCompare(b));
+
+      this.modelListCache.set(provider.id, { models, timestamp: Date.now() });
+      return models;
+    } catch (error) {
+      console.warn(`Error listing ${provider.name} models:`, error);
+      return [];
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
 
   /**
    * Send message history to the Poe bot and return the response.
-   * @param {Array<Object>} messageHistory - The full history of the conversation.
+   * When streaming, partial text is reported through `options.onChunk` as it arrives
+   * and the timeout only fires after a period without any data.
+   * Rate limits, server errors, timeouts and network failures are retried with jittered
+   * exponential backoff that honours `Retry-After`; errors that cannot succeed on retry fail fast.
+   * @param {Array<Object>} messageHistory - The conversation history to send, already fitted to the context budget.
    * @param {Array<Object>} images - Optional array of image objects with data, type, and fileName.
+   * @param {Object} [options] - Request options.
+   * @param {boolean} [options.stream=false] - Request an SSE stream instead of a single completion.
+   * @param {Function} [options.onChunk] - Called with (delta, fullText) for each streamed chunk.
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request when aborted.
+   * @param {string} [options.model] - Model or bot to use instead of the provider's default.
+   * @param {number} [options.maxRetries=3] - Retries after the first attempt; 0 disables retrying.
+   * @param {number} [options.maxRetryWait=60000] - Longest wait before a retry in milliseconds.
+   * @param {Function} [options.onRetry] - Called with { attempt, maxAttempts, delay, error } before waiting.
+   * @param {boolean} [options.useCache=false] - Answer from the response cache if an identical request was made.
+   * @param {boolean} [options.updateCache] - Store the answer in the response cache; defaults to `useCache`.
+   *   Set it without `useCache` to refresh a cached answer.
+   * @param {number} [options.cacheTtl=86400000] - Maximum age of a cached response in milliseconds.
+   * @param {Function} [options.onCacheHit] - Called with the cache entry ({ response, createdAt }) on a hit.
+   * @param {number} [options.chatId] - Chat the request is made for, recorded in the usage ledger.
+   * @param {string} [options.purpose='analysis'] - Why the request is made, recorded in the usage ledger.
    * @returns {Promise<string>} The assistant's response text.
-   * @throws {Error} If API key is missing or the API request fails.
+   * @throws {Error} If API key is missing or the API request fails. Request errors carry the number
+   *   of `attempts` made and, for HTTP errors, `status` and `retryAfter`;
+   *   errors raised after part of a stream was received carry the received text in
+   *   `error.partialContent`; user cancellations have `error.cancelled` set.
    */
-  async sendMessage(messageHistory, images = []) {
-    // Check cache for identical requests
-    const cacheKey = this.generateCacheKey(messageHistory, images);
-    if (this.requestCache.has(cacheKey)) {
-      console.log('Returning cached response');
-      return this.requestCache.get(cacheKey);
+  async sendMessage(messageHistory, images = [], options = {}) {
+    const {
+      stream = false,
+      onChunk = null,
+      signal = null,
+      maxRetries = 3,
+      maxRetryWait = 60000,
+      onRetry = null,
+      useCache = false,
+      updateCache = useCache,
+      cacheTtl = 24 * 60 * 60 * 1000,
+      onCacheHit = null,
+      chatId = null,
+      purpose = 'analysis'
+    } = options;
+
+    // Resolve the provider (and its API key) with caching
+    const provider = await this.getCachedProvider();
+    const model = options.model || provider.model;
+
+    if (provider.requiresApiKey && !provider.apiKey) {
+      throw new Error(`${provider.name} API key not configured. Please configure it in Settings.`);
     }
 
-    // Throttle requests
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    if (timeSinceLastRequest < this.minRequestInterval) {
-      const waitTime = this.minRequestInterval - timeSinceLastRequest;
-      console.log(`Throttling request, waiting ${waitTime}ms`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+    // Validate inputs
+    if (!Array.isArray(messageHistory) || messageHistory.length === 0) {
+      throw new Error('Invalid message history provided.');
     }
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-    
-    try {
-      const apiKey = await this.getCachedApiKey(); // Gets the Poe API key with caching
-      if (!apiKey) {
-        throw new Error('Poe API key not configured. Please configure it in Settings.');
+    const requestBody = {
+      model: model,
+      messages: this.formatMessages(messageHistory, images),
+    };
+
+    // Check cache for identical requests; the key covers the full payload including images
+    const cacheKey = await this.responseCache.computeKey({
+      baseUrl: provider.baseUrl,
+      model: model,
+      messages: requestBody.messages
+    });
+    if (useCache) {
+      const cached = await this.responseCache.get(cacheKey, cacheTtl);
+      if (cached) {
+        console.log('Returning cached response');
+        if (onCacheHit) {
+          onCacheHit(cached);
+        }
+        return cached.response;
       }
+    }
 
-      // Validate inputs
-      if (!Array.isArray(messageHistory) || messageHistory.length === 0) {
-        throw new Error('Invalid message history provided.');
+    if (stream) {
+      requestBody.stream = true;
+      // Ask for a final usage chunk; providers that don't support it ignore the option
+      requestBody.stream_options = { include_usage: true };
+    }
+
+    const maxAttempts = Math.max(0, maxRetries) + 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const startTime = Date.now();
+        const { content, usage } = await this.performRequest(provider, requestBody, { stream, onChunk, signal });
+
+        await this.recordUsage({
+          chatId,
+          purpose,
+          provider,
+          model,
+          messages: requestBody.messages,
+          content,
+          usage,
+          latencyMs: Date.now() - startTime
+        });
+
+        // Cache successful responses, unless caching is turned off
+        if (updateCache) {
+          await this.responseCache.set(cacheKey, content, { model });
+        }
+        return content;
+      } catch (error) {
+        error.attempts = attempt;
+        if (attempt >= maxAttempts || !this.isRetryableError(error)) {
+          console.error(`Error communicating with ${provider.name}:`, error);
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, error.retryAfter, maxRetryWait);
+        if (delay === null) {
+          console.warn(`${provider.name} asked to wait ${Math.ceil(error.retryAfter / 1000)}s, longer than the configured maximum`);
+          error.retryAfterTooLong = true;
+          throw error;
+        }
+
+        console.warn(`${provider.name} request failed (attempt ${attempt}/${maxAttempts}), retrying in ${delay}ms:`, error.message);
+        if (onRetry) {
+          onRetry({ attempt: attempt + 1, maxAttempts, delay, error });
+        }
+
+        await this.waitForRetry(delay, signal);
       }
+    }
+  }
+
+  /**
+   * Record a completed call in the usage ledger.
+   * Token counts are estimated from the text when the provider doesn't report `usage`.
+   * Ledger failures are logged and never fail the request.
+   * @param {Object} call - Call details: chatId, purpose, provider, model, messages, content, usage, latencyMs.
+   * @returns {Promise<void>}
+   */
+  async recordUsage(call) {
+    const { usage } = call;
+    const hasUsage = usage && typeof usage.prompt_tokens === 'number';
+
+    try {
+      await this.usageLedger.record({
+        chatId: call.chatId,
+        purpose: call.purpose,
+        providerId: call.provider.id,
+        model: call.model,
+        promptTokens: hasUsage ? usage.prompt_tokens : this.estimateTokens(JSON.stringify(call.messages)),
+        completionTokens: hasUsage ? (usage.completion_tokens || 0) : this.estimateTokens(call.content),
+        latencyMs: call.latencyMs,
+        estimated: !hasUsage
+      });
+    } catch (error) {
+      console.warn('[PoeClient] Could not record usage:', error);
+    }
+  }
+
+  /**
+   * Roughly estimate the token count of a text (about 4 characters per token).
+   * @param {string} text - Text to estimate.
+   * @returns {number} Estimated tokens.
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Summarize conversation turns so they can stand in for the originals in later requests.
+   * Rolling: an earlier summary is folded in, so only newly dropped turns need to be sent.
+   * @param {Array<Object>} messages - Turns to summarize, oldest first.
+   * @param {string|null} [previousSummary] - Summary of the turns before these.
+   * @param {Object} [options] - Request options passed to sendMessage() (model, signal, retries).
+   * @returns {Promise<string>} The summary text.
+   */
+  async summarizeConversation(messages, previousSummary = null, options = {}) {
+    const maxTurnLength = 4000;
+    const transcript = messages.map(msg => {
+      const speaker = msg.type === 'user' ? 'User' : 'Assistant';
+      const content = msg.content.length > maxTurnLength
+        ? `${msg.content.substring(0, maxTurnLength)}… [shortened]`
+        : msg.content;
+      return `${speaker}: ${content}`;
+    }).join('\n\n');
+
+    const prompt = [
+      'Summarize the following part of a fact-checking conversation so the summary can replace the original turns in later requests.',
+      'Keep the claims examined, evidence and sources cited, conclusions reached and open questions. Write under 300 words and do not add new analysis.',
+      previousSummary ? `\nSummary of the turns before these:\n${previousSummary}` : '',
+      `\nTurns to summarize:\n${transcript}`
+    ].join('\n');
+
+    const summary = await this.sendMessage([{ type: 'user', content: prompt }], [], {
+      ...options,
+      stream: false,
+      onChunk: null,
+      purpose: 'summary'
+    });
+    return summary.trim();
+  }
 
-      // Limit message history to recent messages to reduce payload size
-      const maxMessages = 20;
-      const recentHistory = messageHistory.length > maxMessages 
-        ? messageHistory.slice(-maxMessages) 
-        : messageHistory;
-
-      // Map the extension's message format to the API's expected format.
-      const apiMessages = recentHistory.map(msg => ({
-        role: msg.type === 'user' ? 'user' : 'assistant', // Ensure correct roles
-        content: msg.content,
-      }));
-
-      // If images are provided for the current message, add them to the last user message
-      if (images.length > 0 && apiMessages.length > 0) {
-        // Find the last user message instead of just the last message
-        const lastUserMessage = apiMessages.slice().reverse().find(msg => msg.role === 'user');
-        if (lastUserMessage) {
-          const userText = lastUserMessage.content && lastUserMessage.content !== '[Image]' && lastUserMessage.content.trim()
-            ? lastUserMessage.content
-            : 'Please analyze this image';
-            
-          const contentParts = [
-            { type: 'text', text: userText }
-          ];
+  /**
+   * Split a text into the distinct factual claims it makes.
+   * @param {string} text - Text to split, usually a quoted user message.
+   * @param {Object} [options] - Request options passed to sendMessage() (model, signal, retries).
+   * @returns {Promise<Array<string>>} Atomic claims in the order they appear.
+   * @throws {Error} If the reply contains no claim list.
+   */
+  async extractClaims(text, options = {}) {
+    const prompt = [
+      'List the distinct factual claims made in the following text. Split compound statements into atomic claims that can each be checked on their own, and keep each claim faithful to the wording of the text.',
+      'Reply with a JSON array of strings and nothing else, e.g. ["first claim", "second claim"]. Reply with [] if the text makes no checkable claims.',
+      `\nText:\n${text}`
+    ].join('\n');
+
+    const reply = await this.sendMessage([{ type: 'user', content: prompt }], [], {
+      ...options,
+      stream: false,
+      onChunk: null,
+      purpose: 'claims'
+    });
+    return this.parseClaimList(reply);
+  }
+
+  /**
+   * Read the claim list from a model reply, tolerating text or code fences around the array.
+   * @param {string} reply - Model reply.
+   * @returns {Array<string>} Unique, non-empty claims (at most MAX_EXTRACTED_CLAIMS).
+   * @throws {Error} If the reply contains no JSON array of strings.
+   */
+  parseClaimList(reply) {
+    return this.parseStringList(reply, 'claims').slice(0, MAX_EXTRACTED_CLAIMS);
+  }
+
+  /**
+   * Suggest questions the reader could ask next about an analysis.
+   * @param {string} question - The message that was answered.
+   * @param {string} answer - The analysis.
+   * @param {Object} [options] - Request options passed to sendMessage() (model, signal, retries).
+   * @returns {Promise<Array<string>>} Short follow-up questions (at most FOLLOW_UP_SUGGESTION_COUNT).
+   * @throws {Error} If the reply contains no list of questions.
+   */
+  async suggestFollowUps(question, answer, options = {}) {
+    const maxLength = 4000;
+    const shorten = (text) => text.length > maxLength ? `${text.substring(0, maxLength)}… [shortened]` : text;
+    const prompt = [
+      `Suggest ${FOLLOW_UP_SUGGESTION_COUNT} short follow-up questions a reader could ask next to dig deeper into the analysis below, such as "Who funds this outlet?", "What's the original study?" or "Steelman the opposing view".`,
+      'Make them specific to this analysis, under 12 words each, and phrased as the reader would ask them.',
+      `Reply with a JSON array of ${FOLLOW_UP_SUGGESTION_COUNT} strings and nothing else.`,
+      `\nQuestion:\n${shorten(question)}`,
+      `\nAnalysis:\n${shorten(answer)}`
+    ].join('\n');
+
+    const reply = await this.sendMessage([{ type: 'user', content: prompt }], [], {
+      ...options,
+      stream: false,
+      onChunk: null,
+      purpose: 'suggestions'
+    });
+    return this.parseStringList(reply, 'questions')
+      .filter(suggestion => suggestion.length <= MAX_FOLLOW_UP_LENGTH)
+      .slice(0, FOLLOW_UP_SUGGESTION_COUNT);
+  }
+
+  /**
+   * Read a JSON array of strings from a model reply, tolerating text or code fences around the array.
+   * @param {string} reply - Model reply.
+   * @param {string} description - What the list holds, for the error message.
+   * @returns {Array<string>} Unique, non-empty, trimmed strings.
+   * @throws {Error} If the reply contains no JSON array; the error carries the `reply`.
+   */
+  parseStringList(reply, description) {
+    const start = reply.indexOf('[');
+    const end = reply.lastIndexOf(']');
+    let items = null;
+    if (start !== -1 && end > start) {
+      try {
+        items = JSON.parse(reply.slice(start, end + 1));
+      } catch (error) {
+        console.warn(`[PoeClient] List of ${description} is not valid JSON:`, error);
+      }
+    }
+
+    if (!Array.isArray(items)) {
+      const error = new Error(`The model did not return a list of ${description}. Please try again.`);
+      error.reply = reply;
+      throw error;
+    }
+
+    return [...new Set(items
+      .filter(item => typeof item === 'string')
+      .map(item => item.trim())
+      .filter(Boolean))];
+  }
+
+  /**
+   * Map the extension's message format to the API's chat message format.
+   * The history is sent as given (ContextBuilder decides what fits); images are attached
+   * to the last user message.
+   * @param {Array<Object>} messageHistory - Conversation history.
+   * @param {Array<Object>} images - Image attachments for the current message.
+   * @returns {Array<Object>} API messages.
+   */
+  formatMessages(messageHistory, images) {
+    const apiMessages = messageHistory.map(msg => ({
+      role: msg.type === 'user' || msg.type === 'system' ? msg.type : 'assistant', // Ensure correct roles
+      content: msg.content,
+    }));
+
+    // If images are provided for the current message, add them to the last user message
+    if (images.length > 0 && apiMessages.length > 0) {
+      // Find the last user message instead of just the last message
+      const lastUserMessage = apiMessages.slice().reverse().find(msg => msg.role === 'user');
+      if (lastUserMessage) {
+        const userText = lastUserMessage.content && lastUserMessage.content !== '[Image]' && lastUserMessage.content.trim()
+          ? lastUserMessage.content
+          : 'Please analyze this image';
           
-          images.forEach((image) => {
-            contentParts.push({
-              type: 'image_url',
-              image_url: {
-                url: image.data
-              }
-            });
+        const contentParts = [
+          { type: 'text', text: userText }
+        ];
+        
+        images.forEach((image) => {
+          contentParts.push({
+            type: 'image_url',
+            image_url: {
+              url: image.data
+            }
           });
-          
-          lastUserMessage.content = contentParts;
-        }
+        });
+        
+        lastUserMessage.content = contentParts;
       }
+    }
 
-      const requestBody = {
-        model: 'debunkr.org',
-        messages: apiMessages,
-      };
+    return apiMessages;
+  }
 
+  /**
+   * Perform a single chat completion request.
+   * @param {Object} provider - Provider configuration including `apiKey`.
+   * @param {Object} requestBody - Chat completion request body.
+   * @param {Object} options - Stream flag, chunk callback and cancellation signal.
+   * @returns {Promise<Object>} The assistant's response text as `content` and the reported `usage` (or null).
+   * @throws {Error} See sendMessage(); HTTP errors also carry `retryAfter` in milliseconds when sent.
+   */
+  async performRequest(provider, requestBody, { stream, onChunk, signal }) {
+    // Throttle requests; the start time is reserved up front so parallel requests stay spaced out
+    const now = Date.now();
+    const startTime = Math.max(now, this.lastRequestTime + this.minRequestInterval);
+    this.lastRequestTime = startTime;
+    if (startTime > now) {
+      const waitTime = startTime - now;
+      console.log(`Throttling request, waiting ${waitTime}ms`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
 
-      const response = await fetch(`${this.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
-      });
+    if (signal?.aborted) {
+      throw this.createCancelledError();
+    }
 
+    const controller = new AbortController();
+    let timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+    const resetTimeout = () => {
       clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+    };
+
+    // Forward user cancellation to the fetch controller
+    const abortOnCancel = () => controller.abort();
+    if (signal) {
+      signal.addEventListener('abort', abortOnCancel, { once: true });
+    }
+    
+    try {
+      let response;
+      try {
+        response = await fetch(`${provider.baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: this.buildHeaders(provider, provider.apiKey),
+          body: JSON.stringify(requestBody),
+          signal: controller.signal
+        });
+      } catch (fetchError) {
+        // Only failures of the request itself are network errors, not bugs further down
+        if (fetchError.name !== 'AbortError') {
+          fetchError.networkError = true;
+        }
+        throw fetchError;
+      }
 
       if (!response.ok) {
+        clearTimeout(timeoutId);
         const errorData = await response.json().catch(() => ({}));
         const errorMessage = errorData.error?.message || 
           (response.status === 401 ? 'Invalid or expired API key' :
            response.status === 429 ? 'API rate limit exceeded' :
            response.status === 503 ? 'Service temporarily unavailable' :
            response.statusText || 'Unknown API error');
-        throw new Error(`Poe API Error: ${errorMessage}`);
+        const apiError = new Error(`${provider.name} API Error: ${errorMessage}`);
+        apiError.status = response.status;
+        apiError.retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+        throw apiError;
       }
 
-      const chatCompletion = await response.json();
+      let result;
 
-      if (chatCompletion.choices && chatCompletion.choices.length > 0) {
-        const responseContent = chatCompletion.choices[0].message.content;
-        
-        // Cache successful responses
-        this.cacheResponse(cacheKey, responseContent);
-        
-        // Update request timing
-        this.lastRequestTime = Date.now();
-        
-        return responseContent;
-      }
+      if (stream) {
+        result = await this.readStream(response, onChunk, resetTimeout);
+        clearTimeout(timeoutId);
+      } else {
+        const chatCompletion = await response.json();
+        clearTimeout(timeoutId);
 
-      throw new Error('No response from assistant.');
+        if (!chatCompletion.choices || chatCompletion.choices.length === 0) {
+          throw new Error('No response from assistant.');
+        }
+
+        result = {
+          content: chatCompletion.choices[0].message.content,
+          usage: chatCompletion.usage || null
+        };
+      }
+      
+      return result;
     } catch (error) {
       clearTimeout(timeoutId);
       if (error.name === 'AbortError') {
-        throw new Error('Request timed out. Please try again.');
+        const abortError = signal?.aborted
+          ? this.createCancelledError()
+          : new Error('Request timed out. Please try again.');
+        if (error.partialContent) {
+          abortError.partialContent = error.partialContent;
+        }
+        if (!signal?.aborted) {
+          abortError.timedOut = true;
+        }
+        throw abortError;
       }
-      console.error('Error communicating with Poe API:', error);
       throw error;
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', abortOnCancel);
+      }
     }
   }
 
   /**
-   * Generate cache key for request deduplication
-   * @param {Array} messageHistory - Message history
-   * @param {Array} images - Image attachments
-   * @returns {string} Cache key
+   * Check whether a failed request may succeed when sent again.
+   * Rate limits, server errors, timeouts and network failures are retryable; client errors
+   * such as 400 or 401, cancellations and streams that already delivered text are not.
+   * @param {Error} error - Error thrown by performRequest().
+   * @returns {boolean} Whether the request should be retried.
    */
-  generateCacheKey(messageHistory, images) {
-    // Create a hash of the last few messages and images for caching
-    const lastMessages = messageHistory.slice(-3).map(msg => `${msg.type}:${msg.content}`).join('|');
-    const imageHashes = images.map(img => img.data.substring(0, 100)).join('|');
-    
-    // Use a simple hash instead of btoa to avoid character encoding issues
-    let hash = 0;
-    const str = lastMessages + imageHashes;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  isRetryableError(error) {
+    if (error.cancelled || error.partialContent) {
+      return false;
     }
-    return Math.abs(hash).toString(36).substring(0, 16);
+
+    if (error.status) {
+      return RETRYABLE_STATUS_CODES.includes(error.status);
+    }
+
+    return Boolean(error.timedOut || error.networkError);
   }
 
   /**
-   * Cache API response with size management
-   * @param {string} cacheKey - Cache key
-   * @param {string} response - API response to cache
+   * Compute the wait before the next attempt.
+   * Uses the server's Retry-After when given, otherwise exponential backoff with full jitter.
+   * @param {number} attempt - Number of the attempt that just failed (1-based).
+   * @param {number|null} retryAfter - Server-requested wait in milliseconds.
+   * @param {number} maxRetryWait - Longest acceptable wait in milliseconds.
+   * @returns {number|null} Wait in milliseconds, or null if the server asks for more than maxRetryWait.
    */
-  cacheResponse(cacheKey, response) {
-    // Remove oldest entry if cache is full
-    if (this.requestCache.size >= this.maxCacheSize) {
-      const firstKey = this.requestCache.keys().next().value;
-      this.requestCache.delete(firstKey);
+  getRetryDelay(attempt, retryAfter, maxRetryWait) {
+    if (retryAfter !== null && retryAfter !== undefined) {
+      return retryAfter > maxRetryWait ? null : retryAfter;
     }
-    
-    this.requestCache.set(cacheKey, response);
-    console.log(`Cached response (cache size: ${this.requestCache.size})`);
+
+    const backoff = Math.min(maxRetryWait, this.retryBaseDelay * Math.pow(2, attempt - 1));
+    // Full jitter spreads out retries from parallel checks hitting the same rate limit
+    return Math.max(this.minRequestInterval, Math.round(Math.random() * backoff));
+  }
+
+  /**
+   * Parse a Retry-After header value.
+   * @param {string|null} value - Delay in seconds or an HTTP date.
+   * @returns {number|null} Delay in milliseconds, or null if absent or unparseable.
+   */
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
   }
-}
\ No newline at end of file
+
+  /**
+   * Wait before a retry, ending early if the user cancels.
+   * @param {number} delay - Wait in milliseconds.
+   * @param {AbortSignal|null} signal - Cancellation signal.
+   * @returns {Promise<void>}
+   * @throws {Error} Cancelled error if the signal aborts during the wait.
+   */
+  waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.createCancelledError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createCancelledError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, delay);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Create the error thrown when the user cancels a request
+   * @returns {Error} Error flagged with `cancelled`
+   */
+  createCancelledError() {
+    const error = new Error('Request cancelled by user.');
+    error.cancelled = true;
+    return error;
+  }
+
+  /**
+   * Read a Server-Sent Events chat completion stream.
+   * Parses `data:` lines, accumulates content deltas and reports each one through `onChunk`.
+   * @param {Response} response - Fetch response with a streaming body
+   * @param {Function|null} onChunk - Called with (delta, fullText) for each content delta
+   * @param {Function} onActivity - Called whenever bytes arrive, used to extend the idle timeout
+   * @returns {Promise<Object>} The complete response text as `content` and the final `usage` block, if sent
+   * @throws {Error} If the stream fails or ends early; `partialContent` holds any text received
+   */
+  async readStream(response, onChunk, onActivity) {
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      throw new Error('Streaming responses are not supported in this browser.');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+    let usage = null;
+    let completed = false;
+
+    const handleLine = (rawLine) => {
+      const line = rawLine.trim();
+      if (!line.startsWith('data:')) {
+        return;
+      }
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') {
+        completed = true;
+        return;
+      }
+
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch (parseError) {
+        console.warn('[PoeClient] Skipping malformed stream event:', payload);
+        return;
+      }
+
+      if (event.error) {
+        throw new Error(`API Error: ${event.error.message || 'Stream error'}`);
+      }
+
+      // With include_usage the totals arrive in a last chunk that has no choices
+      if (event.usage) {
+        usage = event.usage;
+      }
+
+      const choice = event.choices && event.choices[0];
+      const delta = choice?.delta?.content || '';
+      if (delta) {
+        fullText += delta;
+        if (onChunk) {
+          onChunk(delta, fullText);
+        }
+      }
+
+      if (choice?.finish_reason) {
+        completed = true;
+      }
+    };
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+
+        onActivity();
+        buffer += decoder.decode(value, { stream: true });
+
+        // SSE events are newline-delimited; keep the trailing partial line for the next read
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+
+      // The last event may arrive without a trailing newline
+      buffer += decoder.decode();
+      handleLine(buffer);
+    } catch (error) {
+      if (fullText) {
+        error.partialContent = fullText;
+      }
+      throw error;
+    } finally {
+      reader.releaseLock();
+    }
+
+    if (!fullText) {
+      throw new Error('No response from assistant.');
+    }
+
+    if (!completed) {
+      const error = new Error('Response stream ended before the analysis was complete.');
+      error.partialContent = fullText;
+      throw error;
+    }
+
+    return { content: fullText, usage };
+  }
+}
+
+// HTTP statuses worth retrying: timeouts, rate limits and transient server errors
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+// Most claims kept from one "split into claims" request
+const MAX_EXTRACTED_CLAIMS = 20;
+
+// Follow-up questions suggested after an analysis
+const FOLLOW_UP_SUGGESTION_COUNT = 3;
+
+// Longer suggestions are dropped; they would not fit on a chip
+const MAX_FOLLOW_UP_LENGTH = 120;
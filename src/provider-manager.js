@@ -0,0 +1,260 @@
+/**
+ * LLM Provider Manager
+ * Manages the OpenAI-compatible endpoints the extension can send analyses to
+ *
+ * Features:
+ * - Built-in Poe provider for the debunkr.org bot
+ * - Custom endpoints (self-hosted gateways, local llama.cpp servers, corporate proxies)
+ * - Per-provider base URL, model ID, extra headers and API key
+ * - Encrypted persistence of custom providers through StorageManager
+ * - Active provider selection stored in settings
+ *
+ * @class ProviderManager
+ */
+class ProviderManager {
+  /**
+   * Initialize provider manager
+   * @param {StorageManager} storageManager - Storage manager for persistence and encryption
+   * @constructor
+   */
+  constructor(storageManager) {
+    /** @type {StorageManager} Storage manager instance */
+    this.storageManager = storageManager;
+  }
+
+  /**
+   * Built-in Poe provider definition
+   * Its API key lives in the original `encryptedApiKey` slot for backward compatibility
+   * @returns {Object} Provider configuration without API key
+   */
+  getBuiltInProvider() {
+    return {
+      id: POE_PROVIDER_ID,
+      name: 'Poe (debunkr.org)',
+      baseUrl: 'https://api.poe.com/v1',
+      model: 'debunkr.org',
+      headers: {},
+      builtIn: true,
+      requiresApiKey: true
+    };
+  }
+
+  /**
+   * Get all configured providers, built-in first
+   * API keys are not included; use resolveProvider() when a request needs credentials
+   * @returns {Promise<Array<Object>>} Provider configurations
+   */
+  async getProviders() {
+    const customProviders = await this.storageManager.getCustomProviders();
+    return [
+      this.getBuiltInProvider(),
+      ...customProviders.map(({ apiKey, ...provider }) => ({
+        ...provider,
+        builtIn: false,
+        requiresApiKey: false,
+        hasApiKey: Boolean(apiKey)
+      }))
+    ];
+  }
+
+  /**
+   * Resolve a provider by ID including its API key
+   * Unknown IDs fall back to the built-in Poe provider
+   * @param {string} providerId - Provider ID to resolve
+   * @returns {Promise<Object>} Provider configuration with `apiKey`
+   */
+  async resolveProvider(providerId) {
+    if (providerId && providerId !== POE_PROVIDER_ID) {
+      const customProviders = await this.storageManager.getCustomProviders();
+      const custom = customProviders.find(provider => provider.id === providerId);
+      if (custom) {
+        return {
+          ...custom,
+          headers: custom.headers || {},
+          apiKey: custom.apiKey || null,
+          builtIn: false,
+          requiresApiKey: false
+        };
+      }
+      console.warn(`[ProviderManager] Provider ${providerId} not found, falling back to Poe`);
+    }
+
+    return {
+      ...this.getBuiltInProvider(),
+      apiKey: await this.storageManager.getApiKey()
+    };
+  }
+
+  /**
+   * Resolve the provider selected in settings
+   * @returns {Promise<Object>} Active provider configuration with `apiKey`
+   */
+  async getActiveProvider() {
+    const settings = await this.storageManager.getSettings();
+    return this.resolveProvider(settings.activeProviderId);
+  }
+
+  /**
+   * Select the provider used for new requests
+   * @param {string} providerId - Provider ID to activate
+   * @returns {Promise<void>}
+   */
+  async setActiveProvider(providerId) {
+    await this.storageManager.saveSettings({ activeProviderId: providerId || POE_PROVIDER_ID });
+  }
+
+  /**
+   * Create or update a custom provider
+   * @param {Object} provider - Provider configuration
+   * @param {string} [provider.id] - Existing provider ID; omitted for new providers
+   * @param {string} provider.name - Display name
+   * @param {string} provider.baseUrl - OpenAI-compatible base URL (e.g. https://gateway.local/v1)
+   * @param {string} provider.model - Model ID sent with each request
+   * @param {Object<string, string>} [provider.headers] - Extra request headers
+   * @param {string|null} [provider.apiKey] - Bearer token, optional for unauthenticated endpoints
+   * @returns {Promise<Object>} Saved provider configuration without API key
+   * @throws {Error} If the configuration is invalid
+   */
+  async saveProvider(provider) {
+    const validation = this.validateProvider(provider);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(' '));
+    }
+
+    const customProviders = await this.storageManager.getCustomProviders();
+    const saved = {
+      id: provider.id || `provider_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      name: provider.name.trim(),
+      baseUrl: this.normalizeBaseUrl(provider.baseUrl),
+      model: provider.model.trim(),
+      headers: provider.headers || {},
+      apiKey: provider.apiKey || null
+    };
+
+    const index = customProviders.findIndex(existing => existing.id === saved.id);
+    if (index === -1) {
+      customProviders.push(saved);
+    } else {
+      customProviders[index] = saved;
+    }
+
+    await this.storageManager.saveCustomProviders(customProviders);
+    console.log(`[ProviderManager] Saved provider ${saved.id} (${saved.name})`);
+
+    const { apiKey, ...publicConfig } = saved;
+    return publicConfig;
+  }
+
+  /**
+   * Delete a custom provider
+   * If it was active, the built-in Poe provider becomes active again
+   * @param {string} providerId - Provider ID to delete
+   * @returns {Promise<boolean>} Whether a provider was deleted
+   */
+  async deleteProvider(providerId) {
+    if (providerId === POE_PROVIDER_ID) {
+      return false;
+    }
+
+    const customProviders = await this.storageManager.getCustomProviders();
+    const remaining = customProviders.filter(provider => provider.id !== providerId);
+    if (remaining.length === customProviders.length) {
+      return false;
+    }
+
+    await this.storageManager.saveCustomProviders(remaining);
+
+    const settings = await this.storageManager.getSettings();
+    if (settings.activeProviderId === providerId) {
+      await this.setActiveProvider(POE_PROVIDER_ID);
+    }
+
+    console.log(`[ProviderManager] Deleted provider ${providerId}`);
+    return true;
+  }
+
+  /**
+   * Validate a custom provider configuration
+   * @param {Object} provider - Provider configuration to validate
+   * @returns {Object} Validation result with `valid` and `errors`
+   */
+  validateProvider(provider) {
+    const result = {
+      valid: true,
+      errors: []
+    };
+
+    if (!provider || !provider.name || !provider.name.trim()) {
+      result.errors.push('Provider name is required.');
+    }
+
+    if (!provider || !provider.model || !provider.model.trim()) {
+      result.errors.push('Model ID is required.');
+    }
+
+    try {
+      const url = new URL(provider?.baseUrl || '');
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        result.errors.push('Base URL must use http or https.');
+      }
+    } catch (error) {
+      result.errors.push('Base URL is not a valid URL.');
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Normalize a base URL by trimming whitespace and trailing slashes
+   * @param {string} baseUrl - Raw base URL
+   * @returns {string} Normalized base URL
+   */
+  normalizeBaseUrl(baseUrl) {
+    return baseUrl.trim().replace(/\/+$/, '');
+  }
+
+  /**
+   * Parse extra headers entered as one `Name: value` pair per line
+   * @param {string} text - Raw header text
+   * @returns {Object<string, string>} Header map
+   * @throws {Error} If a line is not a valid header
+   */
+  parseHeaders(text) {
+    const headers = {};
+    if (!text) {
+      return headers;
+    }
+
+    for (const rawLine of text.split('\n')) {
+      const line = rawLine.trim();
+      if (!line) {
+        continue;
+      }
+
+      const separator = line.indexOf(':');
+      const name = separator > 0 ? line.substring(0, separator).trim() : '';
+      if (!name || !/^[A-Za-z0-9-]+$/.test(name)) {
+        throw new Error(`Invalid header line: "${line}"`);
+      }
+
+      headers[name] = line.substring(separator + 1).trim();
+    }
+
+    return headers;
+  }
+
+  /**
+   * Format a header map back into editable text
+   * @param {Object<string, string>} headers - Header map
+   * @returns {string} One `Name: value` pair per line
+   */
+  formatHeaders(headers) {
+    return Object.entries(headers || {})
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('\n');
+  }
+}
+
+// ID of the built-in Poe provider
+const POE_PROVIDER_ID = 'poe';
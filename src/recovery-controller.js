@@ -0,0 +1,247 @@
+/**
+ * Recovery Controller
+ * Shows data that could not be decrypted or saved, and lets the user decide what happens to it
+ *
+ * Features:
+ * - Recovery screen at startup when chats were moved to the quarantine or could not be loaded
+ * - Retry decryption, export the encrypted records, or delete them on purpose
+ * - Bar above the input while chats can't be saved, with a retry button
+ *
+ * Nothing is deleted or stored unencrypted without the user choosing it here.
+ *
+ * @class RecoveryController
+ */
+class RecoveryController {
+  /**
+   * Initialize recovery controller
+   * @param {EventBus} eventBus - Event bus for communication
+   * @param {StorageManager} storageManager - Holds the quarantine
+   * @param {ChatController} chatController - Retries failed saves
+   * @param {UIManager} uiManager - UI manager for element access
+   * @constructor
+   */
+  constructor(eventBus, storageManager, chatController, uiManager) {
+    /** @type {EventBus} Event bus instance */
+    this.eventBus = eventBus;
+
+    /** @type {StorageManager} Storage manager instance */
+    this.storageManager = storageManager;
+
+    /** @type {ChatController} Chat controller instance */
+    this.chatController = chatController;
+
+    /** @type {UIManager} UI manager instance */
+    this.uiManager = uiManager;
+
+    /** @type {Error|null} Why the chats could not be loaded, if they couldn't */
+    this.loadError = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event and DOM listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on(EventTypes.STORAGE_ERROR, this.handleStorageError.bind(this));
+
+    const retryBtn = this.uiManager.getElement('retryRecovery');
+    const exportBtn = this.uiManager.getElement('exportRecovery');
+    const resetBtn = this.uiManager.getElement('resetRecovery');
+    const closeBtn = this.uiManager.getElement('closeRecovery');
+    const retrySaveBtn = this.uiManager.getElement('retrySave');
+
+    if (!retryBtn || !exportBtn || !resetBtn || !closeBtn || !retrySaveBtn) {
+      console.error('[RecoveryController] Recovery elements not found');
+      return;
+    }
+
+    retryBtn.onclick = async () => {
+      await this.retry();
+    };
+    exportBtn.onclick = async () => {
+      await this.exportQuarantine();
+    };
+    resetBtn.onclick = async () => {
+      await this.reset();
+    };
+    closeBtn.onclick = () => this.closeRecovery();
+    retrySaveBtn.onclick = async () => {
+      await this.retrySave();
+    };
+  }
+
+  /**
+   * Show the recovery screen if anything is in the quarantine
+   */
+  async checkQuarantine() {
+    try {
+      const entries = await this.storageManager.getQuarantine();
+      if (entries.length > 0) {
+        console.warn(`[RecoveryController] ${entries.length} quarantined entries, showing recovery screen`);
+        this.renderRecovery(entries);
+      }
+    } catch (error) {
+      console.error('[RecoveryController] Error reading the quarantine:', error);
+    }
+  }
+
+  /**
+   * Show the recovery screen for chats that could not be loaded at all
+   * The dashboard stays behind it, since a new chat saved now could overwrite stored ones.
+   * @param {Error} error - Why loading failed
+   */
+  showLoadError(error) {
+    this.loadError = error;
+    this.renderRecovery([]);
+  }
+
+  /**
+   * Fill the recovery screen and show it
+   * @param {Array<Object>} entries - Quarantined entries
+   */
+  renderRecovery(entries) {
+    const title = this.uiManager.getElement('recoveryTitle');
+    const summary = this.uiManager.getElement('recoverySummary');
+    const list = this.uiManager.getElement('recoveryList');
+
+    if (this.loadError) {
+      title.textContent = 'Your chats could not be loaded';
+      summary.textContent = `Nothing was changed or deleted. Try again, or delete all chats to start over. Error: ${this.loadError.message}`;
+      list.innerHTML = '';
+    } else {
+      const chats = entries.filter(entry => entry.source === 'chat').length;
+      const images = entries.filter(entry => entry.source === 'image').length;
+      title.textContent = 'Some data could not be decrypted';
+      summary.textContent = 'It was set aside unchanged instead of being dropped. Try again, export the encrypted data, or delete it.';
+      list.innerHTML = [
+        chats > 0 ? `<li>${chats} ${chats === 1 ? 'chat' : 'chats'}</li>` : '',
+        images > 0 ? `<li>${images} ${images === 1 ? 'image' : 'images'}</li>` : '',
+        entries.some(entry => entry.source === 'legacyChats') ? '<li>Chats saved by an older version</li>' : ''
+      ].join('');
+    }
+
+    this.uiManager.getElement('exportRecovery').style.display = this.loadError ? 'none' : 'inline-block';
+    this.uiManager.getElement('resetRecovery').textContent = this.loadError ? 'Delete All Chats' : 'Delete Unreadable Data';
+    this.uiManager.getElement('closeRecovery').style.display = this.loadError ? 'none' : 'inline-block';
+    this.uiManager.getElement('recoveryScreen').style.display = 'flex';
+  }
+
+  /**
+   * Hide the recovery screen and keep the quarantine for later
+   */
+  closeRecovery() {
+    const status = this.uiManager.getElement('recoveryStatus');
+    this.uiManager.getElement('recoveryScreen').style.display = 'none';
+    status.className = 'settings-status';
+    status.style.display = 'none';
+  }
+
+  /**
+   * Try decrypting again
+   * A load error is retried by reloading; restored chats also need a reload to appear.
+   */
+  async retry() {
+    if (this.loadError) {
+      window.location.reload();
+      return;
+    }
+
+    this.showStatus('Trying again...', 'loading');
+    try {
+      // Save first, so the restored chats aren't overwritten before the reload
+      await this.chatController.forceSave();
+      const { restored, remaining } = await this.storageManager.retryQuarantine();
+      if (restored > 0) {
+        window.location.reload();
+        return;
+      }
+      this.showStatus(`Still can't decrypt ${remaining === 1 ? 'it' : 'any of it'}.`, 'error');
+    } catch (error) {
+      console.error('[RecoveryController] Retry failed:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Download the quarantine as a JSON file of encrypted records
+   */
+  async exportQuarantine() {
+    try {
+      const json = await this.storageManager.exportQuarantine();
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `debunkr-quarantine-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      this.showStatus('Encrypted data exported', 'success');
+    } catch (error) {
+      console.error('[RecoveryController] Error exporting the quarantine:', error);
+      this.showStatus('Error exporting the encrypted data', 'error');
+    }
+  }
+
+  /**
+   * Delete the unreadable data, or all chats after a load error, once the user confirms
+   */
+  async reset() {
+    const confirmed = confirm(this.loadError
+      ? 'Delete all stored chats? This cannot be undone.'
+      : 'Delete the data that could not be decrypted? Export it first if you might need it. This cannot be undone.');
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      if (this.loadError) {
+        await this.storageManager.clearAllChatData();
+        window.location.reload();
+        return;
+      }
+      await this.storageManager.deleteQuarantine();
+      this.closeRecovery();
+    } catch (error) {
+      console.error('[RecoveryController] Error deleting data:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Save again after a failed save and hide the bar if it works
+   */
+  async retrySave() {
+    if (await this.chatController.forceSave()) {
+      this.uiManager.getElement('storageErrorBar').style.display = 'none';
+    }
+  }
+
+  /**
+   * Show a status line on the recovery screen
+   * @param {string} message - Status text
+   * @param {string} type - 'success', 'error' or 'loading'
+   */
+  showStatus(message, type) {
+    const status = this.uiManager.getElement('recoveryStatus');
+    status.textContent = message;
+    status.className = `settings-status ${type}`;
+    status.style.display = 'block';
+  }
+
+  /**
+   * Event handlers
+   */
+  handleStorageError(data) {
+    if (data.operation !== 'save' && data.operation !== 'forceSave') {
+      return;
+    }
+
+    const bar = this.uiManager.getElement('storageErrorBar');
+    if (bar) {
+      this.uiManager.getElement('storageErrorText').textContent = `Chats could not be saved: ${data.error}. Nothing was stored unencrypted.`;
+      bar.style.display = 'flex';
+    }
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Request Queue
+ * Schedules API requests across chats
+ *
+ * Features:
+ * - Global limit on the number of requests running at once
+ * - One request at a time per chat, so each answer sees the turns before it
+ * - First-in, first-out order; a chat that is busy doesn't hold up other chats
+ * - Queue position reported to each waiting request
+ * - Cancelling a waiting request through its AbortSignal
+ * - Background requests that use a slot but leave the chat free and yield to waiting requests
+ *
+ * @class RequestQueue
+ */
+class RequestQueue {
+  /**
+   * Initialize request queue
+   * @param {number} [maxConcurrent] - Requests allowed to run at once
+   * @constructor
+   */
+  constructor(maxConcurrent = DEFAULT_MAX_CONCURRENT_REQUESTS) {
+    /** @type {number} Requests allowed to run at once */
+    this.maxConcurrent = maxConcurrent;
+
+    /** @type {Array<Object>} Jobs waiting to start, oldest first */
+    this.waiting = [];
+
+    /** @type {Set<number>} IDs of chats with a running job */
+    this.running = new Set();
+
+    /** @type {Set<number>} IDs of chats whose running job is a background job */
+    this.runningBackground = new Set();
+
+    /** @type {Function|null} Called whenever the set of busy chats changes */
+    this.onChange = null;
+  }
+
+  /**
+   * Run a task once a slot is free and no other task of the same chat is running
+   * @param {number} chatId - Chat the task belongs to
+   * @param {Function} task - Async function to run
+   * @param {Object} [options] - Scheduling options
+   * @param {AbortSignal} [options.signal] - Removes the task from the queue while it is still waiting
+   * @param {Function} [options.onPositionChange] - Called with the 1-based queue position while waiting
+   * @param {boolean} [options.background=false] - Don't mark the chat busy, and let other waiting tasks start first
+   * @returns {Promise<*>} The task's result
+   * @throws {Error} The task's error, or a cancelled error if aborted while waiting
+   */
+  run(chatId, task, options = {}) {
+    const { signal = null, onPositionChange = null, background = false } = options;
+
+    return new Promise((resolve, reject) => {
+      const job = { chatId, task, resolve, reject, onPositionChange, position: 0, signal, onAbort: null, background };
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(this.createCancelledError());
+          return;
+        }
+        job.onAbort = () => this.removeWaiting(job);
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      // Background jobs wait behind every other job
+      const firstBackground = this.waiting.findIndex(waiting => waiting.background);
+      if (background || firstBackground === -1) {
+        this.waiting.push(job);
+      } else {
+        this.waiting.splice(firstBackground, 0, job);
+      }
+      this.pump();
+    });
+  }
+
+  /**
+   * Change the concurrency limit and start any jobs that now fit
+   * @param {number} maxConcurrent - Requests allowed to run at once (at least 1)
+   */
+  setMaxConcurrent(maxConcurrent) {
+    const limit = Math.max(1, parseInt(maxConcurrent, 10) || DEFAULT_MAX_CONCURRENT_REQUESTS);
+    if (limit !== this.maxConcurrent) {
+      this.maxConcurrent = limit;
+      this.pump();
+    }
+  }
+
+  /**
+   * Check whether a chat has a running or waiting request; background requests don't count
+   * @param {number} chatId - Chat ID
+   * @returns {boolean} Whether the chat is busy
+   */
+  isChatBusy(chatId) {
+    return (this.running.has(chatId) && !this.runningBackground.has(chatId))
+      || this.waiting.some(job => job.chatId === chatId && !job.background);
+  }
+
+  /**
+   * Get the IDs of all chats with a running or waiting request; background requests don't count
+   * @returns {Array<number>} Busy chat IDs
+   */
+  getBusyChatIds() {
+    const ids = new Set([...this.running].filter(chatId => !this.runningBackground.has(chatId)));
+    this.waiting.forEach(job => {
+      if (!job.background) {
+        ids.add(job.chatId);
+      }
+    });
+    return Array.from(ids);
+  }
+
+  /**
+   * Start every waiting job that fits, then report positions of the rest
+   */
+  pump() {
+    let index = 0;
+    while (this.running.size < this.maxConcurrent && index < this.waiting.length) {
+      const job = this.waiting[index];
+      if (this.running.has(job.chatId)) {
+        index++;
+        continue;
+      }
+
+      this.waiting.splice(index, 1);
+      this.start(job);
+    }
+
+    this.waiting.forEach((job, position) => {
+      if (job.onPositionChange && job.position !== position + 1) {
+        job.position = position + 1;
+        job.onPositionChange(job.position);
+      }
+    });
+
+    this.notifyChange();
+  }
+
+  /**
+   * Run a job and free its slot when it settles
+   * @param {Object} job - Job to start
+   */
+  start(job) {
+    this.running.add(job.chatId);
+    if (job.background) {
+      this.runningBackground.add(job.chatId);
+    }
+    // Once started, aborting is up to the task itself
+    if (job.onAbort) {
+      job.signal.removeEventListener('abort', job.onAbort);
+    }
+
+    Promise.resolve()
+      .then(() => job.task())
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.running.delete(job.chatId);
+        this.runningBackground.delete(job.chatId);
+        this.pump();
+      });
+  }
+
+  /**
+   * Drop a job that hasn't started yet and reject it as cancelled
+   * @param {Object} job - Job to remove
+   */
+  removeWaiting(job) {
+    const index = this.waiting.indexOf(job);
+    if (index === -1) {
+      return;
+    }
+
+    this.waiting.splice(index, 1);
+    job.reject(this.createCancelledError());
+    this.pump();
+  }
+
+  /**
+   * Report the busy chats to the change listener
+   */
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange(this.getBusyChatIds());
+    }
+  }
+
+  /**
+   * Create the error used for requests cancelled while waiting
+   * @returns {Error} Error flagged with `cancelled`
+   */
+  createCancelledError() {
+    const error = new Error('Request cancelled by user.');
+    error.cancelled = true;
+    return error;
+  }
+}
+
+// Requests allowed to run at once unless changed in Settings
+const DEFAULT_MAX_CONCURRENT_REQUESTS = 2;
@@ -0,0 +1,144 @@
+/**
+ * Response Cache
+ * Persistent cache of assistant responses for identical requests
+ *
+ * Features:
+ * - SHA-256 keys over the full request payload (provider, model, messages and images)
+ * - Encrypted persistence through StorageManager so cached analyses survive reloads
+ * - Time-to-live per lookup and a size limit with least-recently-used eviction
+ *
+ * @class ResponseCache
+ */
+class ResponseCache {
+  /**
+   * Initialize response cache
+   * @param {StorageManager} storageManager - Storage manager for encrypted persistence
+   * @constructor
+   */
+  constructor(storageManager) {
+    /** @type {StorageManager} Storage manager instance */
+    this.storageManager = storageManager;
+
+    /** @type {Map<string, Object>|null} Cached entries by key, loaded on first use */
+    this.entries = null;
+
+    /** @type {Promise<void>|null} In-flight load from storage */
+    this.loadPromise = null;
+
+    /** @type {Promise<void>} Serializes writes to storage */
+    this.writeQueue = Promise.resolve();
+
+    /** @type {number} Maximum number of cached responses */
+    this.maxEntries = 100;
+  }
+
+  /**
+   * Compute the cache key for a request
+   * @param {Object} payload - Everything that determines the response (endpoint, model, messages)
+   * @returns {Promise<string>} Hex-encoded SHA-256 digest
+   */
+  async computeKey(payload) {
+    const data = new TextEncoder().encode(JSON.stringify(payload));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} key - Cache key from computeKey()
+   * @param {number} ttl - Maximum age in milliseconds
+   * @returns {Promise<Object|null>} Entry with `response` and `createdAt`, or null on a miss
+   */
+  async get(key, ttl) {
+    await this.load();
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() - new Date(entry.createdAt).getTime() > ttl) {
+      this.entries.delete(key);
+      await this.persist();
+      return null;
+    }
+
+    // Move to the end so eviction drops the least recently used entry
+    this.entries.delete(key);
+    this.entries.set(key, { ...entry, lastUsedAt: new Date().toISOString() });
+    return entry;
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key from computeKey()
+   * @param {string} response - Complete assistant response
+   * @param {Object} [info] - Extra details kept with the entry (e.g. model)
+   * @returns {Promise<void>}
+   */
+  async set(key, response, info = {}) {
+    await this.load();
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+      ...info,
+      response,
+      createdAt: new Date().toISOString()
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    await this.persist();
+    console.log(`[ResponseCache] Cached response (cache size: ${this.entries.size})`);
+  }
+
+  /**
+   * Remove all cached responses
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries = new Map();
+    await this.persist();
+    console.log('[ResponseCache] Cache cleared');
+  }
+
+  /**
+   * Load entries from storage once
+   * A cache that can't be read starts empty rather than failing the request
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.entries) {
+      return;
+    }
+
+    if (!this.loadPromise) {
+      this.loadPromise = this.storageManager.getResponseCache()
+        .then(stored => {
+          this.entries = new Map(Object.entries(stored || {}));
+        })
+        .catch(error => {
+          console.warn('[ResponseCache] Could not load cache, starting empty:', error);
+          this.entries = new Map();
+        });
+    }
+
+    await this.loadPromise;
+  }
+
+  /**
+   * Write entries to storage, one write at a time
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const snapshot = Object.fromEntries(this.entries);
+    this.writeQueue = this.writeQueue
+      .then(() => this.storageManager.saveResponseCache(snapshot))
+      .catch(error => console.warn('[ResponseCache] Could not save cache:', error));
+    return this.writeQueue;
+  }
+}
@@ -5,7 +5,8 @@
  * Features:
  * - URL parameter validation and sanitization
  * - Context menu action routing
- * - Text and source URL processing
+ * - Text, source URL and page title processing
+ * - Prompt template selection
  * - Chat ID validation
  * 
  * @class RoutingController
@@ -25,6 +26,10 @@ class RoutingController {
     this.pendingText = null;
     /** @type {string|null} Source URL from context menu */
     this.pendingSource = null;
+    /** @type {string|null} Title of the source page */
+    this.pendingTitle = null;
+    /** @type {string|null} Prompt template picked in the context menu */
+    this.pendingTemplateId = null;
     /** @type {number|null} Target chat ID for continuation */
     this.targetChatId = null;
   }
@@ -39,6 +44,8 @@ class RoutingController {
     const text = urlParams.get('text');
     const source = urlParams.get('source');
     const chatId = urlParams.get('chatId');
+    const title = urlParams.get('title');
+    const template = urlParams.get('template');
     
 
     // Validate and sanitize action parameter
@@ -83,6 +90,24 @@ class RoutingController {
       this.pendingSource = null;
     }
 
+    // Validate and sanitize page title parameter
+    if (title && title.trim()) {
+      const trimmedTitle = title.trim();
+      this.pendingTitle = trimmedTitle.length > 300 ? trimmedTitle.substring(0, 300) : trimmedTitle;
+    } else {
+      this.pendingTitle = null;
+    }
+
+    // Validate template parameter; whether the template exists is checked when it is used
+    if (template && /^[\w-]{1,100}$/.test(template)) {
+      this.pendingTemplateId = template;
+    } else {
+      if (template) {
+        console.warn('[RoutingController] Invalid template parameter:', template);
+      }
+      this.pendingTemplateId = null;
+    }
+
     // Validate and sanitize chatId parameter
     if (chatId) {
       const parsedChatId = parseInt(chatId, 10);
@@ -100,6 +125,8 @@ class RoutingController {
       action: this.urlAction,
       text: this.pendingText,
       source: this.pendingSource,
+      pageTitle: this.pendingTitle,
+      templateId: this.pendingTemplateId,
       chatId: this.targetChatId
     };
 
@@ -126,38 +153,25 @@ class RoutingController {
 
     if (this.urlAction === 'newChat' && this.pendingText) {
       routingDecision.action = 'createNewChatWithText';
-      routingDecision.data = {
-        text: this.pendingText,
-        source: this.pendingSource
-      };
+      routingDecision.data = this.getQuoteData();
     } else if (this.urlAction === 'selectChat' && this.pendingText) {
       if (chats.size === 0) {
         routingDecision.action = 'createNewChatWithText';
-        routingDecision.data = {
-          text: this.pendingText,
-          source: this.pendingSource
-        };
+        routingDecision.data = this.getQuoteData();
       } else {
         routingDecision.action = 'showChatSelector';
-        routingDecision.data = {
-          text: this.pendingText,
-          source: this.pendingSource
-        };
+        routingDecision.data = this.getQuoteData();
       }
     } else if (this.urlAction === 'continueChat' && this.pendingText) {
       if (this.targetChatId && chats.has(this.targetChatId)) {
         routingDecision.action = 'continueChatFromContext';
         routingDecision.data = {
           chatId: this.targetChatId,
-          text: this.pendingText,
-          source: this.pendingSource
+          ...this.getQuoteData()
         };
       } else {
         routingDecision.action = 'createNewChatWithText';
-        routingDecision.data = {
-          text: this.pendingText,
-          source: this.pendingSource
-        };
+        routingDecision.data = this.getQuoteData();
       }
     } else {
       // Default behavior: load existing chat or create initial chat
@@ -201,10 +215,25 @@ class RoutingController {
       action: this.urlAction,
       text: this.pendingText,
       source: this.pendingSource,
+      pageTitle: this.pendingTitle,
+      templateId: this.pendingTemplateId,
       chatId: this.targetChatId
     };
   }
 
+  /**
+   * Get the selected text and where it came from, as passed on by routing decisions
+   * @returns {Object} Text, source URL, page title and template ID
+   */
+  getQuoteData() {
+    return {
+      text: this.pendingText,
+      source: this.pendingSource,
+      pageTitle: this.pendingTitle,
+      templateId: this.pendingTemplateId
+    };
+  }
+
   /**
    * Clear pending context menu data
    */
@@ -212,6 +241,8 @@ class RoutingController {
     this.urlAction = null;
     this.pendingText = null;
     this.pendingSource = null;
+    this.pendingTitle = null;
+    this.pendingTemplateId = null;
     this.targetChatId = null;
 
     // Emit clear event
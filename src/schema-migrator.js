@@ -0,0 +1,168 @@
+/**
+ * Schema Migrator
+ * Brings stored data up to the layout this version expects, one numbered migration at a time
+ *
+ * Features:
+ * - `schemaVersion` in browser storage records the last migration that completed
+ * - Pending migrations run in order at startup; each is safe to run again
+ * - Snapshot of browser storage and the chat store taken first, restored if a migration fails
+ * - A snapshot left behind by an interrupted run is restored before migrating again
+ *
+ * To change the storage layout, append a migration to SCHEMA_MIGRATIONS with the next version.
+ *
+ * @class SchemaMigrator
+ */
+class SchemaMigrator {
+  /**
+   * Initialize schema migrator
+   * @param {StorageManager} storageManager - Storage manager holding browser storage and the chat store
+   * @param {Array<Object>} [migrations=SCHEMA_MIGRATIONS] - Migrations with `version`, `description` and `migrate`
+   * @constructor
+   */
+  constructor(storageManager, migrations = SCHEMA_MIGRATIONS) {
+    /** @type {StorageManager} Storage manager instance */
+    this.storageManager = storageManager;
+
+    /** @type {Array<Object>} Migrations, ordered by version */
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Run the pending migrations
+   * Needs the encryption key, so it runs after the vault is unlocked.
+   * @returns {Promise<{from: number, to: number}>} Schema version before and after
+   * @throws {Error} If a migration fails; storage is rolled back first and `error.migrationFailed` is set
+   */
+  async migrate() {
+    await this.restoreInterruptedRun();
+
+    const from = await this.getSchemaVersion();
+    const latest = this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    if (from > latest) {
+      // Written by a newer version; leave it alone rather than guess
+      console.warn(`[SchemaMigrator] Stored schema version ${from} is newer than ${latest}, not migrating`);
+      return { from, to: from };
+    }
+
+    const pending = this.migrations.filter(migration => migration.version > from);
+    if (pending.length === 0) {
+      return { from, to: from };
+    }
+
+    console.log(`[SchemaMigrator] Migrating storage from version ${from} to ${latest}`);
+    await this.takeSnapshot(from);
+
+    for (const migration of pending) {
+      const startedAt = Date.now();
+      console.log(`[SchemaMigrator] Running migration ${migration.version}: ${migration.description}`);
+      try {
+        await migration.migrate(this.storageManager);
+        await this.storageManager.storage.local.set({ schemaVersion: migration.version });
+      } catch (error) {
+        console.error(`[SchemaMigrator] Migration ${migration.version} failed, rolling back:`, error);
+        await this.restoreSnapshot(await this.storageManager.chatStore.get('snapshots', SCHEMA_SNAPSHOT_ID));
+        error.migrationFailed = true;
+        throw error;
+      }
+      console.log(`[SchemaMigrator] Migration ${migration.version} done in ${Date.now() - startedAt} ms`);
+    }
+
+    await this.storageManager.chatStore.write([{ type: 'delete', store: 'snapshots', key: SCHEMA_SNAPSHOT_ID }]);
+    console.log(`[SchemaMigrator] Storage is at version ${latest}`);
+    return { from, to: latest };
+  }
+
+  /**
+   * Read the stored schema version
+   * Storage written before versioning counts as version 0.
+   * @returns {Promise<number>} Schema version
+   */
+  async getSchemaVersion() {
+    const result = await this.storageManager.storage.local.get(['schemaVersion']);
+    return Number.isInteger(result.schemaVersion) ? result.schemaVersion : 0;
+  }
+
+  /**
+   * Copy browser storage and the chat data stores into the snapshot store
+   * @private
+   * @param {number} schemaVersion - Version the snapshot was taken at
+   * @returns {Promise<void>}
+   */
+  async takeSnapshot(schemaVersion) {
+    const snapshot = {
+      id: SCHEMA_SNAPSHOT_ID,
+      schemaVersion,
+      takenAt: new Date().toISOString(),
+      local: await this.storageManager.storage.local.get(null),
+      stores: await this.storageManager.chatStore.getStores(CHAT_DATA_STORE_NAMES)
+    };
+    await this.storageManager.chatStore.write([{ type: 'put', store: 'snapshots', value: snapshot }]);
+    console.log(`[SchemaMigrator] Snapshot taken at version ${schemaVersion}`);
+  }
+
+  /**
+   * Put browser storage and the chat data stores back as they were in the snapshot, then drop it
+   * @private
+   * @param {Object} snapshot - Snapshot from takeSnapshot
+   * @returns {Promise<void>}
+   */
+  async restoreSnapshot(snapshot) {
+    const storage = this.storageManager.storage;
+    const addedKeys = Object.keys(await storage.local.get(null)).filter(key => !(key in snapshot.local));
+    if (addedKeys.length > 0) {
+      await storage.local.remove(addedKeys);
+    }
+    await storage.local.set(snapshot.local);
+    await this.storageManager.chatStore.replaceStores(snapshot.stores);
+    await this.storageManager.chatStore.write([{ type: 'delete', store: 'snapshots', key: SCHEMA_SNAPSHOT_ID }]);
+
+    // Forget what was read or written during the failed run
+    this.storageManager.writtenChats = new Map();
+    this.storageManager.cachedApiKey = null;
+    this.storageManager.cacheTimestamp = 0;
+    console.log(`[SchemaMigrator] Restored the snapshot taken at version ${snapshot.schemaVersion}`);
+  }
+
+  /**
+   * Roll back a run that stopped before finishing, for example because the browser closed
+   * @private
+   * @returns {Promise<void>}
+   */
+  async restoreInterruptedRun() {
+    const snapshot = await this.storageManager.chatStore.get('snapshots', SCHEMA_SNAPSHOT_ID);
+    if (snapshot) {
+      console.warn('[SchemaMigrator] Found the snapshot of an interrupted migration, restoring it');
+      await this.restoreSnapshot(snapshot);
+    }
+  }
+}
+
+// ID of the snapshot record taken before migrating
+const SCHEMA_SNAPSHOT_ID = 'pre-migration';
+
+// Storage migrations in version order. Each must leave already migrated data unchanged,
+// since a run that was interrupted is repeated from its snapshot.
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move the API key from encryptedOpenAIKey to encryptedApiKey',
+    migrate: async (storageManager) => {
+      const result = await storageManager.storage.local.get(['encryptedApiKey', 'encryptedOpenAIKey']);
+      if (!result.encryptedOpenAIKey) {
+        return;
+      }
+      // The ciphertext is the same under either name, so it moves without decrypting
+      if (!result.encryptedApiKey) {
+        await storageManager.storage.local.set({ encryptedApiKey: result.encryptedOpenAIKey });
+      }
+      await storageManager.storage.local.remove(['encryptedOpenAIKey']);
+    }
+  },
+  {
+    version: 2,
+    description: 'Move chats from the encryptedChats blob to per-chat records',
+    migrate: async (storageManager) => {
+      await storageManager.migrateLegacyChats();
+    }
+  }
+];
@@ -5,6 +5,7 @@
  * Features:
  * - Settings modal management
  * - API key validation and testing
+ * - LLM provider selection and custom endpoint configuration
  * - Settings persistence
  * - User feedback and error handling
  * 
@@ -17,9 +18,10 @@ class SettingsController {
    * @param {StorageManager} storageManager - Storage manager instance
    * @param {PoeClient} poeClient - Poe API client for testing
    * @param {UIManager} uiManager - UI manager for modal operations
+   * @param {ProviderManager} providerManager - Provider configuration manager
    * @constructor
    */
-  constructor(eventBus, storageManager, poeClient, uiManager) {
+  constructor(eventBus, storageManager, poeClient, uiManager, providerManager) {
     /** @type {EventBus} Event bus instance */
     this.eventBus = eventBus;
     
@@ -31,6 +33,12 @@ class SettingsController {
     
     /** @type {UIManager} UI manager instance */
     this.uiManager = uiManager;
+
+    /** @type {ProviderManager} Provider configuration manager */
+    this.providerManager = providerManager;
+
+    /** @type {string} Provider currently shown in the settings form */
+    this.selectedProviderId = POE_PROVIDER_ID;
     
     /** @type {boolean} Whether settings listeners are set up */
     this.listenersSetup = false;
@@ -69,20 +77,18 @@ class SettingsController {
       // Open modal
       this.uiManager.openSettingsModal();
       
-      // Load current API key
-      const apiKeyInput = this.uiManager.getElement('apiKeyInput');
+      // Load providers and the active provider's API key
       try {
-        const decryptedKey = await this.storageManager.getOpenAIApiKey();
-        if (decryptedKey) {
-          apiKeyInput.value = decryptedKey;
-          this.currentSettings.apiKey = decryptedKey;
-          this.currentSettings.isValid = true;
-        }
+        const settings = await this.storageManager.getSettings();
+        await this.loadProviders(settings.activeProviderId);
       } catch (error) {
         console.error('[SettingsController] Error loading API key:', error);
         this.showSettingsStatus('Error loading API key', 'error');
       }
 
+      // Load preferences into the form
+      await this.loadPreferences();
+
       // Set up event listeners if not already done
       if (!this.listenersSetup) {
         this.setupSettingsEventListeners();
@@ -160,35 +166,90 @@ class SettingsController {
       this.validateApiKeyFormat(e.target.value);
     });
 
+    // Provider selection
+    const providerSelect = this.uiManager.getElement('providerSelect');
+    if (providerSelect) {
+      providerSelect.onchange = async () => {
+        await this.showProviderForm(providerSelect.value);
+      };
+    }
+
+    const clearCacheBtn = this.uiManager.getElement('clearResponseCache');
+    if (clearCacheBtn) {
+      clearCacheBtn.onclick = async () => {
+        await this.clearResponseCache();
+      };
+    }
+
+    const deleteProviderBtn = this.uiManager.getElement('deleteProvider');
+    if (deleteProviderBtn) {
+      deleteProviderBtn.onclick = async () => {
+        await this.deleteSelectedProvider();
+      };
+    }
+
     console.log('[SettingsController] Event listeners set up');
   }
 
   /**
    * Save settings to storage
+   * Saves the provider shown in the form, its API key and makes it the active provider
    */
   async saveSettings() {
     const apiKeyInput = this.uiManager.getElement('apiKeyInput');
     const saveBtn = this.uiManager.getElement('saveSettings');
     
     const apiKey = apiKeyInput.value.trim();
+    const isPoe = this.selectedProviderId === POE_PROVIDER_ID;
     
-    if (!apiKey) {
+    if (isPoe && !apiKey) {
       this.showSettingsStatus('Please enter a Poe API key', 'error');
       return;
     }
 
-    // Validate API key format
-    if (!this.validateApiKeyFormat(apiKey)) {
+    // Validate API key format (optional for custom endpoints)
+    if ((isPoe || apiKey) && !this.validateApiKeyFormat(apiKey)) {
       this.showSettingsStatus('Invalid API key format', 'error');
       return;
     }
 
+    let providerForm = null;
+    if (!isPoe) {
+      try {
+        providerForm = this.readProviderForm();
+      } catch (error) {
+        this.showSettingsStatus(error.message, 'error');
+        return;
+      }
+
+      const validation = this.providerManager.validateProvider(providerForm);
+      if (!validation.valid) {
+        this.showSettingsStatus(validation.errors.join(' '), 'error');
+        return;
+      }
+    }
+
     try {
       saveBtn.disabled = true;
+
+      // Must run first so the browser still treats it as part of the click
+      const permissionGranted = providerForm
+        ? await this.requestHostPermission(providerForm.baseUrl)
+        : true;
+
       this.showSettingsStatus('Saving...', 'loading');
       
       // Save to storage
-      await this.storageManager.saveOpenAIApiKey(apiKey);
+      if (isPoe) {
+        await this.storageManager.saveOpenAIApiKey(apiKey);
+        await this.providerManager.setActiveProvider(POE_PROVIDER_ID);
+      } else {
+        const saved = await this.providerManager.saveProvider({ ...providerForm, apiKey: apiKey || null });
+        await this.providerManager.setActiveProvider(saved.id);
+        this.selectedProviderId = saved.id;
+        await this.loadProviders(saved.id);
+      }
+      await this.storageManager.saveSettings(this.collectPreferences());
       
       // Clear API key cache in PoeClient to force refresh
       if (this.poeClient && typeof this.poeClient.clearApiKeyCache === 'function') {
@@ -199,16 +260,23 @@ class SettingsController {
       this.currentSettings.apiKey = apiKey;
       this.currentSettings.isValid = true;
       
-      this.showSettingsStatus('Settings saved successfully!', 'success');
+      if (!permissionGranted) {
+        this.showSettingsStatus('Saved, but access to this endpoint was not granted. Requests may be blocked by the browser.', 'error');
+      } else {
+        this.showSettingsStatus('Settings saved successfully!', 'success');
+      }
       
       // Emit save event
       this.eventBus.emit(EventTypes.SETTINGS_SAVED, {
         apiKey: Boolean(apiKey),
+        providerId: this.selectedProviderId,
         timestamp: new Date().toISOString()
       });
       
       // Auto-close after success
-      setTimeout(() => this.closeSettings(), 1500);
+      if (permissionGranted) {
+        setTimeout(() => this.closeSettings(), 1500);
+      }
       
     } catch (error) {
       console.error('[SettingsController] Error saving settings:', error);
@@ -223,6 +291,295 @@ class SettingsController {
     }
   }
 
+  /**
+   * Populate the provider selector and show the given provider's form
+   * @param {string} [selectedId] - Provider to select; defaults to the built-in Poe provider
+   */
+  async loadProviders(selectedId = POE_PROVIDER_ID) {
+    const providerSelect = this.uiManager.getElement('providerSelect');
+    if (!providerSelect) {
+      return;
+    }
+
+    const providers = await this.providerManager.getProviders();
+    const validId = providers.some(provider => provider.id === selectedId) ? selectedId : POE_PROVIDER_ID;
+
+    providerSelect.innerHTML = providers.map(provider => `
+      <option value="${provider.id}">${this.uiManager.sanitizeInput(provider.name)}</option>
+    `).join('') + `<option value="${NEW_PROVIDER_OPTION}">+ Add OpenAI-compatible endpoint…</option>`;
+    providerSelect.value = validId;
+
+    await this.showProviderForm(validId);
+  }
+
+  /**
+   * Show the settings form for a provider
+   * Custom providers show their endpoint fields; Poe only needs an API key
+   * @param {string} providerId - Provider ID or NEW_PROVIDER_OPTION
+   */
+  async showProviderForm(providerId) {
+    const fields = this.uiManager.getElement('customProviderFields');
+    const apiKeyInput = this.uiManager.getElement('apiKeyInput');
+    const apiKeyLabel = this.uiManager.getElement('apiKeyLabel');
+    const apiKeyHelp = this.uiManager.getElement('apiKeyHelp');
+    const deleteBtn = this.uiManager.getElement('deleteProvider');
+    const isPoe = providerId === POE_PROVIDER_ID;
+
+    this.selectedProviderId = providerId;
+    fields.style.display = isPoe ? 'none' : 'block';
+    apiKeyHelp.style.display = isPoe ? 'block' : 'none';
+    apiKeyInput.placeholder = isPoe ? 'Enter your Poe API key...' : 'Optional for endpoints without authentication';
+    apiKeyInput.value = '';
+
+    if (isPoe) {
+      apiKeyLabel.textContent = 'Poe API Key';
+      const decryptedKey = await this.storageManager.getOpenAIApiKey();
+      if (decryptedKey) {
+        apiKeyInput.value = decryptedKey;
+        this.currentSettings.apiKey = decryptedKey;
+        this.currentSettings.isValid = true;
+      }
+      return;
+    }
+
+    apiKeyLabel.textContent = 'API Key';
+    const isNew = providerId === NEW_PROVIDER_OPTION;
+    const provider = isNew ? null : await this.providerManager.resolveProvider(providerId);
+
+    this.uiManager.getElement('providerNameInput').value = provider?.name || '';
+    this.uiManager.getElement('providerBaseUrlInput').value = provider?.baseUrl || '';
+    this.uiManager.getElement('providerModelInput').value = provider?.model || '';
+    this.uiManager.getElement('providerHeadersInput').value = this.providerManager.formatHeaders(provider?.headers);
+    apiKeyInput.value = provider?.apiKey || '';
+    deleteBtn.style.display = isNew ? 'none' : 'inline-block';
+  }
+
+  /**
+   * Read the custom provider fields from the settings form
+   * @returns {Object} Provider configuration without API key
+   * @throws {Error} If the extra headers cannot be parsed
+   */
+  readProviderForm() {
+    return {
+      id: this.selectedProviderId === NEW_PROVIDER_OPTION ? undefined : this.selectedProviderId,
+      name: this.uiManager.getElement('providerNameInput').value,
+      baseUrl: this.uiManager.getElement('providerBaseUrlInput').value,
+      model: this.uiManager.getElement('providerModelInput').value,
+      headers: this.providerManager.parseHeaders(this.uiManager.getElement('providerHeadersInput').value)
+    };
+  }
+
+  /**
+   * Delete the custom provider shown in the form
+   */
+  async deleteSelectedProvider() {
+    const providerId = this.selectedProviderId;
+    if (providerId === POE_PROVIDER_ID || providerId === NEW_PROVIDER_OPTION) {
+      return;
+    }
+
+    const name = this.uiManager.getElement('providerNameInput').value || 'this provider';
+    if (!confirm(`Delete provider "${name}"?`)) {
+      return;
+    }
+
+    try {
+      await this.providerManager.deleteProvider(providerId);
+      this.poeClient.clearApiKeyCache();
+      const settings = await this.storageManager.getSettings();
+      await this.loadProviders(settings.activeProviderId);
+      this.showSettingsStatus('Provider deleted', 'success');
+    } catch (error) {
+      console.error('[SettingsController] Error deleting provider:', error);
+      this.showSettingsStatus('Error deleting provider', 'error');
+    }
+  }
+
+  /**
+   * Remove all cached responses
+   */
+  async clearResponseCache() {
+    try {
+      await this.poeClient.clearRequestCache();
+      this.showSettingsStatus('Response cache cleared', 'success');
+    } catch (error) {
+      console.error('[SettingsController] Error clearing response cache:', error);
+      this.showSettingsStatus('Error clearing response cache', 'error');
+    }
+  }
+
+  /**
+   * Ask the browser for access to a custom endpoint's origin
+   * Needed so requests to self-hosted endpoints are not blocked by CORS
+   * @param {string} baseUrl - Endpoint base URL
+   * @returns {Promise<boolean>} Whether access is granted
+   */
+  async requestHostPermission(baseUrl) {
+    const permissionsApi = typeof browserAPI !== 'undefined' ? browserAPI.permissions : null;
+    if (!permissionsApi || typeof permissionsApi.request !== 'function') {
+      return true;
+    }
+
+    try {
+      const origins = [`${new URL(baseUrl).origin}/*`];
+      return await permissionsApi.request({ origins });
+    } catch (error) {
+      console.warn('[SettingsController] Host permission request failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Populate preference controls from stored settings
+   */
+  async loadPreferences() {
+    try {
+      const settings = await this.storageManager.getSettings();
+      const streamToggle = this.uiManager.getElement('streamResponsesToggle');
+      if (streamToggle) {
+        streamToggle.checked = Boolean(settings.streamResponses);
+      }
+
+      const verdictToggle = this.uiManager.getElement('structuredVerdictsToggle');
+      if (verdictToggle) {
+        verdictToggle.checked = Boolean(settings.structuredVerdicts);
+      }
+
+      const followUpToggle = this.uiManager.getElement('followUpSuggestionsToggle');
+      if (followUpToggle) {
+        followUpToggle.checked = Boolean(settings.followUpSuggestions);
+      }
+
+      const maxRetriesInput = this.uiManager.getElement('maxRetriesInput');
+      if (maxRetriesInput) {
+        maxRetriesInput.value = settings.maxRetries;
+      }
+
+      const maxRetryWaitInput = this.uiManager.getElement('maxRetryWaitInput');
+      if (maxRetryWaitInput) {
+        maxRetryWaitInput.value = settings.maxRetryWaitSeconds;
+      }
+
+      const maxConcurrentInput = this.uiManager.getElement('maxConcurrentInput');
+      if (maxConcurrentInput) {
+        maxConcurrentInput.value = settings.maxConcurrentRequests;
+      }
+
+      const contextBudgetInput = this.uiManager.getElement('contextBudgetInput');
+      if (contextBudgetInput) {
+        contextBudgetInput.value = settings.contextTokenBudget;
+      }
+
+      const cacheToggle = this.uiManager.getElement('useResponseCacheToggle');
+      if (cacheToggle) {
+        cacheToggle.checked = Boolean(settings.useResponseCache);
+      }
+
+      const cacheTtlInput = this.uiManager.getElement('responseCacheTtlInput');
+      if (cacheTtlInput) {
+        cacheTtlInput.value = settings.responseCacheTtlHours;
+      }
+
+      const softBudgetInput = this.uiManager.getElement('softBudgetInput');
+      if (softBudgetInput) {
+        softBudgetInput.value = settings.monthlySoftBudgetTokens;
+      }
+
+      const hardBudgetInput = this.uiManager.getElement('hardBudgetInput');
+      if (hardBudgetInput) {
+        hardBudgetInput.value = settings.monthlyHardBudgetTokens;
+      }
+
+      const vaultIdleInput = this.uiManager.getElement('vaultIdleInput');
+      if (vaultIdleInput) {
+        vaultIdleInput.value = settings.vaultIdleMinutes;
+      }
+    } catch (error) {
+      console.error('[SettingsController] Error loading preferences:', error);
+    }
+  }
+
+  /**
+   * Read preference values from the settings form
+   * @returns {Object} Settings updates to persist
+   */
+  collectPreferences() {
+    const preferences = {};
+    const streamToggle = this.uiManager.getElement('streamResponsesToggle');
+    if (streamToggle) {
+      preferences.streamResponses = streamToggle.checked;
+    }
+
+    const verdictToggle = this.uiManager.getElement('structuredVerdictsToggle');
+    if (verdictToggle) {
+      preferences.structuredVerdicts = verdictToggle.checked;
+    }
+
+    const followUpToggle = this.uiManager.getElement('followUpSuggestionsToggle');
+    if (followUpToggle) {
+      preferences.followUpSuggestions = followUpToggle.checked;
+    }
+
+    const maxRetriesInput = this.uiManager.getElement('maxRetriesInput');
+    const maxRetries = parseInt(maxRetriesInput?.value, 10);
+    if (Number.isFinite(maxRetries)) {
+      preferences.maxRetries = Math.min(10, Math.max(0, maxRetries));
+    }
+
+    const maxRetryWaitInput = this.uiManager.getElement('maxRetryWaitInput');
+    const maxRetryWait = parseInt(maxRetryWaitInput?.value, 10);
+    if (Number.isFinite(maxRetryWait)) {
+      preferences.maxRetryWaitSeconds = Math.min(600, Math.max(1, maxRetryWait));
+    }
+
+    const maxConcurrentInput = this.uiManager.getElement('maxConcurrentInput');
+    const maxConcurrent = parseInt(maxConcurrentInput?.value, 10);
+    if (Number.isFinite(maxConcurrent)) {
+      preferences.maxConcurrentRequests = Math.min(6, Math.max(1, maxConcurrent));
+    }
+
+    const contextBudgetInput = this.uiManager.getElement('contextBudgetInput');
+    const contextBudget = parseInt(contextBudgetInput?.value, 10);
+    if (Number.isFinite(contextBudget)) {
+      preferences.contextTokenBudget = Math.min(200000, Math.max(1000, contextBudget));
+    }
+
+    const cacheToggle = this.uiManager.getElement('useResponseCacheToggle');
+    if (cacheToggle) {
+      preferences.useResponseCache = cacheToggle.checked;
+    }
+
+    const cacheTtlInput = this.uiManager.getElement('responseCacheTtlInput');
+    const cacheTtl = parseInt(cacheTtlInput?.value, 10);
+    if (Number.isFinite(cacheTtl)) {
+      preferences.responseCacheTtlHours = Math.min(720, Math.max(1, cacheTtl));
+    }
+
+    // Budgets of 0 (or an empty field) are turned off
+    const softBudgetInput = this.uiManager.getElement('softBudgetInput');
+    if (softBudgetInput) {
+      preferences.monthlySoftBudgetTokens = Math.max(0, parseInt(softBudgetInput.value, 10) || 0);
+    }
+
+    const hardBudgetInput = this.uiManager.getElement('hardBudgetInput');
+    if (hardBudgetInput) {
+      preferences.monthlyHardBudgetTokens = Math.max(0, parseInt(hardBudgetInput.value, 10) || 0);
+    }
+
+    // An idle time of 0 (or an empty field) never locks
+    const vaultIdleInput = this.uiManager.getElement('vaultIdleInput');
+    if (vaultIdleInput) {
+      preferences.vaultIdleMinutes = Math.min(1440, Math.max(0, parseInt(vaultIdleInput.value, 10) || 0));
+    }
+
+    // Filled by LensController; empty until the lens list has loaded
+    const defaultLensSelect = this.uiManager.getElement('defaultLensSelect');
+    if (defaultLensSelect && defaultLensSelect.value) {
+      preferences.defaultLensId = defaultLensSelect.value;
+    }
+    return preferences;
+  }
+
   /**
    * Test API connection
    */
@@ -231,24 +588,50 @@ class SettingsController {
     const testBtn = this.uiManager.getElement('testConnection');
     
     const apiKey = apiKeyInput.value.trim();
+    const isPoe = this.selectedProviderId === POE_PROVIDER_ID;
     
-    if (!apiKey) {
+    if (isPoe && !apiKey) {
       this.showSettingsStatus('Please enter an API key first', 'error');
       return;
     }
 
-    if (!this.validateApiKeyFormat(apiKey)) {
+    if ((isPoe || apiKey) && !this.validateApiKeyFormat(apiKey)) {
       this.showSettingsStatus('Invalid API key format', 'error');
       return;
     }
 
+    let provider;
+    try {
+      provider = isPoe
+        ? this.providerManager.getBuiltInProvider()
+        : { ...this.readProviderForm(), requiresApiKey: false };
+    } catch (error) {
+      this.showSettingsStatus(error.message, 'error');
+      return;
+    }
+
+    if (!isPoe) {
+      const validation = this.providerManager.validateProvider(provider);
+      if (!validation.valid) {
+        this.showSettingsStatus(validation.errors.join(' '), 'error');
+        return;
+      }
+      provider.baseUrl = this.providerManager.normalizeBaseUrl(provider.baseUrl);
+      provider.name = provider.name.trim();
+    }
+
     try {
       testBtn.disabled = true;
+
+      if (!isPoe) {
+        await this.requestHostPermission(provider.baseUrl);
+      }
+
       this.showSettingsStatus('Testing connection...', 'loading');
       
       console.log('[SettingsController] Testing API connection');
       
-      const success = await this.poeClient.testConnection(apiKey);
+      const success = await this.poeClient.testConnection(apiKey, provider);
       
       if (success) {
         this.showSettingsStatus('Connection successful!', 'success');
@@ -469,4 +852,7 @@ class SettingsController {
     
     console.log('[SettingsController] Cleanup completed');
   }
-}
\ No newline at end of file
+}
+
+// Value of the provider selector option that starts a new custom provider
+const NEW_PROVIDER_OPTION = '__new__';
@@ -4,10 +4,16 @@
  * 
  * Features:
  * - AES-GCM encryption for sensitive chat data
+ * - One encrypted IndexedDB record per chat and per image; only changed chats are written
+ * - Chat messages decrypted lazily, when a chat is opened
  * - Debounced saves to prevent excessive storage operations
  * - Secure API key management
  * - Automatic encryption key generation and storage
+ * - Optional vault mode: the encryption key is stored wrapped with a passphrase-derived key
+ * - No unencrypted fallback: encryption failures are thrown, and records that can't be decrypted
+ *   are moved to a quarantine for retry or export instead of being dropped
  * - Cross-browser compatibility (Chrome & Firefox)
+ * - User preference storage with defaults
  * 
  * @class StorageManager
  */
@@ -25,6 +31,16 @@ class StorageManager {
     this.cacheTimestamp = 0;
     /** @type {number} Cache validity duration (5 minutes) */
     this.cacheValidityMs = 5 * 60 * 1000;
+    /** @type {Promise<CryptoKey>|null} Encryption key, read from storage once */
+    this.keyPromise = null;
+    /** @type {ChatStore} IndexedDB store holding the encrypted chats and images */
+    this.chatStore = new ChatStore();
+    /** @type {Map<number, Object>} Header and body JSON last written per chat, with its image IDs, to skip unchanged chats */
+    this.writtenChats = new Map();
+    /** @type {Promise<void>} Saves run one after another so an older save can't overwrite a newer one */
+    this.saveQueue = Promise.resolve();
+    /** @type {Function|null} Called with the error when a debounced save fails, since nobody awaits it */
+    this.onSaveError = null;
     
     // Cross-browser storage API
     this.storage = this._getBrowserStorage();
@@ -78,18 +94,36 @@ class StorageManager {
 
   /**
    * Save chat data to browser storage with encryption
+   * Only chats whose header or messages changed since the last save are re-encrypted and written.
    * @param {Map} chats - Map of chat objects keyed by chat ID
    * @param {number} nextChatId - Next available chat ID
    * @param {number|null} currentChatId - Currently active chat ID
    * @returns {Promise<void>}
+   * @throws {Error} If a chat cannot be encrypted or written
    */
-  async saveData(chats, nextChatId, currentChatId) {
+  saveData(chats, nextChatId, currentChatId) {
+    const save = this.saveQueue.then(() => this.writeChats(chats, nextChatId, currentChatId));
+    this.saveQueue = save.catch(() => {});
+    return save;
+  }
+
+  /**
+   * Write changed chats to the chat store and the chat list to browser storage
+   * @private
+   * @param {Map} chats - Map of chat objects keyed by chat ID
+   * @param {number} nextChatId - Next available chat ID
+   * @param {number|null} currentChatId - Currently active chat ID
+   * @returns {Promise<void>}
+   * @throws {Error} If a chat cannot be encrypted or written
+   */
+  async writeChats(chats, nextChatId, currentChatId) {
     try {
-      // Convert Map to plain object and encrypt sensitive data
-      const chatsObj = Object.fromEntries(chats);
-      const encryptedChats = await this.encryptData(chatsObj);
-      
+      const operations = [];
+      const written = new Map();
+
       // Also save chat titles separately for context menu (unencrypted for easy access)
+      // In vault mode the titles are replaced, since they are readable without the passphrase
+      const vaultEnabled = await this.isVaultEnabled();
       const chatTitles = {};
       for (const [chatId, chat] of chats) {
         // Validate chat ID is a valid positive integer before including in chatTitles
@@ -104,27 +138,137 @@ class StorageManager {
           continue;
         }
         
-        const messageCount = chat.messages.length;
+        const messageCount = chat.getMessageCount();
         const hasMessages = messageCount > 0;
         
         console.log(`[StorageManager] Updating chatTitles for chat ${chatId}: hasMessages=${hasMessages}, messageCount=${messageCount}`);
         
         chatTitles[chatId] = {
-          title: chat.title || 'New Chat',
+          title: vaultEnabled ? `Chat ${chatId}` : (chat.title || 'New Chat'),
           lastActivity: chat.lastActivity || new Date().toISOString(),
           hasMessages: hasMessages
         };
+
+        const changes = await this.getChatChanges(chatId, chat);
+        if (changes) {
+          operations.push(...changes.operations);
+          written.set(chatId, changes.written);
+        }
+      }
+
+      // Chats missing from the map were deleted
+      for (const chatId of this.writtenChats.keys()) {
+        if (!chats.has(chatId)) {
+          operations.push(
+            { type: 'delete', store: 'headers', key: chatId },
+            { type: 'delete', store: 'bodies', key: chatId },
+            { type: 'deleteChatImages', chatId }
+          );
+          written.set(chatId, null);
+        }
+      }
+
+      await this.chatStore.write(operations);
+      for (const [chatId, entry] of written) {
+        if (entry) {
+          this.writtenChats.set(chatId, entry);
+        } else {
+          this.writtenChats.delete(chatId);
+        }
+      }
+      if (written.size > 0) {
+        console.log(`[StorageManager] Wrote ${written.size} changed chats`);
       }
       
       await this.storage.local.set({
-        encryptedChats: encryptedChats,
         chatTitles: chatTitles,
         nextChatId: nextChatId,
         currentChatId: currentChatId
       });
     } catch (error) {
       console.error('Error saving to storage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out which records of a chat need writing
+   * The header (title, activity, metadata and a preview) is always available; the body with the
+   * messages only once the chat is loaded. Images are replaced by references in the body and
+   * stored once each, under an ID made from the chat, message and position.
+   * @private
+   * @param {number} chatId - Chat ID
+   * @param {Chat|Object} chat - Chat instance, or plain chat data when migrating
+   * @returns {Promise<Object|null>} Store `operations` and the `written` entry to remember, or null if nothing changed
+   */
+  async getChatChanges(chatId, chat) {
+    const previous = this.writtenChats.get(chatId) || { header: null, body: null, imageIds: new Set() };
+    const data = typeof chat.toJSON === 'function' ? chat.toJSON() : chat;
+    const loaded = chat.isLoaded !== false;
+    const messages = data.messages || [];
+    const lastMessage = messages.length > 0 ? messages[messages.length - 1] : null;
+
+    const header = {
+      title: data.title || 'New Chat',
+      lastActivity: data.lastActivity || new Date().toISOString(),
+      sourceUrl: data.sourceUrl || null,
+      lastSourceUrl: data.lastSourceUrl || null,
+      metadata: data.metadata || {},
+      messageCount: loaded ? messages.length : chat.storedStats?.messageCount || 0,
+      lastMessage: loaded
+        ? (lastMessage?.content || '').substring(0, STORED_PREVIEW_LENGTH)
+        : chat.storedStats?.lastMessage || ''
+    };
+    const headerJson = JSON.stringify(header);
+
+    const operations = [];
+    const entry = { header: headerJson, body: previous.body, imageIds: previous.imageIds };
+    if (headerJson !== previous.header) {
+      operations.push({ type: 'put', store: 'headers', value: { id: chatId, data: await this.encryptRecord(header) } });
+    }
+
+    // Chats that were never opened keep their stored body
+    if (loaded) {
+      const images = new Map();
+      const withImageRefs = (message) => ({
+        ...message,
+        images: (message.images || []).map((image, index) => {
+          const { data: imageData, ...rest } = image;
+          const imageId = `${chatId}-${message.id}-${index}`;
+          images.set(imageId, imageData);
+          return { ...rest, imageId };
+        })
+      });
+      const body = {
+        messages: messages.map(withImageRefs),
+        branches: (data.branches || []).map(branch => ({
+          ...branch,
+          messages: (branch.messages || []).map(withImageRefs)
+        })),
+        activeBranchId: data.activeBranchId || 1
+      };
+      const bodyJson = JSON.stringify(body);
+
+      if (bodyJson !== previous.body) {
+        operations.push({ type: 'put', store: 'bodies', value: { id: chatId, data: await this.encryptRecord(body) } });
+
+        // Images never change within a message, so only new ones are written
+        for (const [imageId, imageData] of images) {
+          if (!previous.imageIds.has(imageId)) {
+            operations.push({ type: 'put', store: 'images', value: { id: imageId, chatId, data: await this.encryptRecord(imageData) } });
+          }
+        }
+        for (const imageId of previous.imageIds) {
+          if (!images.has(imageId)) {
+            operations.push({ type: 'delete', store: 'images', key: imageId });
+          }
+        }
+        entry.body = bodyJson;
+        entry.imageIds = new Set(images.keys());
+      }
     }
+
+    return operations.length > 0 ? { operations, written: entry } : null;
   }
 
   /**
@@ -141,7 +285,11 @@ class StorageManager {
     }
     
     this.saveTimeout = setTimeout(() => {
-      this.saveData(chats, nextChatId, currentChatId);
+      this.saveData(chats, nextChatId, currentChatId).catch(error => {
+        if (this.onSaveError) {
+          this.onSaveError(error);
+        }
+      });
       this.saveTimeout = null;
     }, delay);
   }
@@ -153,6 +301,7 @@ class StorageManager {
    * @param {number} nextChatId - Next available chat ID
    * @param {number|null} currentChatId - Currently active chat ID
    * @returns {Promise<void>}
+   * @throws {Error} If a chat cannot be encrypted or written
    */
   async forceSave(chats, nextChatId, currentChatId) {
     if (this.saveTimeout) {
@@ -205,51 +354,57 @@ class StorageManager {
 
   /**
    * Load and decrypt chat data from Chrome storage
+   * Only chat headers are decrypted; chats come back with `isLoaded: false` and their message count
+   * and last message in `storedStats`, except the current chat, which is loaded in full.
+   * Chats whose header can't be decrypted are moved to the quarantine.
    * @returns {Promise<{chats: Map, nextChatId: number, currentChatId: number|null}>} Decrypted chat data
-   * @throws {Error} If storage access fails
+   * @throws {Error} If storage access fails or the vault is locked
    */
   async loadData() {
     try {
-      const result = await this.storage.local.get(['encryptedChats', 'nextChatId', 'currentChatId']);
+      const result = await this.storage.local.get(['nextChatId', 'currentChatId']);
+      const records = await this.chatStore.getAll('headers');
       
-      let chats = new Map();
-      if (result.encryptedChats) {
+      const chats = new Map();
+      this.writtenChats = new Map();
+      for (const record of records) {
+        // Validate chat ID
+        const chatId = record.id;
+        if (!Number.isInteger(chatId) || chatId <= 0 || chatId > Number.MAX_SAFE_INTEGER) {
+          console.warn(`[StorageManager] Skipping invalid chat ID during load: ${chatId}`);
+          continue;
+        }
+
+        let header;
         try {
-          // Decrypt and parse chat data
-          const decryptedData = await this.decryptData(result.encryptedChats);
-          
-          // Safely parse chat data with validation to prevent invalid chat IDs
-          const validChats = new Map();
-          for (const [key, chatData] of Object.entries(decryptedData)) {
-            // Parse and validate chat ID
-            const chatId = parseInt(key, 10);
-            if (!Number.isInteger(chatId) || chatId <= 0 || chatId > Number.MAX_SAFE_INTEGER) {
-              console.warn(`[StorageManager] Skipping invalid chat ID during load: ${key} (parsed: ${chatId})`);
-              continue;
-            }
-            
-            // Validate chat data structure
-            if (!chatData || typeof chatData !== 'object' || !Array.isArray(chatData.messages)) {
-              console.warn(`[StorageManager] Skipping invalid chat data for ID ${chatId}`);
-              continue;
-            }
-            
-            validChats.set(chatId, chatData);
-          }
-          
-          chats = validChats;
-          
-          // If we removed invalid data, force a cleanup save to prevent future corruption
-          const originalSize = Object.keys(decryptedData).length;
-          if (validChats.size < originalSize) {
-            console.warn(`[StorageManager] Detected data corruption: cleaned ${originalSize - validChats.size} invalid chat entries`);
-            // Mark for cleanup by setting a flag that the caller can check
-            chats.needsCleanup = true;
-          }
+          header = await this.decryptRecord(record.data);
         } catch (decryptError) {
-          console.warn('Failed to decrypt chat data, starting fresh');
-          chats = new Map();
+          if (decryptError.vaultLocked) {
+            throw decryptError;
+          }
+          console.warn(`[StorageManager] Failed to decrypt chat ${chatId}, moving it to the quarantine`);
+          await this.quarantineChat(chatId, decryptError, true);
+          continue;
         }
+
+        this.writtenChats.set(chatId, { header: JSON.stringify(header), body: null, imageIds: new Set() });
+        chats.set(chatId, {
+          id: chatId,
+          title: header.title,
+          lastActivity: header.lastActivity,
+          sourceUrl: header.sourceUrl,
+          lastSourceUrl: header.lastSourceUrl,
+          metadata: header.metadata,
+          isLoaded: false,
+          storedStats: {
+            messageCount: header.messageCount || 0,
+            lastMessage: header.lastMessage || ''
+          }
+        });
+      }
+
+      if (chats.size < records.length) {
+        console.warn(`[StorageManager] Skipped ${records.length - chats.size} unreadable chat records`);
       }
       
       // Validate nextChatId to prevent corruption
@@ -265,6 +420,15 @@ class StorageManager {
         console.warn(`[StorageManager] Invalid currentChatId: ${result.currentChatId}, clearing`);
         currentChatId = null;
       }
+
+      // Open the current chat right away so the first screen isn't a loading state
+      if (currentChatId !== null) {
+        try {
+          chats.set(currentChatId, { ...chats.get(currentChatId), ...(await this.loadChat(currentChatId)), isLoaded: true, storedStats: null });
+        } catch (error) {
+          console.warn(`[StorageManager] Could not load current chat ${currentChatId}:`, error);
+        }
+      }
       
       return {
         chats,
@@ -277,89 +441,395 @@ class StorageManager {
     }
   }
 
+  /**
+   * Load the messages of one chat
+   * Decrypts the chat body and its images and puts the images back into the messages.
+   * A body that can't be decrypted stays in place and a copy goes to the quarantine; images that
+   * can't be decrypted are moved there and left out of the messages.
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object>} Chat content with `messages`, `branches` and `activeBranchId`
+   * @throws {Error} If the stored chat cannot be read or decrypted
+   */
+  async loadChat(chatId) {
+    const record = await this.chatStore.get('bodies', chatId);
+    if (!record) {
+      console.warn(`[StorageManager] Chat ${chatId} has no stored messages`);
+      return { messages: [], branches: [], activeBranchId: 1 };
+    }
+
+    let body;
+    try {
+      body = await this.decryptRecord(record.data);
+    } catch (error) {
+      if (!error.vaultLocked) {
+        console.warn(`[StorageManager] Failed to decrypt chat ${chatId}, copying it to the quarantine`);
+        await this.quarantineChat(chatId, error, false);
+      }
+      throw error;
+    }
+
+    const images = new Map();
+    const operations = [];
+    for (const image of await this.chatStore.getChatImages(chatId)) {
+      try {
+        images.set(image.id, await this.decryptRecord(image.data));
+      } catch (error) {
+        if (error.vaultLocked) {
+          throw error;
+        }
+        console.warn(`[StorageManager] Failed to decrypt image ${image.id}, moving it to the quarantine`);
+        operations.push(
+          this.getQuarantineOperation('image', chatId, { image }, error),
+          { type: 'delete', store: 'images', key: image.id }
+        );
+      }
+    }
+    await this.chatStore.write(operations);
+
+    const entry = this.writtenChats.get(chatId);
+    if (entry) {
+      entry.body = JSON.stringify(body);
+      entry.imageIds = new Set(images.keys());
+    }
+
+    const withImages = (message) => ({
+      ...message,
+      images: (message.images || [])
+        .filter(image => images.has(image.imageId))
+        .map(({ imageId, ...rest }) => ({ ...rest, data: images.get(imageId) }))
+    });
+    return {
+      messages: (body.messages || []).map(withImages),
+      branches: (body.branches || []).map(branch => ({ ...branch, messages: (branch.messages || []).map(withImages) })),
+      activeBranchId: body.activeBranchId || 1
+    };
+  }
+
+  /**
+   * Move chats from the single encrypted `encryptedChats` blob into the chat store
+   * Run by SchemaMigrator. The blob is removed once its chats are written; a blob that can't be
+   * decrypted is moved to the quarantine.
+   * @returns {Promise<void>}
+   */
+  async migrateLegacyChats() {
+    const result = await this.storage.local.get(['encryptedChats']);
+    if (!result.encryptedChats) {
+      return;
+    }
+
+    let legacyChats;
+    try {
+      legacyChats = await this.decryptData(result.encryptedChats);
+    } catch (decryptError) {
+      if (decryptError.vaultLocked) {
+        throw decryptError;
+      }
+      console.warn('[StorageManager] Failed to decrypt old chat data, moving it to the quarantine');
+      await this.chatStore.write([
+        this.getQuarantineOperation('legacyChats', null, { encryptedChats: result.encryptedChats }, decryptError)
+      ]);
+      await this.storage.local.remove(['encryptedChats']);
+      return;
+    }
+
+    await this.importLegacyChats(legacyChats);
+    await this.storage.local.remove(['encryptedChats']);
+  }
+
+  /**
+   * Write chats in the old single-blob format to the chat store
+   * Chats whose ID is already taken get a new one, so old chats can join existing ones.
+   * @private
+   * @param {Object} legacyChats - Chat data keyed by chat ID
+   * @returns {Promise<void>}
+   */
+  async importLegacyChats(legacyChats) {
+    const result = await this.storage.local.get(['nextChatId']);
+    const takenIds = new Set((await this.chatStore.getAll('headers')).map(record => record.id));
+    let nextChatId = Math.max(Number.isInteger(result.nextChatId) ? result.nextChatId : 1, Math.max(0, ...takenIds) + 1);
+    const operations = [];
+    for (const [key, chatData] of Object.entries(legacyChats)) {
+      // Parse and validate chat ID
+      let chatId = parseInt(key, 10);
+      if (!Number.isInteger(chatId) || chatId <= 0 || chatId > Number.MAX_SAFE_INTEGER) {
+        console.warn(`[StorageManager] Skipping invalid chat ID during migration: ${key} (parsed: ${chatId})`);
+        continue;
+      }
+
+      // Validate chat data structure
+      if (!chatData || typeof chatData !== 'object' || !Array.isArray(chatData.messages)) {
+        console.warn(`[StorageManager] Skipping invalid chat data for ID ${chatId}`);
+        continue;
+      }
+
+      if (takenIds.has(chatId)) {
+        console.warn(`[StorageManager] Chat ID ${chatId} is taken, moving the old chat to ${nextChatId}`);
+        chatId = nextChatId++;
+      }
+      takenIds.add(chatId);
+
+      const changes = await this.getChatChanges(chatId, { ...chatData, id: chatId });
+      operations.push(...changes.operations);
+    }
+
+    await this.chatStore.write(operations);
+    await this.storage.local.set({ nextChatId: Math.max(nextChatId, Math.max(0, ...takenIds) + 1) });
+    console.log(`[StorageManager] Moved ${Object.keys(legacyChats).length} chats into the chat store`);
+  }
+
+  /**
+   * Build the store operation that sets undecryptable records aside
+   * @private
+   * @param {string} source - 'chat', 'image' or 'legacyChats'
+   * @param {number|null} chatId - Chat the records belong to
+   * @param {Object} records - The encrypted records, unchanged
+   * @param {Error} error - Why decryption failed
+   * @returns {Object} Put operation for ChatStore.write
+   */
+  getQuarantineOperation(source, chatId, records, error) {
+    return {
+      type: 'put',
+      store: 'quarantine',
+      value: {
+        source,
+        chatId,
+        records,
+        error: error.message || String(error),
+        quarantinedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Copy a chat's header, body and images to the quarantine
+   * Each chat is quarantined once, however often it fails to open.
+   * @private
+   * @param {number} chatId - Chat ID
+   * @param {Error} error - Why decryption failed
+   * @param {boolean} remove - Also remove the chat from the live stores
+   * @returns {Promise<void>}
+   */
+  async quarantineChat(chatId, error, remove) {
+    const operations = [];
+    const quarantine = await this.chatStore.getAll('quarantine');
+    if (!quarantine.some(entry => entry.source === 'chat' && entry.chatId === chatId)) {
+      operations.push(this.getQuarantineOperation('chat', chatId, {
+        header: await this.chatStore.get('headers', chatId),
+        body: await this.chatStore.get('bodies', chatId),
+        images: await this.chatStore.getChatImages(chatId)
+      }, error));
+    }
+    if (remove) {
+      operations.push(
+        { type: 'delete', store: 'headers', key: chatId },
+        { type: 'delete', store: 'bodies', key: chatId },
+        { type: 'deleteChatImages', chatId }
+      );
+    }
+    await this.chatStore.write(operations);
+  }
+
+  /**
+   * Read the quarantined records
+   * @returns {Promise<Array<Object>>} Entries with `id`, `source`, `chatId`, `records`, `error` and `quarantinedAt`
+   */
+  async getQuarantine() {
+    return this.chatStore.getAll('quarantine');
+  }
+
+  /**
+   * Try to decrypt the quarantined chats again and put back the ones that now work
+   * Restored chats show up on the next load. Quarantined images stay for export, since their
+   * messages no longer refer to them.
+   * @returns {Promise<{restored: number, remaining: number}>} How many entries were put back and how many are left
+   * @throws {Error} If the vault is locked
+   */
+  async retryQuarantine() {
+    const entries = await this.chatStore.getAll('quarantine');
+    let restored = 0;
+    for (const entry of entries) {
+      try {
+        const operations = [{ type: 'delete', store: 'quarantine', key: entry.id }];
+        if (entry.source === 'chat' && entry.records.header) {
+          await this.decryptRecord(entry.records.header.data);
+          operations.push({ type: 'put', store: 'headers', value: entry.records.header });
+          if (entry.records.body) {
+            await this.decryptRecord(entry.records.body.data);
+            operations.push({ type: 'put', store: 'bodies', value: entry.records.body });
+          }
+          (entry.records.images || []).forEach(image => {
+            operations.push({ type: 'put', store: 'images', value: image });
+          });
+        } else if (entry.source === 'legacyChats') {
+          await this.importLegacyChats(await this.decryptData(entry.records.encryptedChats));
+        } else {
+          continue;
+        }
+
+        await this.chatStore.write(operations);
+        restored++;
+      } catch (error) {
+        if (error.vaultLocked) {
+          throw error;
+        }
+        console.warn(`[StorageManager] Quarantined ${entry.source} ${entry.id} still can't be decrypted`);
+      }
+    }
+
+    console.log(`[StorageManager] Restored ${restored} of ${entries.length} quarantined entries`);
+    return { restored, remaining: entries.length - restored };
+  }
+
+  /**
+   * Export the quarantine as JSON
+   * Records stay encrypted and the key is not included, so the file is safe to keep or send for help.
+   * @returns {Promise<string>} JSON text with the entries, encrypted data as byte arrays
+   */
+  async exportQuarantine() {
+    const entries = await this.chatStore.getAll('quarantine');
+    return JSON.stringify({
+      type: 'debunkr-quarantine',
+      exportedAt: new Date().toISOString(),
+      encryption: 'AES-GCM, 12-byte IV followed by the ciphertext',
+      entries
+    }, (key, value) => ArrayBuffer.isView(value) ? Array.from(value) : value, 2);
+  }
+
+  /**
+   * Delete everything in the quarantine
+   * @returns {Promise<void>}
+   */
+  async deleteQuarantine() {
+    await this.chatStore.clear(['quarantine']);
+    console.log('[StorageManager] Quarantine deleted');
+  }
+
   /**
    * Encrypt data using AES-GCM algorithm
+   * Failures are thrown with `encryptionFailed` set; data is never stored unencrypted instead.
    * @param {any} data - Data to encrypt (will be JSON stringified)
-   * @returns {Promise<Array<number>|string>} Encrypted data as byte array, or JSON string as fallback
+   * @returns {Promise<Array<number>>} Encrypted data as byte array
+   * @throws {Error} If encryption fails or the vault is locked
    */
   async encryptData(data) {
     try {
-      const key = await this.getOrCreateEncryptionKey();
-      const encoder = new TextEncoder();
-      const dataString = JSON.stringify(data);
-      const dataBuffer = encoder.encode(dataString);
-      
-      const iv = crypto.getRandomValues(new Uint8Array(12));
-      const encryptedBuffer = await crypto.subtle.encrypt(
-        { name: 'AES-GCM', iv: iv },
-        key,
-        dataBuffer
-      );
-      
-      // Combine IV and encrypted data
-      const result = new Uint8Array(iv.length + encryptedBuffer.byteLength);
-      result.set(iv);
-      result.set(new Uint8Array(encryptedBuffer), iv.length);
-      
-      return Array.from(result);
+      return Array.from(await this.encryptRecord(data));
     } catch (error) {
       console.error('Encryption failed:', error);
-      // Fallback to unencrypted storage if encryption fails
-      return JSON.stringify(data);
+      error.encryptionFailed = true;
+      throw error;
     }
   }
 
   /**
    * Decrypt data using AES-GCM algorithm
-   * Handles both encrypted byte arrays and fallback JSON strings
-   * @param {Array<number>|string} encryptedArray - Encrypted data as byte array or JSON string fallback
+   * Also reads JSON strings, which older versions wrote when encryption failed
+   * @param {Array<number>|string} encryptedArray - Encrypted data as byte array, or a legacy JSON string
    * @returns {Promise<any>} Decrypted and parsed data object
    * @throws {Error} If decryption fails (indicates corrupted data or wrong key)
    */
   async decryptData(encryptedArray) {
     try {
-      const key = await this.getOrCreateEncryptionKey();
-      
       // Handle both encrypted array and fallback string formats
       if (typeof encryptedArray === 'string') {
         return JSON.parse(encryptedArray);
       }
       
-      const encryptedData = new Uint8Array(encryptedArray);
-      const iv = encryptedData.slice(0, 12);
-      const data = encryptedData.slice(12);
-      
-      const decryptedBuffer = await crypto.subtle.decrypt(
-        { name: 'AES-GCM', iv: iv },
-        key,
-        data
-      );
-      
-      const decoder = new TextDecoder();
-      const decryptedString = decoder.decode(decryptedBuffer);
-      return JSON.parse(decryptedString);
+      return await this.decryptRecord(new Uint8Array(encryptedArray));
     } catch (error) {
       console.error('Decryption failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Encrypt data for a chat store record
+   * @param {any} data - Data to encrypt (will be JSON stringified)
+   * @returns {Promise<Uint8Array>} IV followed by the encrypted data
+   * @throws {Error} If encryption fails
+   */
+  async encryptRecord(data) {
+    const key = await this.getOrCreateEncryptionKey();
+    const encoder = new TextEncoder();
+    const dataString = JSON.stringify(data);
+    const dataBuffer = encoder.encode(dataString);
+    
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encryptedBuffer = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: iv },
+      key,
+      dataBuffer
+    );
+    
+    // Combine IV and encrypted data
+    const result = new Uint8Array(iv.length + encryptedBuffer.byteLength);
+    result.set(iv);
+    result.set(new Uint8Array(encryptedBuffer), iv.length);
+    return result;
+  }
+
+  /**
+   * Decrypt a chat store record
+   * @param {Uint8Array} encryptedData - IV followed by the encrypted data
+   * @returns {Promise<any>} Decrypted and parsed data
+   * @throws {Error} If decryption fails (corrupted data or wrong key)
+   */
+  async decryptRecord(encryptedData) {
+    const key = await this.getOrCreateEncryptionKey();
+    const iv = encryptedData.slice(0, 12);
+    const data = encryptedData.slice(12);
+    
+    const decryptedBuffer = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: iv },
+      key,
+      data
+    );
+    
+    const decoder = new TextDecoder();
+    return JSON.parse(decoder.decode(decryptedBuffer));
+  }
+
   /**
    * Get existing encryption key or create new one
+   * The key is read from storage once and shared, so concurrent callers never create two keys.
+   * @returns {Promise<CryptoKey>} AES-GCM encryption key for data operations
+   */
+  getOrCreateEncryptionKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = this.loadOrCreateEncryptionKey();
+      this.keyPromise.catch(() => {
+        this.keyPromise = null;
+      });
+    }
+    return this.keyPromise;
+  }
+
+  /**
+   * Read the encryption key from storage or create a new one
    * Generates AES-GCM 256-bit key and stores it in Chrome storage
    * Keys persist across browser sessions for consistent encryption
+   * @private
    * @returns {Promise<CryptoKey>} AES-GCM encryption key for data operations
+   * @throws {Error} With `vaultLocked` set if the key is in a vault that hasn't been unlocked
    */
-  async getOrCreateEncryptionKey() {
+  async loadOrCreateEncryptionKey() {
     // Check if key already exists in storage
-    const result = await this.storage.local.get(['encryptionKey']);
+    const result = await this.storage.local.get(['encryptionKey', 'encryptionKeyVault']);
+
+    // A vaulted key is only available through unlockVault; never create a second key
+    if (result.encryptionKeyVault) {
+      const error = new Error('The vault is locked');
+      error.vaultLocked = true;
+      throw error;
+    }
     
     if (result.encryptionKey) {
+      // Extractable so enableVault can wrap it; unwrapped, the raw key is in storage anyway
       return await crypto.subtle.importKey(
         'raw',
         new Uint8Array(result.encryptionKey),
         { name: 'AES-GCM' },
-        false,
+        true,
         ['encrypt', 'decrypt']
       );
     }
@@ -380,6 +850,208 @@ class StorageManager {
     return key;
   }
 
+  /**
+   * Check whether the encryption key is protected by a passphrase
+   * @returns {Promise<boolean>} Whether vault mode is on
+   */
+  async isVaultEnabled() {
+    const result = await this.storage.local.get(['encryptionKeyVault']);
+    return Boolean(result.encryptionKeyVault);
+  }
+
+  /**
+   * Check whether the passphrase is needed before anything can be decrypted
+   * @returns {Promise<boolean>} Whether vault mode is on and the vault hasn't been unlocked
+   */
+  async isVaultLocked() {
+    return !this.keyPromise && await this.isVaultEnabled();
+  }
+
+  /**
+   * Unlock the vault, keeping the encryption key in memory until lockVault
+   * @param {string} passphrase - Vault passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} With `wrongPassphrase` set if the passphrase doesn't open the vault
+   */
+  async unlockVault(passphrase) {
+    const vault = await this.getVault();
+    const key = await this.unwrapEncryptionKey(vault, passphrase, false);
+    this.keyPromise = Promise.resolve(key);
+    console.log('[StorageManager] Vault unlocked');
+  }
+
+  /**
+   * Forget the encryption key and the decrypted API key
+   * Everything encrypted stays unreadable until the vault is unlocked again.
+   */
+  lockVault() {
+    this.keyPromise = null;
+    this.cachedApiKey = null;
+    this.cacheTimestamp = 0;
+    console.log('[StorageManager] Vault locked');
+  }
+
+  /**
+   * Turn on vault mode: wrap the encryption key with a passphrase and delete the unwrapped key
+   * Existing data stays encrypted with the same key, so nothing is re-encrypted.
+   * @param {string} passphrase - New vault passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} If vault mode is already on or the key cannot be wrapped
+   */
+  async enableVault(passphrase) {
+    if (await this.isVaultEnabled()) {
+      throw new Error('The vault is already on');
+    }
+
+    // Creates the key if there is none yet
+    const key = await this.getOrCreateEncryptionKey();
+    await this.storage.local.set({ encryptionKeyVault: await this.wrapEncryptionKey(key, passphrase) });
+    await this.storage.local.remove(['encryptionKey']);
+    console.log('[StorageManager] Vault turned on');
+  }
+
+  /**
+   * Re-wrap the encryption key with a new passphrase
+   * @param {string} currentPassphrase - Passphrase the vault opens with now
+   * @param {string} newPassphrase - Passphrase to use from now on
+   * @returns {Promise<void>}
+   * @throws {Error} With `wrongPassphrase` set if the current passphrase is wrong
+   */
+  async changeVaultPassphrase(currentPassphrase, newPassphrase) {
+    const key = await this.unwrapEncryptionKey(await this.getVault(), currentPassphrase, true);
+    await this.storage.local.set({ encryptionKeyVault: await this.wrapEncryptionKey(key, newPassphrase) });
+    console.log('[StorageManager] Vault passphrase changed');
+  }
+
+  /**
+   * Turn off vault mode, storing the encryption key unwrapped again
+   * @param {string} passphrase - Vault passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} With `wrongPassphrase` set if the passphrase is wrong
+   */
+  async disableVault(passphrase) {
+    const key = await this.unwrapEncryptionKey(await this.getVault(), passphrase, true);
+    const exportedKey = await crypto.subtle.exportKey('raw', key);
+    await this.storage.local.set({ encryptionKey: Array.from(new Uint8Array(exportedKey)) });
+    await this.storage.local.remove(['encryptionKeyVault']);
+    // The unlocked key can't be exported, and enableVault has to wrap it again
+    this.keyPromise = Promise.resolve(key);
+    console.log('[StorageManager] Vault turned off');
+  }
+
+  /**
+   * Validate a new vault passphrase
+   * @param {string} passphrase - New passphrase
+   * @param {string} confirmation - The passphrase typed a second time
+   * @returns {Object} Validation result with `valid` and `errors`
+   */
+  validateVaultPassphrase(passphrase, confirmation) {
+    const result = {
+      valid: true,
+      errors: []
+    };
+
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_VAULT_PASSPHRASE_LENGTH) {
+      result.errors.push(`The passphrase needs at least ${MIN_VAULT_PASSPHRASE_LENGTH} characters.`);
+    }
+    if (passphrase !== confirmation) {
+      result.errors.push('The passphrases do not match.');
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Read the wrapped encryption key
+   * @private
+   * @returns {Promise<Object>} Vault with the KDF parameters, IV and wrapped key
+   * @throws {Error} If vault mode is off
+   */
+  async getVault() {
+    const result = await this.storage.local.get(['encryptionKeyVault']);
+    if (!result.encryptionKeyVault) {
+      throw new Error('Vault mode is not turned on');
+    }
+    return result.encryptionKeyVault;
+  }
+
+  /**
+   * Wrap the encryption key with a key derived from a passphrase
+   * @private
+   * @param {CryptoKey} key - Extractable encryption key
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<Object>} Vault to store, with a fresh salt and IV
+   */
+  async wrapEncryptionKey(key, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await this.deriveVaultKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+    const wrappedKey = await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: 'AES-GCM', iv });
+
+    return {
+      kdf: 'PBKDF2-SHA256',
+      iterations: VAULT_KDF_ITERATIONS,
+      salt: Array.from(salt),
+      iv: Array.from(iv),
+      wrappedKey: Array.from(new Uint8Array(wrappedKey))
+    };
+  }
+
+  /**
+   * Unwrap the encryption key with a passphrase
+   * @private
+   * @param {Object} vault - Stored vault
+   * @param {string} passphrase - Passphrase
+   * @param {boolean} extractable - Whether the key may be exported, for re-wrapping it
+   * @returns {Promise<CryptoKey>} Encryption key
+   * @throws {Error} With `wrongPassphrase` set if the passphrase doesn't unwrap the key
+   */
+  async unwrapEncryptionKey(vault, passphrase, extractable) {
+    const wrappingKey = await this.deriveVaultKey(passphrase, new Uint8Array(vault.salt), vault.iterations);
+    try {
+      return await crypto.subtle.unwrapKey(
+        'raw',
+        new Uint8Array(vault.wrappedKey),
+        wrappingKey,
+        { name: 'AES-GCM', iv: new Uint8Array(vault.iv) },
+        { name: 'AES-GCM' },
+        extractable,
+        ['encrypt', 'decrypt']
+      );
+    } catch (unwrapError) {
+      // AES-GCM authentication fails for any other passphrase
+      const error = new Error('Wrong passphrase');
+      error.wrongPassphrase = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Derive the key that wraps the encryption key
+   * @private
+   * @param {string} passphrase - Passphrase
+   * @param {Uint8Array} salt - Random salt stored with the vault
+   * @param {number} iterations - PBKDF2 iterations stored with the vault
+   * @returns {Promise<CryptoKey>} AES-GCM wrapping key
+   */
+  async deriveVaultKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+
   /**
    * Securely save API key with encryption
    * API keys are encrypted before storage to protect user credentials
@@ -424,14 +1096,12 @@ class StorageManager {
 
       console.log('[StorageManager] Retrieving API key from storage');
       
-      // First try the new key name, then fall back to old name for migration
-      const result = await this.storage.local.get(['encryptedApiKey', 'encryptedOpenAIKey']);
+      // Keys saved under the old `encryptedOpenAIKey` name are moved by SchemaMigrator
+      const result = await this.storage.local.get(['encryptedApiKey']);
       let decryptedKey = null;
       
       if (result.encryptedApiKey) {
         decryptedKey = await this.decryptData(result.encryptedApiKey);
-      } else if (result.encryptedOpenAIKey) {
-        decryptedKey = await this.decryptData(result.encryptedOpenAIKey);
       }
       
       // Cache the result
@@ -451,6 +1121,111 @@ class StorageManager {
     }
   }
 
+  /**
+   * Load custom LLM provider configurations
+   * Providers are stored encrypted because headers and API keys may hold credentials
+   * @returns {Promise<Array<Object>>} Custom provider configurations including API keys
+   */
+  async getCustomProviders() {
+    try {
+      const result = await this.storage.local.get(['encryptedProviders']);
+      if (!result.encryptedProviders) {
+        return [];
+      }
+
+      const providers = await this.decryptData(result.encryptedProviders);
+      return Array.isArray(providers) ? providers : [];
+    } catch (error) {
+      console.error('[StorageManager] Error loading custom providers:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Encrypt and persist custom LLM provider configurations
+   * @param {Array<Object>} providers - Provider configurations including API keys
+   * @returns {Promise<void>}
+   * @throws {Error} If encryption or storage fails
+   */
+  async saveCustomProviders(providers) {
+    const encryptedProviders = await this.encryptData(providers);
+    await this.storage.local.set({ encryptedProviders });
+  }
+
+  /**
+   * Load cached assistant responses
+   * Stored encrypted because responses quote chat content
+   * @returns {Promise<Object>} Cache entries keyed by request hash
+   * @throws {Error} If the stored cache cannot be decrypted
+   */
+  async getResponseCache() {
+    const result = await this.storage.local.get(['encryptedResponseCache']);
+    if (!result.encryptedResponseCache) {
+      return {};
+    }
+
+    return await this.decryptData(result.encryptedResponseCache);
+  }
+
+  /**
+   * Encrypt and persist cached assistant responses
+   * @param {Object} entries - Cache entries keyed by request hash
+   * @returns {Promise<void>}
+   * @throws {Error} If encryption or storage fails
+   */
+  async saveResponseCache(entries) {
+    const encryptedResponseCache = await this.encryptData(entries);
+    await this.storage.local.set({ encryptedResponseCache });
+  }
+
+  /**
+   * Load the API usage ledger
+   * Entries hold only counts, IDs and timings, so they are stored unencrypted
+   * @returns {Promise<Array<Object>>} Ledger entries, oldest first
+   */
+  async getUsageLedger() {
+    const result = await this.storage.local.get(['usageLedger']);
+    return result.usageLedger || [];
+  }
+
+  /**
+   * Persist the API usage ledger
+   * Kept when chats are cleared so monthly budgets still count earlier calls
+   * @param {Array<Object>} entries - Ledger entries, oldest first
+   * @returns {Promise<void>}
+   */
+  async saveUsageLedger(entries) {
+    await this.storage.local.set({ usageLedger: entries });
+  }
+
+  /**
+   * Load user preferences merged over the defaults
+   * Settings are not sensitive and are stored unencrypted
+   * @returns {Promise<Object>} Current settings
+   */
+  async getSettings() {
+    try {
+      const result = await this.storage.local.get(['settings']);
+      return { ...DEFAULT_SETTINGS, ...(result.settings || {}) };
+    } catch (error) {
+      console.error('[StorageManager] Error loading settings:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * Persist changes to user preferences
+   * @param {Object} updates - Settings to change; unspecified settings keep their value
+   * @returns {Promise<Object>} The full updated settings object
+   * @throws {Error} If the storage operation fails
+   */
+  async saveSettings(updates) {
+    const settings = { ...(await this.getSettings()), ...updates };
+    await this.storage.local.set({ settings });
+    console.log('[StorageManager] Settings saved');
+    return settings;
+  }
+
   /**
    * Force clear all chat data - nuclear option for corruption recovery
    * This completely resets the chat storage while preserving API key
@@ -459,7 +1234,9 @@ class StorageManager {
   async clearAllChatData() {
     try {
       console.warn('[StorageManager] Clearing all chat data due to corruption');
-      await this.storage.local.remove(['encryptedChats', 'chatTitles', 'nextChatId', 'currentChatId']);
+      await this.storage.local.remove(['encryptedChats', 'chatTitles', 'nextChatId', 'currentChatId', 'encryptedResponseCache']);
+      await this.chatStore.clear();
+      this.writtenChats = new Map();
       console.log('[StorageManager] Chat data cleared successfully');
     } catch (error) {
       console.error('[StorageManager] Error clearing chat data:', error);
@@ -475,4 +1252,51 @@ class StorageManager {
   async getOpenAIApiKey() {
     return this.getApiKey();
   }
-}
\ No newline at end of file
+}
+
+// PBKDF2-SHA256 iterations for new vaults; stored with each vault so it can be raised later
+const VAULT_KDF_ITERATIONS = 600000;
+
+// Shortest passphrase accepted for the vault
+const MIN_VAULT_PASSPHRASE_LENGTH = 10;
+
+// Characters of the last message kept in a chat header for the chat list preview
+const STORED_PREVIEW_LENGTH = 100;
+
+// Default values for user preferences stored under the `settings` key
+const DEFAULT_SETTINGS = {
+  /** @type {boolean} Request SSE streaming so responses render as they are generated */
+  streamResponses: true,
+  /** @type {string} ID of the LLM provider used for requests */
+  activeProviderId: 'poe',
+  /** @type {number} Automatic retries after a rate limit, server error or network failure */
+  maxRetries: 3,
+  /** @type {number} Longest wait before a retry in seconds; longer Retry-After values fail instead */
+  maxRetryWaitSeconds: 60,
+  /** @type {number} Estimated token budget for the conversation history sent with each request */
+  contextTokenBudget: DEFAULT_CONTEXT_BUDGET,
+  /** @type {boolean} Answer identical requests from the response cache */
+  useResponseCache: true,
+  /** @type {number} How long cached responses stay valid, in hours */
+  responseCacheTtlHours: 24,
+  /** @type {number} Monthly token count that shows a warning when reached; 0 turns it off */
+  monthlySoftBudgetTokens: 0,
+  /** @type {number} Monthly token count that blocks sending when reached; 0 turns it off */
+  monthlyHardBudgetTokens: 0,
+  /** @type {number} Requests that may run at once across all chats; later ones wait in a queue */
+  maxConcurrentRequests: DEFAULT_MAX_CONCURRENT_REQUESTS,
+  /** @type {string} Lens used by chats that haven't picked one */
+  defaultLensId: NO_LENS_ID,
+  /** @type {Array<Object>} Lenses written by the user ({ id, name, prompt }) */
+  customLenses: [],
+  /** @type {boolean} Ask for a JSON verdict with every analysis and show it as a card */
+  structuredVerdicts: false,
+  /** @type {boolean} Suggest follow-up questions under the latest answer */
+  followUpSuggestions: true,
+  /** @type {Array<Object>} Prompt templates for text sent from the right-click menu ({ id, name, body }) */
+  promptTemplates: [],
+  /** @type {Array<Object>} Models and lenses last picked for comparing answers ({ enabled, model, lensId }) */
+  comparisonVariants: [],
+  /** @type {number} Minutes without activity after which the vault locks; 0 never locks */
+  vaultIdleMinutes: 15
+};
@@ -0,0 +1,220 @@
+/**
+ * Summary Controller
+ * Manages the conversation summary modal for long chats
+ *
+ * Features:
+ * - View the rolling summary that replaces turns left out of the context
+ * - Edit the summary by hand
+ * - Regenerate the summary from all left-out turns
+ * - Header button that appears once a chat has a summary or dropped turns
+ *
+ * @class SummaryController
+ */
+class SummaryController {
+  /**
+   * Initialize summary controller
+   * @param {EventBus} eventBus - Event bus for communication
+   * @param {ChatController} chatController - Provides the current chat
+   * @param {MessageController} messageController - Generates summaries
+   * @param {UIManager} uiManager - UI manager for modal operations
+   * @constructor
+   */
+  constructor(eventBus, chatController, messageController, uiManager) {
+    /** @type {EventBus} Event bus instance */
+    this.eventBus = eventBus;
+
+    /** @type {ChatController} Chat controller instance */
+    this.chatController = chatController;
+
+    /** @type {MessageController} Message controller instance */
+    this.messageController = messageController;
+
+    /** @type {UIManager} UI manager instance */
+    this.uiManager = uiManager;
+
+    /** @type {number|null} ID of the chat shown in the modal */
+    this.chatId = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event and DOM listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on(EventTypes.CHAT_SUMMARY_UPDATED, this.handleSummaryUpdated.bind(this));
+    this.eventBus.on(EventTypes.UI_UPDATE, this.handleUIUpdate.bind(this));
+    this.eventBus.on(EventTypes.MESSAGE_RECEIVED, this.handleMessageReceived.bind(this));
+
+    const openBtn = this.uiManager.getElement('chatSummaryBtn');
+    const closeBtn = this.uiManager.getElement('closeSummary');
+    const saveBtn = this.uiManager.getElement('saveSummary');
+    const regenerateBtn = this.uiManager.getElement('regenerateSummary');
+    const modal = this.uiManager.getElement('summaryModal');
+
+    if (!openBtn || !closeBtn || !saveBtn || !regenerateBtn || !modal) {
+      console.error('[SummaryController] Summary elements not found');
+      return;
+    }
+
+    openBtn.onclick = () => this.openSummary();
+    closeBtn.onclick = () => this.closeSummary();
+    modal.onclick = (e) => { if (e.target === modal) this.closeSummary(); };
+    saveBtn.onclick = () => this.saveSummary();
+    regenerateBtn.onclick = async () => {
+      await this.regenerateSummary();
+    };
+  }
+
+  /**
+   * Open the summary modal for the current chat
+   */
+  openSummary() {
+    const chat = this.chatController.getCurrentChat();
+    if (!chat) {
+      return;
+    }
+
+    this.chatId = chat.id;
+    this.renderSummary(chat);
+    this.uiManager.getElement('summaryModal').style.display = 'flex';
+  }
+
+  /**
+   * Close the summary modal
+   */
+  closeSummary() {
+    const status = this.uiManager.getElement('summaryStatus');
+    this.uiManager.getElement('summaryModal').style.display = 'none';
+    status.className = 'settings-status';
+    status.style.display = 'none';
+    this.chatId = null;
+  }
+
+  /**
+   * Fill the modal with a chat's summary
+   * @param {Chat} chat - Chat to show
+   */
+  renderSummary(chat) {
+    const summary = chat.getSummary();
+    const excludedCount = chat.metadata.lastContext?.excludedIds?.length || 0;
+
+    this.uiManager.getElement('summaryText').value = summary ? summary.content : '';
+    this.uiManager.getElement('regenerateSummary').disabled = excludedCount === 0;
+
+    let info;
+    if (summary) {
+      const updated = new Date(summary.updatedAt).toLocaleString();
+      info = `Covers ${summary.coveredCount} earlier message${summary.coveredCount === 1 ? '' : 's'} · ${summary.edited ? 'edited' : 'updated'} ${updated}`;
+    } else if (excludedCount > 0) {
+      info = `${excludedCount} earlier message${excludedCount === 1 ? ' was' : 's were'} left out of the last request.`;
+    } else {
+      info = 'Every message still fits in the context budget.';
+    }
+    this.uiManager.getElement('summaryInfo').textContent = info;
+  }
+
+  /**
+   * Save a hand-edited summary
+   */
+  saveSummary() {
+    const chat = this.chatController.getChat(this.chatId);
+    if (!chat) {
+      return;
+    }
+
+    const content = this.uiManager.getElement('summaryText').value.trim();
+    const existing = chat.getSummary();
+
+    if (!content) {
+      chat.setSummary(null);
+    } else {
+      const excludedIds = chat.metadata.lastContext?.excludedIds || [];
+      chat.setSummary({
+        content,
+        coveredUntilId: existing?.coveredUntilId || excludedIds[excludedIds.length - 1] || null,
+        coveredCount: existing?.coveredCount || excludedIds.length,
+        updatedAt: new Date().toISOString(),
+        edited: true
+      });
+    }
+
+    this.renderSummary(chat);
+    this.updateSummaryButton(chat);
+    this.showStatus(content ? 'Summary saved' : 'Summary removed', 'success');
+    console.log(`[SummaryController] Summary for chat ${chat.id} ${content ? 'edited' : 'removed'}`);
+  }
+
+  /**
+   * Write a new summary from all turns left out of the last request
+   */
+  async regenerateSummary() {
+    const chat = this.chatController.getChat(this.chatId);
+    const regenerateBtn = this.uiManager.getElement('regenerateSummary');
+    if (!chat) {
+      return;
+    }
+
+    try {
+      regenerateBtn.disabled = true;
+      this.showStatus('Summarizing...', 'loading');
+
+      const summary = await this.messageController.regenerateSummary(chat);
+      if (!summary) {
+        this.showStatus('Nothing has been left out of the context yet.', 'error');
+        return;
+      }
+
+      this.renderSummary(chat);
+      this.showStatus('Summary regenerated', 'success');
+    } catch (error) {
+      console.error('[SummaryController] Error regenerating summary:', error);
+      this.showStatus(error.message, 'error');
+    } finally {
+      regenerateBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Show or hide the header button for a chat
+   * @param {Chat|null} chat - Current chat
+   */
+  updateSummaryButton(chat) {
+    const button = this.uiManager.getElement('chatSummaryBtn');
+    const hasDroppedTurns = (chat?.metadata.lastContext?.excludedIds?.length || 0) > 0;
+    button.style.display = chat && (chat.getSummary() || hasDroppedTurns) ? 'inline-block' : 'none';
+  }
+
+  /**
+   * Show a status line in the modal
+   * @param {string} message - Status text
+   * @param {string} type - 'success', 'error' or 'loading'
+   */
+  showStatus(message, type) {
+    const status = this.uiManager.getElement('summaryStatus');
+    status.textContent = message;
+    status.className = `settings-status ${type}`;
+    status.style.display = 'block';
+  }
+
+  /**
+   * Event handlers
+   */
+  handleSummaryUpdated(data) {
+    if (data.chat === this.chatController.getCurrentChat()) {
+      this.updateSummaryButton(data.chat);
+    }
+  }
+
+  handleUIUpdate(data) {
+    if (data.type === 'updateChatHeader') {
+      this.updateSummaryButton(data.chat || null);
+    }
+  }
+
+  handleMessageReceived(data) {
+    if (data.chat === this.chatController.getCurrentChat()) {
+      this.updateSummaryButton(data.chat);
+    }
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Template Controller
+ * Lets the user write, import and export prompt templates
+ *
+ * Features:
+ * - Template modal to create, edit and delete templates
+ * - JSON import and export
+ * - Template count in the settings panel
+ * - TEMPLATES_CHANGED event so the quote picker stays current
+ *
+ * @class TemplateController
+ */
+class TemplateController {
+  /**
+   * Initialize template controller
+   * @param {EventBus} eventBus - Event bus for communication
+   * @param {TemplateManager} templateManager - Template definitions and persistence
+   * @param {UIManager} uiManager - UI manager for modal operations
+   * @constructor
+   */
+  constructor(eventBus, templateManager, uiManager) {
+    /** @type {EventBus} Event bus instance */
+    this.eventBus = eventBus;
+
+    /** @type {TemplateManager} Template manager instance */
+    this.templateManager = templateManager;
+
+    /** @type {UIManager} UI manager instance */
+    this.uiManager = uiManager;
+
+    /** @type {string|null} Template shown in the modal, or NEW_TEMPLATE_OPTION */
+    this.selectedTemplateId = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event and DOM listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on(EventTypes.SETTINGS_OPENED, this.handleSettingsOpened.bind(this));
+
+    const manageBtn = this.uiManager.getElement('manageTemplates');
+    const closeBtn = this.uiManager.getElement('closeTemplates');
+    const saveBtn = this.uiManager.getElement('saveTemplate');
+    const deleteBtn = this.uiManager.getElement('deleteTemplate');
+    const exportBtn = this.uiManager.getElement('exportTemplates');
+    const importBtn = this.uiManager.getElement('importTemplates');
+    const importFile = this.uiManager.getElement('importTemplatesFile');
+    const templateSelect = this.uiManager.getElement('templateListSelect');
+    const modal = this.uiManager.getElement('templateModal');
+
+    if (!manageBtn || !closeBtn || !saveBtn || !deleteBtn || !exportBtn || !importBtn || !importFile || !templateSelect || !modal) {
+      console.error('[TemplateController] Template elements not found');
+      return;
+    }
+
+    manageBtn.onclick = async () => {
+      await this.openTemplates();
+    };
+    closeBtn.onclick = () => this.closeTemplates();
+    modal.onclick = (e) => { if (e.target === modal) this.closeTemplates(); };
+    templateSelect.onchange = async () => {
+      await this.showTemplateForm(templateSelect.value);
+    };
+    saveBtn.onclick = async () => {
+      await this.saveTemplate();
+    };
+    deleteBtn.onclick = async () => {
+      await this.deleteSelectedTemplate();
+    };
+    exportBtn.onclick = async () => {
+      await this.exportTemplates();
+    };
+    importBtn.onclick = () => importFile.click();
+    importFile.onchange = async () => {
+      const file = importFile.files[0];
+      importFile.value = '';
+      if (file) {
+        await this.importTemplates(file);
+      }
+    };
+  }
+
+  /**
+   * Open the template modal
+   */
+  async openTemplates() {
+    this.uiManager.getElement('templateModal').style.display = 'flex';
+    await this.loadTemplates(null);
+  }
+
+  /**
+   * Close the template modal
+   */
+  closeTemplates() {
+    const status = this.uiManager.getElement('templateStatus');
+    this.uiManager.getElement('templateModal').style.display = 'none';
+    status.className = 'settings-status';
+    status.style.display = 'none';
+  }
+
+  /**
+   * Fill the template picker in the modal and show one template
+   * @param {string|null} selectedId - Template to show; the first one (or a new one) if null
+   */
+  async loadTemplates(selectedId) {
+    const templates = await this.templateManager.getTemplates();
+    const templateSelect = this.uiManager.getElement('templateListSelect');
+    const validId = templates.some(template => template.id === selectedId)
+      ? selectedId
+      : (templates[0]?.id || NEW_TEMPLATE_OPTION);
+
+    templateSelect.innerHTML = templates.map(template => `
+      <option value="${this.uiManager.sanitizeInput(template.id)}">${this.uiManager.sanitizeInput(template.name)}</option>
+    `).join('') + `<option value="${NEW_TEMPLATE_OPTION}">+ New template…</option>`;
+    templateSelect.value = validId;
+
+    await this.showTemplateForm(validId);
+  }
+
+  /**
+   * Show a template in the form
+   * @param {string} templateId - Template ID or NEW_TEMPLATE_OPTION
+   */
+  async showTemplateForm(templateId) {
+    const isNew = templateId === NEW_TEMPLATE_OPTION;
+    const template = isNew ? null : await this.templateManager.getTemplate(templateId);
+
+    this.selectedTemplateId = templateId;
+    this.uiManager.getElement('templateNameInput').value = template?.name || '';
+    this.uiManager.getElement('templateBodyInput').value = template?.body || '';
+    this.uiManager.getElement('deleteTemplate').style.display = isNew ? 'none' : 'inline-block';
+  }
+
+  /**
+   * Save the template shown in the form
+   */
+  async saveTemplate() {
+    const saveBtn = this.uiManager.getElement('saveTemplate');
+    const template = {
+      id: this.selectedTemplateId === NEW_TEMPLATE_OPTION ? undefined : this.selectedTemplateId,
+      name: this.uiManager.getElement('templateNameInput').value,
+      body: this.uiManager.getElement('templateBodyInput').value
+    };
+
+    const validation = this.templateManager.validateTemplate(template);
+    if (!validation.valid) {
+      this.showStatus(validation.errors.join(' '), 'error');
+      return;
+    }
+
+    try {
+      saveBtn.disabled = true;
+      const saved = await this.templateManager.saveTemplate(template);
+      await this.loadTemplates(saved.id);
+      await this.handleTemplatesChanged();
+      this.showStatus('Template saved', 'success');
+    } catch (error) {
+      console.error('[TemplateController] Error saving template:', error);
+      this.showStatus(error.message || 'Error saving template', 'error');
+    } finally {
+      saveBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Delete the template shown in the form
+   */
+  async deleteSelectedTemplate() {
+    const template = await this.templateManager.getTemplate(this.selectedTemplateId);
+    if (!template) {
+      return;
+    }
+
+    if (!confirm(`Delete template "${template.name}"?`)) {
+      return;
+    }
+
+    try {
+      await this.templateManager.deleteTemplate(template.id);
+      await this.loadTemplates(null);
+      await this.handleTemplatesChanged();
+      this.showStatus('Template deleted', 'success');
+    } catch (error) {
+      console.error('[TemplateController] Error deleting template:', error);
+      this.showStatus('Error deleting template', 'error');
+    }
+  }
+
+  /**
+   * Download all templates as a JSON file
+   */
+  async exportTemplates() {
+    try {
+      const json = await this.templateManager.exportTemplates();
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'debunkr-prompt-templates.json';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      this.showStatus('Templates exported', 'success');
+    } catch (error) {
+      console.error('[TemplateController] Error exporting templates:', error);
+      this.showStatus('Error exporting templates', 'error');
+    }
+  }
+
+  /**
+   * Import templates from a JSON file
+   * @param {File} file - File picked by the user
+   */
+  async importTemplates(file) {
+    try {
+      const { imported, skipped } = await this.templateManager.importTemplates(await file.text());
+      await this.loadTemplates(null);
+      await this.handleTemplatesChanged();
+      this.showStatus(
+        `Imported ${imported} template${imported === 1 ? '' : 's'}${skipped ? `, skipped ${skipped} without a name or text` : ''}`,
+        imported > 0 ? 'success' : 'error'
+      );
+    } catch (error) {
+      console.error('[TemplateController] Error importing templates:', error);
+      this.showStatus(error.message || 'Error importing templates', 'error');
+    }
+  }
+
+  /**
+   * Show the number of templates in the settings panel
+   */
+  async updateSettingsSummary() {
+    const summary = this.uiManager.getElement('templateSummary');
+    if (!summary) {
+      return;
+    }
+
+    try {
+      const templates = await this.templateManager.getTemplates();
+      summary.textContent = templates.length === 0
+        ? 'No templates yet'
+        : `${templates.length} template${templates.length === 1 ? '' : 's'}`;
+    } catch (error) {
+      console.error('[TemplateController] Error loading templates:', error);
+    }
+  }
+
+  /**
+   * Show a status line in the modal
+   * @param {string} message - Status text
+   * @param {string} type - 'success', 'error' or 'loading'
+   */
+  showStatus(message, type) {
+    const status = this.uiManager.getElement('templateStatus');
+    status.textContent = message;
+    status.className = `settings-status ${type}`;
+    status.style.display = 'block';
+  }
+
+  /**
+   * Event handlers
+   */
+  async handleSettingsOpened() {
+    await this.updateSettingsSummary();
+  }
+
+  async handleTemplatesChanged() {
+    await this.updateSettingsSummary();
+    this.eventBus.emit(EventTypes.TEMPLATES_CHANGED, {});
+  }
+}
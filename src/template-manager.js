@@ -0,0 +1,241 @@
+/**
+ * Prompt Template Manager
+ * Manages reusable prompts for text sent from the right-click menu
+ *
+ * Features:
+ * - User-defined templates saved in settings
+ * - Variables filled in from the selection and the page it came from
+ * - Import and export as JSON to share templates between browsers or colleagues
+ *
+ * @class TemplateManager
+ */
+class TemplateManager {
+  /**
+   * Initialize template manager
+   * @param {StorageManager} storageManager - Storage manager for persistence
+   * @constructor
+   */
+  constructor(storageManager) {
+    /** @type {StorageManager} Storage manager instance */
+    this.storageManager = storageManager;
+  }
+
+  /**
+   * Get all templates
+   * @returns {Promise<Array<Object>>} Templates with `id`, `name` and `body`
+   */
+  async getTemplates() {
+    const settings = await this.storageManager.getSettings();
+    return settings.promptTemplates || [];
+  }
+
+  /**
+   * Get a template by ID
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object|null>} Template, or null if it doesn't exist
+   */
+  async getTemplate(templateId) {
+    const templates = await this.getTemplates();
+    return templates.find(template => template.id === templateId) || null;
+  }
+
+  /**
+   * Create or update a template
+   * @param {Object} template - Template definition
+   * @param {string} [template.id] - Existing template ID; omitted for new templates
+   * @param {string} template.name - Display name, also shown in the right-click menu
+   * @param {string} template.body - Prompt text with {{variables}}
+   * @returns {Promise<Object>} Saved template
+   * @throws {Error} If the template is invalid
+   */
+  async saveTemplate(template) {
+    const validation = this.validateTemplate(template);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(' '));
+    }
+
+    const templates = [...await this.getTemplates()];
+    const saved = this.normalizeTemplate(template);
+
+    const index = templates.findIndex(existing => existing.id === saved.id);
+    if (index === -1) {
+      templates.push(saved);
+    } else {
+      templates[index] = saved;
+    }
+
+    await this.storageManager.saveSettings({ promptTemplates: templates });
+    console.log(`[TemplateManager] Saved template ${saved.id} (${saved.name})`);
+    return saved;
+  }
+
+  /**
+   * Delete a template
+   * @param {string} templateId - Template ID to delete
+   * @returns {Promise<boolean>} Whether a template was deleted
+   */
+  async deleteTemplate(templateId) {
+    const templates = await this.getTemplates();
+    const remaining = templates.filter(template => template.id !== templateId);
+    if (remaining.length === templates.length) {
+      return false;
+    }
+
+    await this.storageManager.saveSettings({ promptTemplates: remaining });
+    console.log(`[TemplateManager] Deleted template ${templateId}`);
+    return true;
+  }
+
+  /**
+   * Validate a template
+   * @param {Object} template - Template definition to validate
+   * @returns {Object} Validation result with `valid` and `errors`
+   */
+  validateTemplate(template) {
+    const result = {
+      valid: true,
+      errors: []
+    };
+
+    if (!template || typeof template.name !== 'string' || !template.name.trim()) {
+      result.errors.push('Template name is required.');
+    }
+
+    if (!template || typeof template.body !== 'string' || !template.body.trim()) {
+      result.errors.push('Template text is required.');
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Trim a template and give it an ID if it has none
+   * @param {Object} template - Valid template definition
+   * @returns {Object} Template with `id`, `name` and `body`
+   */
+  normalizeTemplate(template) {
+    return {
+      id: template.id || `template_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      name: template.name.trim(),
+      body: template.body.trim()
+    };
+  }
+
+  /**
+   * Fill in a template's variables
+   * Unknown variables are left as they are so typos stay visible.
+   * @param {Object} template - Template to render
+   * @param {Object} context - Where the text came from
+   * @param {string} context.selection - Selected text
+   * @param {string|null} [context.sourceUrl] - URL of the page
+   * @param {string|null} [context.pageTitle] - Title of the page
+   * @param {Date} [context.date] - Date to insert; today if omitted
+   * @returns {string} Prompt text
+   */
+  render(template, context) {
+    const variables = this.getVariables(context);
+    return template.body.replace(/\{\{\s*([a-z_]+)\s*\}\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match
+    );
+  }
+
+  /**
+   * Get the values of the template variables
+   * @param {Object} context - Selection, source URL, page title and date, as for render()
+   * @returns {Object<string, string>} Variable values by name
+   */
+  getVariables(context) {
+    const { selection = '', sourceUrl = null, pageTitle = null, date = new Date() } = context;
+
+    let domain = '';
+    try {
+      domain = sourceUrl ? new URL(sourceUrl).hostname.replace(/^www\./, '') : '';
+    } catch (error) {
+      console.warn('[TemplateManager] Could not read domain from source URL:', error);
+    }
+
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+
+    return {
+      selection,
+      source_url: sourceUrl || '',
+      domain,
+      page_title: pageTitle || '',
+      date: `${date.getFullYear()}-${month}-${day}`
+    };
+  }
+
+  /**
+   * Export all templates as JSON
+   * @returns {Promise<string>} JSON document with a format version and the templates
+   */
+  async exportTemplates() {
+    const templates = await this.getTemplates();
+    return JSON.stringify({
+      format: TEMPLATE_EXPORT_FORMAT,
+      exportedAt: new Date().toISOString(),
+      templates: templates.map(({ id, name, body }) => ({ id, name, body }))
+    }, null, 2);
+  }
+
+  /**
+   * Import templates exported by exportTemplates()
+   * Templates whose ID already exists replace the existing one; invalid entries are skipped.
+   * @param {string} json - Exported JSON document, or a plain array of templates
+   * @returns {Promise<Object>} Counts of `imported` and `skipped` templates
+   * @throws {Error} If the document can't be read
+   */
+  async importTemplates(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
+    }
+
+    const incoming = Array.isArray(data) ? data : data?.templates;
+    if (!Array.isArray(incoming)) {
+      throw new Error('The file contains no templates.');
+    }
+
+    const templates = [...await this.getTemplates()];
+    let imported = 0;
+    let skipped = 0;
+
+    for (const template of incoming) {
+      if (!this.validateTemplate(template).valid) {
+        skipped++;
+        continue;
+      }
+
+      const saved = this.normalizeTemplate({
+        // IDs end up in option values; anything unusual gets a fresh one
+        id: typeof template.id === 'string' && TEMPLATE_ID_PATTERN.test(template.id) ? template.id : undefined,
+        name: template.name,
+        body: template.body
+      });
+      const index = templates.findIndex(existing => existing.id === saved.id);
+      if (index === -1) {
+        templates.push(saved);
+      } else {
+        templates[index] = saved;
+      }
+      imported++;
+    }
+
+    await this.storageManager.saveSettings({ promptTemplates: templates });
+    console.log(`[TemplateManager] Imported ${imported} templates, skipped ${skipped}`);
+    return { imported, skipped };
+  }
+}
+
+// Format name written into exported template files
+const TEMPLATE_EXPORT_FORMAT = 'debunkr-prompt-templates-v1';
+
+// Template IDs kept on import
+const TEMPLATE_ID_PATTERN = /^[\w-]+$/;
+
+// Value of the template picker option that starts a new template
+const NEW_TEMPLATE_OPTION = '__new__';
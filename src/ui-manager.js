@@ -29,6 +29,24 @@ class UIManager {
     this.eventListeners = new Set();
     /** @type {WeakMap<Element, Function>} Track listeners per element */
     this.elementListeners = new WeakMap();
+
+    /** @type {number|null} Interval updating retry countdowns */
+    this.retryCountdownTimer = null;
+
+    /** @type {Set<number>} Chats with a running or queued request, marked in the sidebar */
+    this.busyChatIds = new Set();
+
+    /** @type {number|null} Timer hiding the undo bar */
+    this.undoTimer = null;
+
+    /** @type {number} How long a deleted message can be restored, in milliseconds */
+    this.undoTimeout = 8000;
+
+    /** @type {Array<Object>} Prompt templates offered above quoted text */
+    this.templates = [];
+
+    /** @type {boolean} Show suggested follow-up questions under the latest answer */
+    this.showFollowUps = true;
   }
 
   /**
@@ -46,14 +64,15 @@ class UIManager {
 
   /**
    * Sanitize user input to prevent XSS attacks
-   * Uses textContent assignment to escape HTML entities
+   * Uses textContent assignment to escape HTML entities; quotes are escaped as well,
+   * so the result is also safe inside quoted attribute values
    * @param {string} input - Raw user input to sanitize
    * @returns {string} HTML-escaped safe string
    */
   sanitizeInput(input) {
     const div = document.createElement('div');
     div.textContent = input;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 
   /**
@@ -109,6 +128,13 @@ class UIManager {
    */
   renderMessages(currentChat) {
     const messagesContainer = this.getElement('messagesContainer');
+
+    if (currentChat && !currentChat.isLoaded) {
+      messagesContainer.innerHTML = currentChat.loadError
+        ? `<div class="chat-load-status error">This chat could not be opened: ${this.sanitizeInput(currentChat.loadError)}</div>`
+        : '<div class="chat-load-status">Opening chat...</div>';
+      return;
+    }
     
     if (!currentChat || currentChat.messages.length === 0) {
       // Don't modify the container if it already has the welcome message
@@ -161,8 +187,16 @@ class UIManager {
       return;
     }
 
-    const messagesHtml = currentChat.messages.map(message => `
-      <div class="message ${message.type} ${message.isLoading ? 'loading' : ''} ${message.isError ? 'error' : ''}" data-message-id="${message.id}">
+    // Messages the context builder left out of the most recent request
+    const excludedIds = new Set(currentChat.metadata?.lastContext?.excludedIds || []);
+    const latestMessageId = currentChat.messages[currentChat.messages.length - 1].id;
+
+    const messagesHtml = currentChat.messages.map(message => message.isMarker() ? `
+      <div class="message marker" data-message-id="${message.id}">
+        <div class="message-marker">${this.sanitizeInput(message.content)}</div>
+      </div>
+    ` : `
+      <div class="${this.getMessageClasses(message, excludedIds.has(message.id))}" data-message-id="${message.id}">
         <div class="message-avatar">
           ${message.type === 'user' ? 'U' : 'dA'}
         </div>
@@ -177,35 +211,611 @@ class UIManager {
                 `).join('')}
               </div>
             ` : ''}
-            ${message.isLoading ? `<div class="loading-dots">${message.content}</div>` : 
-              (message.content === '[Image]' && message.images && message.images.length > 0) ? '' : this.formatMessage(message.content)}
+            ${this.renderMessageBody(message, message.id === latestMessageId)}
           </div>
-          ${!message.isLoading ? `
-            <div class="message-actions">
-              <button class="copy-message-btn" data-message-id="${message.id}" title="Copy message">
-                <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                  <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
-                  <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"></path>
-                </svg>
-                Copy
-              </button>
-            </div>
+          ${message.excludedFromContext ? `
+            <div class="user-excluded-note" title="Kept in the chat but never sent to the model; click Include to send it again">Excluded from context</div>
+          ` : excludedIds.has(message.id) ? `
+            <div class="context-excluded-note" title="Older messages are left out when the conversation exceeds the context budget set in Settings">Not sent with the last request</div>
           ` : ''}
+          ${this.renderMessageActions(message, message.id === latestMessageId)}
         </div>
       </div>
     `).join('');
 
-    messagesContainer.innerHTML = messagesHtml;
+    messagesContainer.innerHTML = this.renderParentChatNote(currentChat) + messagesHtml;
     
     // Add copy button event listeners
     this.setupCopyButtons(currentChat);
     
     // Add image click listeners
     this.setupImageViewers();
+
+    // Tick any retry countdowns
+    this.startRetryCountdown();
     
     this.scrollToBottom();
   }
 
+  /**
+   * Format the countdown shown while waiting for an automatic retry
+   * @param {number} retryAt - Timestamp of the next attempt
+   * @param {number} attempt - Number of the next attempt
+   * @param {number} maxAttempts - Total attempts allowed
+   * @returns {string} Countdown text
+   */
+  formatRetryCountdown(retryAt, attempt, maxAttempts) {
+    const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+    return seconds > 0
+      ? `Retrying in ${seconds}s (attempt ${attempt}/${maxAttempts})`
+      : `Retrying now (attempt ${attempt}/${maxAttempts})`;
+  }
+
+  /**
+   * Update retry countdowns once per second until none are left on screen
+   */
+  startRetryCountdown() {
+    if (this.retryCountdownTimer) {
+      return;
+    }
+
+    const tick = () => {
+      const countdowns = this.getElement('messagesContainer').querySelectorAll('.retry-countdown');
+      if (countdowns.length === 0) {
+        clearInterval(this.retryCountdownTimer);
+        this.retryCountdownTimer = null;
+        return;
+      }
+
+      countdowns.forEach(element => {
+        element.textContent = this.formatRetryCountdown(
+          Number(element.dataset.retryAt),
+          element.dataset.attempt,
+          element.dataset.maxAttempts
+        );
+      });
+    };
+
+    this.retryCountdownTimer = setInterval(tick, 1000);
+  }
+
+  /**
+   * Build the CSS class list for a message element
+   * @param {Object} message - Message to classify
+   * @param {boolean} [excludedFromContext=false] - Whether the last request left this message out
+   * @returns {string} Space-separated class names
+   */
+  getMessageClasses(message, excludedFromContext = false) {
+    const classes = ['message', message.type];
+    if (excludedFromContext) classes.push('context-excluded');
+    if (message.excludedFromContext) classes.push('user-excluded');
+    if (message.isLoading) classes.push('loading');
+    if (message.isError) classes.push('error');
+    if (message.metadata?.incomplete) classes.push('incomplete');
+    if (message.metadata?.cancelled) classes.push('cancelled');
+    if (message.metadata?.comparison) classes.push('comparison');
+    return classes.join(' ');
+  }
+
+  /**
+   * Render the body of a single message
+   * Streaming messages show the text received so far; interrupted or stopped
+   * responses get a notice below the text; a structured verdict is shown above it.
+   * Comparisons show all their answers, also while they are still arriving
+   * @param {Object} message - Message to render
+   * @param {boolean} [isLatest=false] - Whether this is the newest message in the chat
+   * @returns {string} HTML for the message body
+   */
+  renderMessageBody(message, isLatest = false) {
+    if (message.metadata?.comparison) {
+      return this.renderComparison(message);
+    }
+
+    if (message.isLoading) {
+      if (message.metadata?.isStreaming) {
+        return `<div class="streaming-text">${this.formatMessage(message.content)}</div>`;
+      }
+      if (message.metadata?.queuePosition) {
+        return `
+          <div class="loading-dots queue-position">Queued · position ${message.metadata.queuePosition}</div>
+          <div class="retry-reason">${this.sanitizeInput(message.content)}</div>
+        `;
+      }
+      if (message.metadata?.retryAt) {
+        const { retryAt, retryAttempt, retryMaxAttempts, retryReason } = message.metadata;
+        return `
+          <div class="loading-dots retry-countdown" data-retry-at="${retryAt}" data-attempt="${retryAttempt}" data-max-attempts="${retryMaxAttempts}">${this.formatRetryCountdown(retryAt, retryAttempt, retryMaxAttempts)}</div>
+          <div class="retry-reason">${this.sanitizeInput(retryReason || '')}</div>
+        `;
+      }
+      return `<div class="loading-dots">${message.content}</div>`;
+    }
+
+    if (message.content === '[Image]' && message.images && message.images.length > 0) {
+      return '';
+    }
+
+    let body = this.renderVerdictCard(message) + this.formatMessage(message.content);
+    if (message.metadata?.cancelled) {
+      body += `<div class="message-cancelled-note">⏹ Stopped before the analysis finished.</div>`;
+    } else if (message.metadata?.incomplete) {
+      body += `<div class="message-incomplete-note">⚠️ Incomplete response: ${this.sanitizeInput(message.metadata.incompleteReason || 'the stream ended early.')}</div>`;
+    }
+    if (message.metadata?.cached) {
+      const cachedAt = new Date(message.metadata.cachedAt).toLocaleString();
+      body += `
+        <div class="message-cached-note">
+          ♻️ Cached answer from ${this.sanitizeInput(cachedAt)}, not freshly generated.
+          ${isLatest ? `<button class="fresh-answer-btn" data-message-id="${message.id}">Get fresh answer</button>` : ''}
+        </div>
+      `;
+    }
+    if (message.metadata?.budgetWarning) {
+      const { used, soft } = message.metadata.budgetWarning;
+      body += `<div class="message-budget-note">📊 Monthly usage is past your warning budget (${used.toLocaleString()} of ${soft.toLocaleString()} tokens).</div>`;
+    }
+    return body + this.renderClaimChecklist(message) + (isLatest ? this.renderFollowUps(message) : '');
+  }
+
+  /**
+   * Render the suggested follow-up questions of an answer as clickable chips
+   * @param {Object} message - Message whose metadata may hold `followUps`
+   * @returns {string} HTML for the chips, or an empty string
+   */
+  renderFollowUps(message) {
+    const followUps = message.metadata?.followUps;
+    if (!this.showFollowUps || message.type !== 'assistant' || !followUps || followUps.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="follow-up-chips">
+        ${followUps.map((question, index) => `
+          <button class="follow-up-chip" data-message-id="${message.id}" data-index="${index}">${this.sanitizeInput(question)}</button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the claims a message was split into as a checklist
+   * Each claim links to the chat analysing it and shows the verdict rolled up from there.
+   * @param {Object} message - Message whose metadata may hold `claims`
+   * @returns {string} HTML for the checklist, or an empty string
+   */
+  renderClaimChecklist(message) {
+    const { claims, claimsLoading, claimsError } = message.metadata || {};
+    if (claimsLoading) {
+      return '<div class="claim-checklist"><div class="loading-dots">Finding the claims in this message...</div></div>';
+    }
+    if (!claims) {
+      return claimsError ? `<div class="claim-checklist claim-checklist-error">⚠️ ${this.sanitizeInput(claimsError)}</div>` : '';
+    }
+    if (claims.length === 0) {
+      return '<div class="claim-checklist"><div class="claim-checklist-header">No checkable claims found in this message.</div></div>';
+    }
+
+    const done = claims.filter(claim => claim.status && claim.status !== 'pending');
+    const counts = VERDICT_LABELS
+      .map(label => [label, done.filter(claim => claim.status === label).length])
+      .filter(([, count]) => count > 0)
+      .map(([label, count]) => `${count} ${label}`);
+
+    const items = claims.map(claim => {
+      const status = claim.status || 'open';
+      const statusLabel = VERDICT_LABELS.includes(status)
+        ? `<span class="verdict-label verdict-${status}">${status}</span>`
+        : `<span class="claim-status">${status === 'analysed' ? 'Analysed' : status === 'pending' ? 'Analysing…' : ''}</span>`;
+      return `
+        <li class="claim-item${done.includes(claim) ? ' claim-done' : ''}">
+          <span class="claim-check">${done.includes(claim) ? '☑' : '☐'}</span>
+          <span class="claim-text">${this.sanitizeInput(claim.text)}</span>
+          ${statusLabel}
+          ${claim.childChatId
+            ? `<button class="open-claim-chat-btn" data-chat-id="${claim.childChatId}" title="Open the chat analysing this claim">Open</button>`
+            : `<button class="analyse-claim-btn" data-message-id="${message.id}" data-claim-id="${this.sanitizeInput(claim.id)}" title="Analyse this claim in its own chat">Analyse</button>`}
+        </li>
+      `;
+    }).join('');
+
+    return `
+      <div class="claim-checklist">
+        <div class="claim-checklist-header">
+          Claims · ${done.length} of ${claims.length} analysed${counts.length > 0 ? ` · ${counts.join(', ')}` : ''}
+        </div>
+        <ul class="claim-items">${items}</ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the link from a claim chat back to the chat it was split from
+   * @param {Object} chat - Chat being rendered
+   * @returns {string} HTML for the note, or an empty string for other chats
+   */
+  renderParentChatNote(chat) {
+    const { parentChatId, parentTitle } = chat.metadata || {};
+    if (!parentChatId) {
+      return '';
+    }
+
+    return `
+      <div class="claim-parent-note">
+        One claim from
+        <button class="open-parent-chat-btn" data-chat-id="${parentChatId}" title="Back to the chat this claim was split from">${this.sanitizeInput(parentTitle || 'the parent chat')}</button>;
+        its verdict is shown there.
+      </div>
+    `;
+  }
+
+  /**
+   * Render answers from several models or lenses side by side
+   * Statements every finished answer makes are highlighted, as are verdicts that disagree.
+   * Each finished answer can be promoted to be the chat's reply.
+   * @param {Object} message - Message whose metadata holds `comparison`
+   * @returns {string} HTML for the comparison
+   */
+  renderComparison(message) {
+    const { variants, canonicalIndex, queuePosition } = message.metadata.comparison;
+    const answers = variants.map(variant => variant.status === 'done'
+      ? { content: variant.content, verdict: variant.verdict }
+      : null);
+    const result = this.answerComparer.compare(answers);
+    const finished = answers.filter(Boolean).length;
+
+    let summary;
+    if (queuePosition) {
+      summary = `Queued · position ${queuePosition}`;
+    } else if (message.isLoading) {
+      summary = `Comparing ${variants.length} answers · ${finished} received`;
+    } else if (finished < 2) {
+      summary = 'Fewer than two answers arrived, so there is nothing to compare.';
+    } else {
+      const parts = [`${result.sharedCount} statement${result.sharedCount === 1 ? '' : 's'} in every answer`];
+      if (result.verdictsAgree === true) {
+        parts.push('verdicts agree');
+      } else if (result.verdictsAgree === false) {
+        parts.push('<strong>verdicts differ</strong>');
+      }
+      summary = parts.join(' · ');
+    }
+
+    const columns = variants.map((variant, index) => {
+      const verdict = result.verdicts[index];
+      let body;
+      if (variant.status === 'loading') {
+        body = '<div class="loading-dots">Waiting for this answer...</div>';
+      } else if (variant.status !== 'done') {
+        body = `<div class="comparison-error">⚠️ ${this.sanitizeInput(variant.error || 'No answer.')}</div>`;
+      } else {
+        const text = result.segments[index].map(segment => {
+          const html = this.sanitizeInput(segment.text).replace(/\n/g, '<br>');
+          return segment.shared ? `<mark class="comparison-shared">${html}</mark>` : html;
+        }).join('');
+        body = this.renderVerdictCard(
+          { id: message.id, metadata: { verdict: variant.verdict, verdictErrors: variant.verdictErrors } },
+          { copyable: index === canonicalIndex, disputed: result.disputedClaims[index] }
+        ) + `<div class="comparison-text">${text}</div>`;
+      }
+
+      let footer = '';
+      if (index === canonicalIndex) {
+        footer = '<span class="comparison-canonical-badge">✓ In chat history</span>';
+      } else if (variant.status === 'done' && !message.isLoading) {
+        footer = `<button class="promote-answer-btn" data-message-id="${message.id}" data-index="${index}" title="Keep this answer as the reply that later messages build on">Use this answer</button>`;
+      }
+
+      return `
+        <div class="comparison-answer${index === canonicalIndex ? ' comparison-canonical' : ''}">
+          <div class="comparison-answer-header">
+            <span class="comparison-label">${this.sanitizeInput(variant.label)}</span>
+            ${verdict ? `<span class="verdict-label verdict-${verdict}${result.verdictsAgree === false ? ' verdict-disputed' : ''}">${verdict}</span>` : ''}
+          </div>
+          ${body}
+          ${footer ? `<div class="comparison-answer-footer">${footer}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="comparison">
+        <div class="comparison-header">${summary}</div>
+        ${canonicalIndex === null && !message.isLoading && finished > 0 ? `
+          <div class="comparison-hint">None of these answers is sent with later messages until you pick one.</div>
+        ` : ''}
+        <div class="comparison-grid comparison-columns-${variants.length}">${columns}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the structured verdict of an answer as a card
+   * @param {Object} message - Message whose metadata may hold `verdict` or `verdictErrors`
+   * @param {Object} [options] - Card options
+   * @param {boolean} [options.copyable=true] - Offer a button to copy the verdict
+   * @param {Set<number>} [options.disputed] - Indices of claims another answer judged differently
+   * @returns {string} HTML for the card, or an empty string
+   */
+  renderVerdictCard(message, options = {}) {
+    const { copyable = true, disputed = new Set() } = options;
+    const { verdict, verdictErrors } = message.metadata || {};
+    if (!verdict) {
+      return verdictErrors && verdictErrors.length > 0 ? `
+        <div class="verdict-card verdict-card-invalid">
+          ⚠️ No structured verdict: ${this.sanitizeInput(verdictErrors.join(' '))}
+        </div>
+      ` : '';
+    }
+
+    const claims = verdict.claims.map((claim, index) => `
+      <li class="verdict-claim${disputed.has(index) ? ' verdict-claim-disputed' : ''}"${disputed.has(index) ? ' title="Another answer judged this claim differently"' : ''}>
+        <span class="verdict-label verdict-${this.sanitizeInput(claim.verdict)}">${this.sanitizeInput(claim.verdict)}</span>
+        <span class="verdict-claim-text">${this.sanitizeInput(claim.claim)}</span>
+        <span class="verdict-confidence" title="Confidence">${Math.round(claim.confidence * 100)}%</span>
+        ${claim.explanation ? `<div class="verdict-explanation">${this.sanitizeInput(claim.explanation)}</div>` : ''}
+      </li>
+    `).join('');
+
+    const sources = verdict.sources.map(source => {
+      const title = this.sanitizeInput(source.title || source.url);
+      const href = this.getSafeLinkUrl(source.url);
+      return href
+        ? `<li><a href="${href}" target="_blank" rel="noopener noreferrer">${title}</a></li>`
+        : `<li>${title}</li>`;
+    }).join('');
+
+    return `
+      <div class="verdict-card">
+        <div class="verdict-card-header">
+          <span class="verdict-card-title">Verdict · ${verdict.claims.length} claim${verdict.claims.length === 1 ? '' : 's'}</span>
+          ${copyable ? `<button class="copy-verdict-btn" data-message-id="${message.id}" title="Copy the verdict as JSON">Copy JSON</button>` : ''}
+        </div>
+        ${claims ? `<ul class="verdict-claims">${claims}</ul>` : '<div class="verdict-empty">No checkable claims found.</div>'}
+        ${verdict.techniques.length > 0 ? `
+          <div class="verdict-techniques">
+            ${verdict.techniques.map(technique => `<span class="verdict-technique">${this.sanitizeInput(technique)}</span>`).join('')}
+          </div>
+        ` : ''}
+        ${sources ? `<div class="verdict-sources">Sources:<ul>${sources}</ul></div>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Get a URL that is safe to use as a link target
+   * The URL parser percent-encodes quotes and angle brackets, so the result can be placed in an attribute.
+   * @param {string} url - URL from model output
+   * @returns {string|null} Normalized http(s) URL, or null if it can't be linked
+   */
+  getSafeLinkUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Render the action buttons shown below a message
+   * Loading messages offer Stop; finished messages offer Copy, Exclude/Include and Delete;
+   * the latest error message also offers Retry
+   * @param {Object} message - Message to render actions for
+   * @param {boolean} [isLatest=false] - Whether this is the newest message in the chat
+   * @returns {string} HTML for the message actions
+   */
+  renderMessageActions(message, isLatest = false) {
+    if (message.isLoading) {
+      return `
+        <div class="message-actions">
+          <button class="stop-message-btn" data-message-id="${message.id}" title="Stop this analysis">
+            <svg width="10" height="10" viewBox="0 0 24 24" fill="currentColor" stroke="none">
+              <rect x="5" y="5" width="14" height="14" rx="2" ry="2"></rect>
+            </svg>
+            Stop
+          </button>
+        </div>
+      `;
+    }
+
+    const canRegenerate = message.type === 'assistant' && !message.isError && !message.metadata?.comparison;
+    const canEdit = message.type === 'user';
+    const canSplit = message.type === 'user' && !message.metadata?.claims && !message.metadata?.claimsLoading && message.content !== '[Image]';
+    const canExclude = !message.isError;
+    const canRetry = message.isError && isLatest;
+    return `
+      <div class="message-actions">
+        ${canRetry ? `
+          <button class="retry-message-btn" data-message-id="${message.id}" title="Send the same conversation again">
+            <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="23 4 23 10 17 10"></polyline>
+              <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+            </svg>
+            Retry
+          </button>
+        ` : ''}
+        ${canRegenerate ? this.renderVersionPager(message) : ''}
+        <button class="copy-message-btn" data-message-id="${message.id}" title="Copy message">
+          <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+            <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"></path>
+          </svg>
+          Copy
+        </button>
+        ${canEdit ? `
+          <button class="edit-message-btn" data-message-id="${message.id}" title="Edit this message and answer it on a new branch">
+            <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M12 20h9"></path>
+              <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+            </svg>
+            Edit
+          </button>
+        ` : ''}
+        ${canSplit ? `
+          <button class="split-claims-btn" data-message-id="${message.id}" title="List the separate claims in this message so each can be analysed on its own">
+            Split into claims
+          </button>
+        ` : ''}
+        ${canRegenerate ? `
+          <button class="regenerate-message-btn" data-message-id="${message.id}" title="Generate another version of this answer">
+            <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="23 4 23 10 17 10"></polyline>
+              <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+            </svg>
+            Regenerate
+          </button>
+        ` : ''}
+        ${canExclude ? `
+          <button class="context-toggle-btn" data-message-id="${message.id}" title="${message.excludedFromContext ? 'Send this message to the model again' : 'Keep this message but leave it out of requests'}">
+            ${message.excludedFromContext ? 'Include' : 'Exclude'}
+          </button>
+        ` : ''}
+        <button class="delete-message-btn" data-message-id="${message.id}" title="Delete message">
+          <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="3 6 5 6 21 6"></polyline>
+            <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+          </svg>
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the controls for paging between versions of a regenerated answer
+   * @param {Object} message - Message with versions
+   * @returns {string} Pager HTML, empty if the message has a single version
+   */
+  renderVersionPager(message) {
+    const count = message.getVersionCount();
+    if (count < 2) {
+      return '';
+    }
+
+    const index = message.versionIndex;
+    return `
+      <div class="version-pager">
+        <button class="version-btn" data-message-id="${message.id}" data-version-index="${index - 1}" title="Previous version" ${index === 0 ? 'disabled' : ''}>‹</button>
+        <span class="version-label">${index + 1}/${count}</span>
+        <button class="version-btn" data-message-id="${message.id}" data-version-index="${index + 1}" title="Next version" ${index === count - 1 ? 'disabled' : ''}>›</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Show the undo bar for a deleted message
+   * The bar hides itself after a few seconds; the Undo click is handled in ChatApplication.
+   * @param {string} text - What was deleted
+   * @param {Function} [onExpire] - Called when the bar hides without Undo being clicked
+   */
+  showUndoBar(text, onExpire = null) {
+    const undoBar = this.getElement('undoBar');
+    this.getElement('undoText').textContent = text;
+    undoBar.style.display = 'flex';
+
+    clearTimeout(this.undoTimer);
+    this.undoTimer = setTimeout(() => {
+      this.hideUndoBar();
+      if (onExpire) onExpire();
+    }, this.undoTimeout);
+  }
+
+  /**
+   * Hide the undo bar
+   */
+  hideUndoBar() {
+    clearTimeout(this.undoTimer);
+    this.undoTimer = null;
+    this.getElement('undoBar').style.display = 'none';
+  }
+
+  /**
+   * Replace a user message's content with an inline editor
+   * Saving is handled by the document click delegation in ChatApplication.
+   * @param {string} messageId - ID of the message to edit
+   * @param {string} content - Current message content
+   */
+  startMessageEdit(messageId, content) {
+    const messageElement = this.getElement('messagesContainer').querySelector(`.message[data-message-id="${messageId}"]`);
+    const contentElement = messageElement?.querySelector('.message-content');
+    if (!contentElement) {
+      return;
+    }
+
+    contentElement.innerHTML = `
+      <textarea class="message-edit-input" rows="4"></textarea>
+      <div class="message-edit-actions">
+        <button class="message-edit-save" data-message-id="${messageId}" title="Answer the edited message on a new branch; the original stays available">Save &amp; branch</button>
+        <button class="message-edit-cancel" data-message-id="${messageId}">Cancel</button>
+      </div>
+    `;
+    messageElement.querySelector('.message-actions')?.remove();
+
+    const textarea = contentElement.querySelector('.message-edit-input');
+    textarea.value = content;
+    textarea.focus();
+    textarea.setSelectionRange(content.length, content.length);
+  }
+
+  /**
+   * Get the text of an open inline editor
+   * @param {string} messageId - ID of the message being edited
+   * @returns {string|null} Edited text, or null if no editor is open
+   */
+  getMessageEditValue(messageId) {
+    const textarea = this.getElement('messagesContainer')
+      .querySelector(`.message[data-message-id="${messageId}"] .message-edit-input`);
+    return textarea ? textarea.value : null;
+  }
+
+  /**
+   * Fill the branch navigator in the chat header
+   * Hidden until the chat has been branched.
+   * @param {Object} chat - Chat with branches
+   */
+  updateBranchSelect(chat) {
+    const branchNav = this.getElement('branchNav');
+    const branchSelect = this.getElement('branchSelect');
+    const branches = chat.getBranches();
+
+    if (branches.length < 2) {
+      branchNav.style.display = 'none';
+      return;
+    }
+
+    branchSelect.innerHTML = '';
+    branches.forEach(branch => {
+      const option = document.createElement('option');
+      option.value = branch.id;
+      option.textContent = branch.parentBranchId === null
+        ? `Original (${branch.messageCount} messages)`
+        : `Branch ${branch.id} · edited message ${branch.forkIndex + 1} (${branch.messageCount} messages)`;
+      option.selected = branch.isActive;
+      branchSelect.appendChild(option);
+    });
+    branchNav.style.display = 'flex';
+  }
+
+  /**
+   * Update a streaming message in place without re-rendering the whole list
+   * Keeps the view pinned to the bottom only if the user hasn't scrolled up
+   * @param {string} messageId - ID of the streaming message
+   * @param {string} content - Full text received so far
+   */
+  updateStreamingMessage(messageId, content) {
+    const messagesContainer = this.getElement('messagesContainer');
+    const contentElement = messagesContainer.querySelector(`.message[data-message-id="${messageId}"] .message-content`);
+    if (!contentElement) {
+      return;
+    }
+
+    const wasAtBottom = messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight < 40;
+    contentElement.innerHTML = `<div class="streaming-text">${this.formatMessage(content)}</div>`;
+
+    if (wasAtBottom) {
+      this.scrollToBottom();
+    }
+  }
+
   /**
    * Set up event listeners for message copy buttons
    * Attaches click handlers to all copy buttons in the current message list
@@ -351,7 +961,7 @@ class UIManager {
     }
     
     const chatItemsHtml = sortedChats.map(chat => `
-      <div class="chat-item ${chat.id === currentChatId ? 'active' : ''}" data-chat-id="${chat.id}">
+      <div class="chat-item ${chat.id === currentChatId ? 'active' : ''} ${this.busyChatIds.has(chat.id) ? 'busy' : ''}" data-chat-id="${chat.id}">
         <div class="chat-content">
           <div class="chat-title" data-chat-id="${chat.id}">${chat.title}</div>
           <div class="chat-preview">${this.getLastMessagePreview(chat)}</div>
@@ -376,6 +986,23 @@ class UIManager {
     chatHistory.innerHTML = chatItemsHtml;
   }
 
+  /**
+   * Mark the chats that are still working in the sidebar
+   * @param {Array<number>} chatIds - Chats with a running or queued request
+   */
+  setBusyChats(chatIds) {
+    this.busyChatIds = new Set(chatIds);
+
+    const chatHistory = this.getElement('chatHistory');
+    if (!chatHistory) {
+      return;
+    }
+
+    chatHistory.querySelectorAll('.chat-item').forEach(item => {
+      item.classList.toggle('busy', this.busyChatIds.has(parseInt(item.dataset.chatId, 10)));
+    });
+  }
+
   /**
    * Generate preview text for chat history sidebar
    * Shows truncated version of last message or placeholder for empty chats
@@ -383,37 +1010,51 @@ class UIManager {
    * @returns {string} Preview text for display in sidebar
    */
   getLastMessagePreview(chat) {
-    if (chat.messages.length === 0) {
+    if (chat.getMessageCount() === 0) {
       return 'No messages yet';
     }
     
-    const lastMessage = chat.messages[chat.messages.length - 1];
-    const preview = lastMessage.content.length > 50 
-      ? lastMessage.content.substring(0, 50) + '...' 
-      : lastMessage.content;
+    // Chats not loaded yet show the last message stored with their header
+    const content = chat.isLoaded
+      ? chat.messages[chat.messages.length - 1].content
+      : chat.storedStats?.lastMessage || '';
+    const preview = content.length > 50 
+      ? content.substring(0, 50) + '...' 
+      : content;
     
     return preview;
   }
 
   /**
-   * Update chat header with source URL and editable title
-   * Shows header only for chats that originated from web content
+   * Update chat header with source URL, editable title, model and lens pickers and branch navigator
+   * Source URL and title are shown only for chats that originated from web content
    * Returns elements for event binding in main chat manager
    * @param {Object|null} currentChat - Current chat object
    * @returns {Object|null} Object with sourceLink and titleInput elements, or null
    */
   updateChatHeader(currentChat) {
     const chatHeader = this.getElement('chatHeader');
+    const chatSourceInfo = this.getElement('chatSourceInfo');
     const chatSourceTitle = this.getElement('chatSourceTitle');
     const chatTitleEditable = this.getElement('chatTitleEditable');
+
+    if (!currentChat) {
+      chatHeader.style.display = 'none';
+      return null;
+    }
+
+    this.getElement('chatModelInput').value = currentChat.getModel() || '';
+    this.selectLens(currentChat.getLensId());
+    this.updateBranchSelect(currentChat);
+    chatHeader.style.display = 'block';
     
-    if (currentChat && (currentChat.sourceUrl || currentChat.lastSourceUrl) && currentChat.title !== 'New Chat') {
+    if ((currentChat.sourceUrl || currentChat.lastSourceUrl) && currentChat.title !== 'New Chat') {
       const displayUrl = currentChat.lastSourceUrl || currentChat.sourceUrl;
       
       // Show header with clickable full URL and editable title
       chatSourceTitle.innerHTML = `<a href="#" class="source-link" data-url="${displayUrl}">${displayUrl}</a>`;
       chatTitleEditable.value = currentChat.title;
-      chatHeader.style.display = 'block';
+      chatSourceInfo.style.display = 'block';
       
       // Return the source link element for event binding
       return {
@@ -421,21 +1062,120 @@ class UIManager {
         titleInput: chatTitleEditable
       };
     } else {
-      // Hide header for regular chats
-      chatHeader.style.display = 'none';
+      // Only the model picker for regular chats
+      chatSourceInfo.style.display = 'none';
       return null;
     }
   }
 
+  /**
+   * Fill the model picker suggestions
+   * Any other model ID can still be typed in manually
+   * @param {Array<string>} models - Model IDs offered by the provider
+   * @param {string} defaultModel - Provider default, shown while no model is set
+   */
+  setModelOptions(models, defaultModel) {
+    this.getElement('chatModelInput').placeholder = defaultModel || 'Provider default';
+
+    const datalist = this.getElement('chatModelOptions');
+    datalist.innerHTML = '';
+    models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model;
+      datalist.appendChild(option);
+    });
+  }
+
+  /**
+   * Fill the lens picker
+   * The first option follows the default lens from Settings.
+   * @param {Array<Object>} lenses - Available lenses
+   * @param {Object} defaultLens - Lens used by chats that haven't picked one
+   * @param {string|null} selectedId - Lens of the current chat
+   */
+  setLensOptions(lenses, defaultLens, selectedId) {
+    const lensSelect = this.getElement('chatLensSelect');
+    lensSelect.innerHTML = '';
+
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = `Default (${defaultLens.name})`;
+    lensSelect.appendChild(defaultOption);
+
+    lenses.forEach(lens => {
+      const option = document.createElement('option');
+      option.value = lens.id;
+      option.textContent = lens.name;
+      lensSelect.appendChild(option);
+    });
+
+    this.selectLens(selectedId);
+  }
+
+  /**
+   * Show a chat's lens in the lens picker
+   * Lenses that no longer exist show as the default, which is what requests fall back to.
+   * @param {string|null} lensId - Lens ID, or null for the default lens
+   */
+  selectLens(lensId) {
+    const lensSelect = this.getElement('chatLensSelect');
+    const exists = Array.from(lensSelect.options).some(option => option.value === lensId);
+    lensSelect.value = lensId && exists ? lensId : '';
+  }
+
+  /**
+   * Store the prompt templates and refresh the picker of a quote being shown
+   * @param {Array<Object>} templates - Templates from TemplateManager
+   */
+  setTemplateOptions(templates) {
+    this.templates = templates;
+    if (this.currentQuote) {
+      this.renderQuoteTemplatePicker();
+    }
+  }
+
+  /**
+   * Get the template the current quote is formatted with
+   * @returns {Object|null} Template, or null for the plain quote format
+   */
+  getSelectedTemplate() {
+    const templateId = this.currentQuote?.templateId;
+    return templateId ? this.templates.find(template => template.id === templateId) || null : null;
+  }
+
+  /**
+   * Fill the template picker below the quote block
+   * The picker is hidden while there are no templates.
+   */
+  renderQuoteTemplatePicker() {
+    const container = this.getElement('inputQuoteContainer');
+    const picker = container.querySelector('.input-quote-template');
+    const templateSelect = container.querySelector('.quote-template-select');
+    if (!picker || !templateSelect) {
+      return;
+    }
+
+    picker.style.display = this.templates.length > 0 ? 'flex' : 'none';
+    templateSelect.innerHTML = '<option value="">No template (quote only)</option>' +
+      this.templates.map(template => `
+        <option value="${this.sanitizeInput(template.id)}">${this.sanitizeInput(template.name)}</option>
+      `).join('');
+
+    const selected = this.getSelectedTemplate();
+    templateSelect.value = selected ? selected.id : '';
+  }
+
   /**
    * Display quote block in input area
    * Shows quoted text with source URL and remove button
    * Updates input placeholder to guide user interaction
    * @param {string} text - Text content to quote
    * @param {string|null} sourceUrl - Source URL for attribution
+   * @param {string|null} [pageTitle] - Title of the source page, for templates
+   * @param {string|null} [templateId] - Prompt template to format the quote with
    */
-  showInputQuote(text, sourceUrl) {
-    this.currentQuote = { text, sourceUrl };
+  showInputQuote(text, sourceUrl, pageTitle = null, templateId = null) {
+    this.currentQuote = { text, sourceUrl, pageTitle, templateId };
     const container = this.getElement('inputQuoteContainer');
     
     // Sanitize both text and sourceUrl
@@ -448,9 +1188,20 @@ class UIManager {
         <button class="input-quote-remove" id="removeQuote">×</button>
         ${sanitizedSourceUrl ? `<div class="quote-source" style="margin-top: 6px;">From: ${sanitizedSourceUrl}</div>` : ''}
       </div>
+      <div class="input-quote-template">
+        <label>Template</label>
+        <select class="quote-template-select" title="Prompt template the quote is sent with"></select>
+      </div>
     `;
     
     container.style.display = 'block';
+    this.renderQuoteTemplatePicker();
+
+    container.querySelector('.quote-template-select').addEventListener('change', (e) => {
+      if (this.currentQuote) {
+        this.currentQuote.templateId = e.target.value || null;
+      }
+    });
     
     // Add remove functionality
     this.getElement('removeQuote').addEventListener('click', () => {
@@ -484,8 +1235,9 @@ class UIManager {
 
   /**
    * Format user message with quoted text for LLM processing
-   * Combines quoted text and user input into properly formatted message
-   * Source URLs are excluded from LLM messages (UI display only)
+   * Combines quoted text and user input into properly formatted message.
+   * With a prompt template, the quote is sent as the rendered template instead.
+   * Source URLs are only sent when a template uses {{source_url}} or {{domain}}.
    * @returns {string} Formatted message ready for LLM processing
    */
   getFormattedMessageWithQuote() {
@@ -496,8 +1248,18 @@ class UIManager {
       return userText;
     }
     
-    // Format the message with quoted text for LLM (source URL is only shown in UI, not sent to LLM)
-    let formattedMessage = `"${this.currentQuote.text}"`;
+    const template = this.getSelectedTemplate();
+    let formattedMessage;
+    if (template && this.templateManager) {
+      formattedMessage = this.templateManager.render(template, {
+        selection: this.currentQuote.text,
+        sourceUrl: this.currentQuote.sourceUrl,
+        pageTitle: this.currentQuote.pageTitle
+      });
+    } else {
+      // Format the message with quoted text for LLM (source URL is only shown in UI, not sent to LLM)
+      formattedMessage = `"${this.currentQuote.text}"`;
+    }
     
     if (userText) {
       formattedMessage += `\n\n${userText}`;
@@ -573,8 +1335,12 @@ class UIManager {
   updateSendButton() {
     const messageInput = this.getElement('messageInput');
     const sendButton = this.getElement('sendButton');
+    const compareButton = this.getElement('compareButton');
     // Enable if there's text input OR a quote block OR attached images
     sendButton.disabled = !messageInput.value.trim() && !this.currentQuote && this.attachedImages.length === 0;
+    if (compareButton) {
+      compareButton.disabled = sendButton.disabled;
+    }
   }
 
   /**
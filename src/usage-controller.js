@@ -0,0 +1,244 @@
+/**
+ * Usage Controller
+ * Shows recorded API usage and the monthly budgets
+ *
+ * Features:
+ * - Month-to-date token total in the settings panel
+ * - Usage modal with totals per day, per model and per chat
+ * - Progress against the soft and hard monthly budgets
+ * - Clearing the usage history
+ *
+ * @class UsageController
+ */
+class UsageController {
+  /**
+   * Initialize usage controller
+   * @param {EventBus} eventBus - Event bus for communication
+   * @param {UsageLedger} usageLedger - Recorded API usage
+   * @param {StorageManager} storageManager - Storage manager for budget settings
+   * @param {ChatController} chatController - Provides chat titles
+   * @param {UIManager} uiManager - UI manager for modal operations
+   * @constructor
+   */
+  constructor(eventBus, usageLedger, storageManager, chatController, uiManager) {
+    /** @type {EventBus} Event bus instance */
+    this.eventBus = eventBus;
+
+    /** @type {UsageLedger} Usage ledger instance */
+    this.usageLedger = usageLedger;
+
+    /** @type {StorageManager} Storage manager instance */
+    this.storageManager = storageManager;
+
+    /** @type {ChatController} Chat controller instance */
+    this.chatController = chatController;
+
+    /** @type {UIManager} UI manager instance */
+    this.uiManager = uiManager;
+
+    /** @type {number} Number of days listed in the daily breakdown */
+    this.dailyHistoryDays = 14;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event and DOM listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on(EventTypes.SETTINGS_OPENED, this.handleSettingsOpened.bind(this));
+
+    const openBtn = this.uiManager.getElement('viewUsage');
+    const closeBtn = this.uiManager.getElement('closeUsage');
+    const clearBtn = this.uiManager.getElement('clearUsage');
+    const modal = this.uiManager.getElement('usageModal');
+
+    if (!openBtn || !closeBtn || !clearBtn || !modal) {
+      console.error('[UsageController] Usage elements not found');
+      return;
+    }
+
+    openBtn.onclick = async () => {
+      await this.openUsage();
+    };
+    closeBtn.onclick = () => this.closeUsage();
+    modal.onclick = (e) => { if (e.target === modal) this.closeUsage(); };
+    clearBtn.onclick = async () => {
+      await this.clearUsage();
+    };
+  }
+
+  /**
+   * Open the usage modal
+   */
+  async openUsage() {
+    this.uiManager.getElement('usageModal').style.display = 'flex';
+    await this.renderUsage();
+  }
+
+  /**
+   * Close the usage modal
+   */
+  closeUsage() {
+    const status = this.uiManager.getElement('usageStatus');
+    this.uiManager.getElement('usageModal').style.display = 'none';
+    status.className = 'settings-status';
+    status.style.display = 'none';
+  }
+
+  /**
+   * Fill the modal with this month's totals and the recent daily history
+   */
+  async renderUsage() {
+    try {
+      const settings = await this.storageManager.getSettings();
+      const month = await this.usageLedger.getMonthToDate();
+      const since = new Date();
+      since.setHours(0, 0, 0, 0);
+      since.setDate(since.getDate() - (this.dailyHistoryDays - 1));
+      const recent = await this.usageLedger.getTotals({ since });
+
+      this.uiManager.getElement('usageSummary').textContent = this.formatMonthSummary(month.total, settings);
+
+      const dayRows = Object.keys(recent.byDay)
+        .sort()
+        .reverse()
+        .map(day => [day, recent.byDay[day]]);
+      const modelRows = Object.entries(month.byModel)
+        .sort((a, b) => b[1].totalTokens - a[1].totalTokens);
+      const chatRows = Object.entries(month.byChat)
+        .sort((a, b) => b[1].totalTokens - a[1].totalTokens)
+        .map(([chatKey, total]) => [this.getChatLabel(chatKey), total]);
+
+      this.uiManager.getElement('usageByDay').innerHTML = this.renderTable('Day', dayRows);
+      this.uiManager.getElement('usageByModel').innerHTML = this.renderTable('Model', modelRows);
+      this.uiManager.getElement('usageByChat').innerHTML = this.renderTable('Chat', chatRows);
+
+      const estimated = month.total.estimatedRequests;
+      this.uiManager.getElement('usageEstimatedNote').textContent = estimated > 0
+        ? `${estimated} request${estimated === 1 ? '' : 's'} this month came from a provider that doesn't report usage; their token counts are estimated.`
+        : '';
+    } catch (error) {
+      console.error('[UsageController] Error loading usage:', error);
+      this.showStatus('Error loading usage', 'error');
+    }
+  }
+
+  /**
+   * Describe this month's usage against the budgets
+   * @param {Object} total - Month-to-date total
+   * @param {Object} settings - User settings with the monthly budgets
+   * @returns {string} Summary text
+   */
+  formatMonthSummary(total, settings) {
+    let text = `This month: ${total.totalTokens.toLocaleString()} tokens in ${total.requests} request${total.requests === 1 ? '' : 's'}`;
+    if (settings.monthlySoftBudgetTokens) {
+      text += ` · warning at ${settings.monthlySoftBudgetTokens.toLocaleString()}`;
+    }
+    if (settings.monthlyHardBudgetTokens) {
+      text += ` · blocked at ${settings.monthlyHardBudgetTokens.toLocaleString()}`;
+    }
+    return text;
+  }
+
+  /**
+   * Render a totals table
+   * @param {string} label - Heading of the first column
+   * @param {Array<Array>} rows - [name, total] pairs
+   * @returns {string} Table HTML
+   */
+  renderTable(label, rows) {
+    if (rows.length === 0) {
+      return '<p class="usage-empty">No usage recorded.</p>';
+    }
+
+    const body = rows.map(([name, total]) => `
+      <tr>
+        <td>${this.uiManager.sanitizeInput(name)}</td>
+        <td>${total.requests}</td>
+        <td>${total.promptTokens.toLocaleString()}</td>
+        <td>${total.completionTokens.toLocaleString()}</td>
+        <td>${total.totalTokens.toLocaleString()}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <table class="usage-table">
+        <thead>
+          <tr><th>${label}</th><th>Requests</th><th>Prompt</th><th>Completion</th><th>Total</th></tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Get a readable name for a chat key from the ledger
+   * @param {string} chatKey - Chat ID as a string, or 'none'
+   * @returns {string} Chat title, or a note that the chat was deleted
+   */
+  getChatLabel(chatKey) {
+    if (chatKey === 'none') {
+      return 'No chat';
+    }
+
+    const chat = this.chatController.getChat(Number(chatKey));
+    return chat ? chat.title : `Deleted chat #${chatKey}`;
+  }
+
+  /**
+   * Remove all recorded usage after confirmation
+   */
+  async clearUsage() {
+    if (!confirm('Clear the usage history? Monthly budgets will count from zero again.')) {
+      return;
+    }
+
+    try {
+      await this.usageLedger.clear();
+      await this.renderUsage();
+      await this.updateSettingsSummary();
+      this.showStatus('Usage history cleared', 'success');
+    } catch (error) {
+      console.error('[UsageController] Error clearing usage:', error);
+      this.showStatus('Error clearing usage history', 'error');
+    }
+  }
+
+  /**
+   * Show the month-to-date total in the settings panel
+   */
+  async updateSettingsSummary() {
+    const summary = this.uiManager.getElement('usageMonthSummary');
+    if (!summary) {
+      return;
+    }
+
+    try {
+      const settings = await this.storageManager.getSettings();
+      const { total } = await this.usageLedger.getMonthToDate();
+      summary.textContent = this.formatMonthSummary(total, settings);
+    } catch (error) {
+      console.error('[UsageController] Error loading usage summary:', error);
+    }
+  }
+
+  /**
+   * Show a status line in the modal
+   * @param {string} message - Status text
+   * @param {string} type - 'success', 'error' or 'loading'
+   */
+  showStatus(message, type) {
+    const status = this.uiManager.getElement('usageStatus');
+    status.textContent = message;
+    status.className = `settings-status ${type}`;
+    status.style.display = 'block';
+  }
+
+  /**
+   * Event handlers
+   */
+  async handleSettingsOpened() {
+    await this.updateSettingsSummary();
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Usage Ledger
+ * Local record of every completed API call for usage and cost accounting
+ *
+ * Features:
+ * - One entry per call: prompt/completion tokens, model, provider, latency, chat and purpose
+ * - Falls back to estimated token counts when a provider doesn't report `usage`
+ * - Per-day, per-chat and per-model totals for any period
+ * - Soft (warn) and hard (block) monthly token budgets
+ *
+ * @class UsageLedger
+ */
+class UsageLedger {
+  /**
+   * Initialize usage ledger
+   * @param {StorageManager} storageManager - Storage manager for persistence
+   * @constructor
+   */
+  constructor(storageManager) {
+    /** @type {StorageManager} Storage manager instance */
+    this.storageManager = storageManager;
+
+    /** @type {Array<Object>|null} Ledger entries, oldest first, loaded on first use */
+    this.entries = null;
+
+    /** @type {Promise<void>|null} In-flight load from storage */
+    this.loadPromise = null;
+
+    /** @type {Promise<void>} Serializes writes to storage */
+    this.writeQueue = Promise.resolve();
+
+    /** @type {number} Maximum number of entries kept; the oldest are dropped first */
+    this.maxEntries = 5000;
+  }
+
+  /**
+   * Record a completed API call
+   * @param {Object} entry - Call details
+   * @param {number|null} entry.chatId - Chat the call was made for
+   * @param {string} entry.purpose - 'analysis', 'summary', 'claims' or 'suggestions'
+   * @param {string} entry.providerId - Provider ID
+   * @param {string} entry.model - Model ID
+   * @param {number} entry.promptTokens - Prompt tokens
+   * @param {number} entry.completionTokens - Completion tokens
+   * @param {number} entry.latencyMs - Time from request to complete response
+   * @param {boolean} entry.estimated - Whether token counts are estimates
+   * @returns {Promise<Object>} The stored entry
+   */
+  async record(entry) {
+    await this.load();
+
+    const stored = {
+      timestamp: new Date().toISOString(),
+      chatId: entry.chatId ?? null,
+      purpose: entry.purpose || 'analysis',
+      providerId: entry.providerId,
+      model: entry.model,
+      promptTokens: entry.promptTokens || 0,
+      completionTokens: entry.completionTokens || 0,
+      totalTokens: (entry.promptTokens || 0) + (entry.completionTokens || 0),
+      latencyMs: entry.latencyMs || 0,
+      estimated: Boolean(entry.estimated)
+    };
+
+    this.entries.push(stored);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    await this.persist();
+    return stored;
+  }
+
+  /**
+   * Sum entries per day, chat and model
+   * @param {Object} [range] - Period to total
+   * @param {Date} [range.since] - Start of the period (inclusive)
+   * @returns {Promise<Object>} Totals with `total`, `byDay`, `byChat` and `byModel`
+   */
+  async getTotals(range = {}) {
+    await this.load();
+
+    const since = range.since ? range.since.getTime() : 0;
+    const totals = {
+      total: this.createTotal(),
+      byDay: {},
+      byChat: {},
+      byModel: {}
+    };
+
+    for (const entry of this.entries) {
+      const time = new Date(entry.timestamp);
+      if (time.getTime() < since) {
+        continue;
+      }
+
+      const day = this.formatDay(time);
+      const chatKey = entry.chatId === null ? 'none' : String(entry.chatId);
+
+      totals.byDay[day] = totals.byDay[day] || this.createTotal();
+      totals.byChat[chatKey] = totals.byChat[chatKey] || this.createTotal();
+      totals.byModel[entry.model] = totals.byModel[entry.model] || this.createTotal();
+
+      this.addToTotal(totals.total, entry);
+      this.addToTotal(totals.byDay[day], entry);
+      this.addToTotal(totals.byChat[chatKey], entry);
+      this.addToTotal(totals.byModel[entry.model], entry);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Get totals for the current calendar month
+   * @returns {Promise<Object>} Totals as returned by getTotals()
+   */
+  async getMonthToDate() {
+    const now = new Date();
+    return this.getTotals({ since: new Date(now.getFullYear(), now.getMonth(), 1) });
+  }
+
+  /**
+   * Check this month's usage against the configured budgets
+   * A budget of 0 is turned off.
+   * @param {Object} settings - User settings with `monthlySoftBudgetTokens` and `monthlyHardBudgetTokens`
+   * @returns {Promise<Object>} Result with `status` ('ok', 'warn' or 'block'), `used`, `soft` and `hard`
+   */
+  async checkBudget(settings) {
+    const soft = settings.monthlySoftBudgetTokens || 0;
+    const hard = settings.monthlyHardBudgetTokens || 0;
+    if (!soft && !hard) {
+      return { status: 'ok', used: 0, soft, hard };
+    }
+
+    const { total } = await this.getMonthToDate();
+    const used = total.totalTokens;
+
+    let status = 'ok';
+    if (hard && used >= hard) {
+      status = 'block';
+    } else if (soft && used >= soft) {
+      status = 'warn';
+    }
+
+    return { status, used, soft, hard };
+  }
+
+  /**
+   * Remove all entries
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries = [];
+    await this.persist();
+    console.log('[UsageLedger] Ledger cleared');
+  }
+
+  /**
+   * Create an empty total
+   * @returns {Object} Zeroed counters
+   */
+  createTotal() {
+    return {
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      latencyMs: 0,
+      estimatedRequests: 0
+    };
+  }
+
+  /**
+   * Add an entry to a total
+   * @param {Object} total - Total to update
+   * @param {Object} entry - Ledger entry
+   */
+  addToTotal(total, entry) {
+    total.requests++;
+    total.promptTokens += entry.promptTokens;
+    total.completionTokens += entry.completionTokens;
+    total.totalTokens += entry.totalTokens;
+    total.latencyMs += entry.latencyMs;
+    if (entry.estimated) {
+      total.estimatedRequests++;
+    }
+  }
+
+  /**
+   * Format a date as a local YYYY-MM-DD day key
+   * @param {Date} date - Date to format
+   * @returns {string} Day key
+   */
+  formatDay(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Load entries from storage once
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.entries) {
+      return;
+    }
+
+    if (!this.loadPromise) {
+      this.loadPromise = this.storageManager.getUsageLedger()
+        .then(entries => {
+          this.entries = Array.isArray(entries) ? entries : [];
+        })
+        .catch(error => {
+          console.warn('[UsageLedger] Could not load ledger, starting empty:', error);
+          this.entries = [];
+        });
+    }
+
+    await this.loadPromise;
+  }
+
+  /**
+   * Write entries to storage, one write at a time
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const snapshot = [...this.entries];
+    this.writeQueue = this.writeQueue
+      .then(() => this.storageManager.saveUsageLedger(snapshot))
+      .catch(error => console.warn('[UsageLedger] Could not save ledger:', error));
+    return this.writeQueue;
+  }
+}
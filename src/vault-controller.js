@@ -0,0 +1,384 @@
+/**
+ * Vault Controller
+ * Protects the encryption key with a passphrase and locks the dashboard when idle
+ *
+ * Features:
+ * - Unlock screen shown before any chat is decrypted
+ * - Vault modal to turn the vault on or off, change the passphrase and lock right away
+ * - Automatic lock after the idle time set in settings
+ *
+ * Locking reloads the page, so no decrypted chat stays in memory.
+ *
+ * @class VaultController
+ */
+class VaultController {
+  /**
+   * Initialize vault controller
+   * @param {EventBus} eventBus - Event bus for communication
+   * @param {StorageManager} storageManager - Holds the encryption key and the vault
+   * @param {ChatController} chatController - Saves chats before locking and after the vault changes
+   * @param {MessageController} messageController - Running requests postpone an idle lock
+   * @param {UIManager} uiManager - UI manager for modal operations
+   * @constructor
+   */
+  constructor(eventBus, storageManager, chatController, messageController, uiManager) {
+    /** @type {EventBus} Event bus instance */
+    this.eventBus = eventBus;
+
+    /** @type {StorageManager} Storage manager instance */
+    this.storageManager = storageManager;
+
+    /** @type {ChatController} Chat controller instance */
+    this.chatController = chatController;
+
+    /** @type {MessageController} Message controller instance */
+    this.messageController = messageController;
+
+    /** @type {UIManager} UI manager instance */
+    this.uiManager = uiManager;
+
+    /** @type {Function|null} Resolves the promise returned by waitForUnlock */
+    this.resolveUnlock = null;
+
+    /** @type {number} Time of the last keyboard, mouse or touch input */
+    this.lastActivity = Date.now();
+
+    /** @type {number|null} Interval checking for the idle timeout */
+    this.idleTimer = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event and DOM listeners
+   */
+  setupEventListeners() {
+    this.eventBus.on(EventTypes.SETTINGS_OPENED, this.handleSettingsOpened.bind(this));
+    this.eventBus.on(EventTypes.SETTINGS_SAVED, this.handleSettingsSaved.bind(this));
+
+    const unlockBtn = this.uiManager.getElement('unlockVault');
+    const unlockInput = this.uiManager.getElement('vaultUnlockInput');
+    const manageBtn = this.uiManager.getElement('manageVault');
+    const closeBtn = this.uiManager.getElement('closeVault');
+    const enableBtn = this.uiManager.getElement('enableVault');
+    const changeBtn = this.uiManager.getElement('changeVaultPassphrase');
+    const disableBtn = this.uiManager.getElement('disableVault');
+    const lockBtn = this.uiManager.getElement('lockVaultNow');
+    const modal = this.uiManager.getElement('vaultModal');
+
+    if (!unlockBtn || !unlockInput || !manageBtn || !closeBtn || !enableBtn || !changeBtn || !disableBtn || !lockBtn || !modal) {
+      console.error('[VaultController] Vault elements not found');
+      return;
+    }
+
+    unlockBtn.onclick = async () => {
+      await this.submitUnlock();
+    };
+    unlockInput.addEventListener('keydown', async (e) => {
+      if (e.key === 'Enter') {
+        await this.submitUnlock();
+      }
+    });
+    manageBtn.onclick = async () => {
+      await this.openVault();
+    };
+    closeBtn.onclick = () => this.closeVault();
+    modal.onclick = (e) => { if (e.target === modal) this.closeVault(); };
+    enableBtn.onclick = async () => {
+      await this.enableVault();
+    };
+    changeBtn.onclick = async () => {
+      await this.changePassphrase();
+    };
+    disableBtn.onclick = async () => {
+      await this.disableVault();
+    };
+    lockBtn.onclick = async () => {
+      if (!(await this.lock())) {
+        this.showStatus(this.messageController.isRequestPending()
+          ? 'Wait for the running analyses to finish before locking.'
+          : 'Chats could not be saved, so the vault stays unlocked.', 'error');
+      }
+    };
+
+    ['mousedown', 'mousemove', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+      document.addEventListener(type, () => {
+        this.lastActivity = Date.now();
+      }, { passive: true });
+    });
+  }
+
+  /**
+   * Show the unlock screen if the vault is locked and wait for the right passphrase
+   * @returns {Promise<void>} Resolves once chats can be decrypted
+   */
+  async waitForUnlock() {
+    if (await this.storageManager.isVaultLocked()) {
+      console.log('[VaultController] Vault is locked, asking for the passphrase');
+      this.uiManager.getElement('vaultUnlock').style.display = 'flex';
+      this.uiManager.getElement('vaultUnlockInput').focus();
+      await new Promise(resolve => {
+        this.resolveUnlock = resolve;
+      });
+    }
+    await this.startIdleTimer();
+  }
+
+  /**
+   * Try the passphrase typed on the unlock screen
+   */
+  async submitUnlock() {
+    const input = this.uiManager.getElement('vaultUnlockInput');
+    const unlockBtn = this.uiManager.getElement('unlockVault');
+    if (!input.value || unlockBtn.disabled) {
+      return;
+    }
+
+    unlockBtn.disabled = true;
+    this.showUnlockStatus('Unlocking...', 'loading');
+    try {
+      await this.storageManager.unlockVault(input.value);
+      input.value = '';
+      this.uiManager.getElement('vaultUnlock').style.display = 'none';
+      if (this.resolveUnlock) {
+        this.resolveUnlock();
+        this.resolveUnlock = null;
+      }
+    } catch (error) {
+      console.warn('[VaultController] Unlock failed:', error.message);
+      this.showUnlockStatus(error.wrongPassphrase ? 'Wrong passphrase' : 'Could not unlock the vault', 'error');
+      input.select();
+    } finally {
+      unlockBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Check for the idle timeout while the vault is on
+   * Restarted when settings are saved, so a new idle time applies right away.
+   */
+  async startIdleTimer() {
+    if (this.idleTimer) {
+      clearInterval(this.idleTimer);
+      this.idleTimer = null;
+    }
+
+    const settings = await this.storageManager.getSettings();
+    const idleMs = settings.vaultIdleMinutes * 60 * 1000;
+    if (!(await this.storageManager.isVaultEnabled()) || !(idleMs > 0)) {
+      return;
+    }
+
+    this.lastActivity = Date.now();
+    this.idleTimer = setInterval(async () => {
+      if (Date.now() - this.lastActivity >= idleMs) {
+        console.log('[VaultController] Idle timeout reached');
+        await this.lock();
+      }
+    }, VAULT_IDLE_CHECK_MS);
+  }
+
+  /**
+   * Save all chats, forget the key and reload to the unlock screen
+   * Running requests postpone the lock, since their answers could not be saved afterwards.
+   * A failed save does too, so unsaved changes aren't thrown away by the reload.
+   * @returns {Promise<boolean>} Whether the vault was locked
+   */
+  async lock() {
+    // Suggestions aren't worth postponing the lock for
+    this.messageController.cancelFollowUps();
+    if (this.messageController.isRequestPending()) {
+      console.log('[VaultController] Requests are running, not locking yet');
+      return false;
+    }
+
+    if (!(await this.chatController.forceSave())) {
+      console.warn('[VaultController] Save failed, not locking');
+      return false;
+    }
+    this.storageManager.lockVault();
+    window.location.reload();
+    return true;
+  }
+
+  /**
+   * Open the vault modal
+   */
+  async openVault() {
+    this.uiManager.getElement('vaultModal').style.display = 'flex';
+    await this.renderVaultModal();
+  }
+
+  /**
+   * Close the vault modal and clear its passphrase fields
+   */
+  closeVault() {
+    const status = this.uiManager.getElement('vaultStatus');
+    this.uiManager.getElement('vaultModal').style.display = 'none';
+    this.clearPassphraseFields();
+    status.className = 'settings-status';
+    status.style.display = 'none';
+  }
+
+  /**
+   * Show the fields and buttons that fit whether the vault is on
+   */
+  async renderVaultModal() {
+    const enabled = await this.storageManager.isVaultEnabled();
+    this.uiManager.getElement('vaultCurrentGroup').style.display = enabled ? 'block' : 'none';
+    this.uiManager.getElement('enableVault').style.display = enabled ? 'none' : 'inline-block';
+    this.uiManager.getElement('changeVaultPassphrase').style.display = enabled ? 'inline-block' : 'none';
+    this.uiManager.getElement('lockVaultNow').style.display = enabled ? 'inline-block' : 'none';
+    this.uiManager.getElement('disableVault').style.display = enabled ? 'inline-block' : 'none';
+  }
+
+  /**
+   * Turn on the vault with the new passphrase
+   */
+  async enableVault() {
+    const passphrase = this.uiManager.getElement('vaultNewPassphrase').value;
+    const validation = this.storageManager.validateVaultPassphrase(
+      passphrase,
+      this.uiManager.getElement('vaultConfirmPassphrase').value
+    );
+    if (!validation.valid) {
+      this.showStatus(validation.errors.join(' '), 'error');
+      return;
+    }
+
+    await this.runVaultChange('Turning on the vault...', 'Vault turned on. The dashboard now asks for the passphrase when it opens.', async () => {
+      await this.storageManager.enableVault(passphrase);
+    });
+  }
+
+  /**
+   * Re-wrap the key with the new passphrase
+   */
+  async changePassphrase() {
+    const passphrase = this.uiManager.getElement('vaultNewPassphrase').value;
+    const validation = this.storageManager.validateVaultPassphrase(
+      passphrase,
+      this.uiManager.getElement('vaultConfirmPassphrase').value
+    );
+    if (!validation.valid) {
+      this.showStatus(validation.errors.join(' '), 'error');
+      return;
+    }
+
+    await this.runVaultChange('Changing the passphrase...', 'Passphrase changed', async () => {
+      await this.storageManager.changeVaultPassphrase(
+        this.uiManager.getElement('vaultCurrentPassphrase').value,
+        passphrase
+      );
+    });
+  }
+
+  /**
+   * Turn off the vault after checking the current passphrase
+   */
+  async disableVault() {
+    const confirmed = confirm('Turn off the vault? The encryption key will be stored without a passphrase again.');
+    if (!confirmed) {
+      return;
+    }
+
+    await this.runVaultChange('Turning off the vault...', 'Vault turned off', async () => {
+      await this.storageManager.disableVault(this.uiManager.getElement('vaultCurrentPassphrase').value);
+    });
+  }
+
+  /**
+   * Apply a vault change, then rewrite the chat list for the context menu and restart the idle timer
+   * @param {string} progress - Status while the passphrase is processed
+   * @param {string} success - Status when done
+   * @param {Function} change - Async function making the change
+   */
+  async runVaultChange(progress, success, change) {
+    this.showStatus(progress, 'loading');
+    try {
+      await change();
+      this.clearPassphraseFields();
+      await this.chatController.forceSave();
+      await this.startIdleTimer();
+      await this.renderVaultModal();
+      await this.updateSettingsSummary();
+      this.showStatus(success, 'success');
+    } catch (error) {
+      console.error('[VaultController] Vault change failed:', error);
+      this.showStatus(error.wrongPassphrase ? 'The current passphrase is wrong' : `Error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Empty all passphrase fields of the modal
+   */
+  clearPassphraseFields() {
+    ['vaultCurrentPassphrase', 'vaultNewPassphrase', 'vaultConfirmPassphrase'].forEach(id => {
+      this.uiManager.getElement(id).value = '';
+    });
+  }
+
+  /**
+   * Show whether the vault is on in the settings panel
+   */
+  async updateSettingsSummary() {
+    const summary = this.uiManager.getElement('vaultSummary');
+    if (!summary) {
+      return;
+    }
+
+    try {
+      summary.textContent = (await this.storageManager.isVaultEnabled()) ? 'Vault is on' : 'Vault is off';
+    } catch (error) {
+      console.error('[VaultController] Error reading vault state:', error);
+    }
+  }
+
+  /**
+   * Show a status line in the vault modal
+   * @param {string} message - Status text
+   * @param {string} type - 'success', 'error' or 'loading'
+   */
+  showStatus(message, type) {
+    const status = this.uiManager.getElement('vaultStatus');
+    status.textContent = message;
+    status.className = `settings-status ${type}`;
+    status.style.display = 'block';
+  }
+
+  /**
+   * Show a status line on the unlock screen
+   * @param {string} message - Status text
+   * @param {string} type - 'error' or 'loading'
+   */
+  showUnlockStatus(message, type) {
+    const status = this.uiManager.getElement('vaultUnlockStatus');
+    status.textContent = message;
+    status.className = `settings-status ${type}`;
+    status.style.display = 'block';
+  }
+
+  /**
+   * Event handlers
+   */
+  async handleSettingsOpened() {
+    await this.updateSettingsSummary();
+  }
+
+  async handleSettingsSaved() {
+    await this.startIdleTimer();
+  }
+
+  /**
+   * Clean up vault controller
+   */
+  cleanup() {
+    if (this.idleTimer) {
+      clearInterval(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+}
+
+// How often the idle timeout is checked
+const VAULT_IDLE_CHECK_MS = 30 * 1000;
@@ -0,0 +1,170 @@
+/**
+ * Verdict Extractor
+ * Asks the model for a machine-readable verdict alongside its analysis and reads it back
+ *
+ * Features:
+ * - System prompt instructions for a fenced `verdict` JSON block at the end of the reply
+ * - Schema validation: claims with a verdict and confidence, techniques, cited sources
+ * - Separates the prose from the JSON so only the analysis text is shown and sent as context
+ *
+ * @class VerdictExtractor
+ */
+class VerdictExtractor {
+  /**
+   * Add the verdict instructions to a request's system message
+   * @param {Object|null} systemMessage - Lens system message, if any
+   * @returns {Object} System message asking for a verdict block
+   */
+  addInstructions(systemMessage) {
+    return {
+      type: 'system',
+      content: systemMessage && systemMessage.content
+        ? `${systemMessage.content}\n\n${VERDICT_INSTRUCTIONS}`
+        : VERDICT_INSTRUCTIONS
+    };
+  }
+
+  /**
+   * Split a reply into its prose and its verdict
+   * @param {string} content - Full reply text
+   * @returns {Object} `prose` without the verdict block, the validated `verdict` (or null)
+   *   and `errors` explaining why no verdict could be read
+   */
+  extract(content) {
+    const start = content.lastIndexOf(VERDICT_FENCE);
+    if (start === -1) {
+      return { prose: content.trim(), verdict: null, errors: ['The reply contained no verdict block.'] };
+    }
+
+    const rest = content.slice(start + VERDICT_FENCE.length);
+    const end = rest.indexOf('```');
+    const prose = (content.slice(0, start) + (end === -1 ? '' : rest.slice(end + 3))).trim();
+    if (end === -1) {
+      return { prose, verdict: null, errors: ['The verdict block was cut off.'] };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(rest.slice(0, end).trim());
+    } catch (error) {
+      console.warn('[VerdictExtractor] Verdict block is not valid JSON:', error);
+      return { prose, verdict: null, errors: ['The verdict block is not valid JSON.'] };
+    }
+
+    const validation = this.validate(data);
+    if (!validation.valid) {
+      console.warn('[VerdictExtractor] Verdict does not match the schema:', validation.errors);
+      return { prose, verdict: null, errors: validation.errors };
+    }
+
+    return { prose, verdict: this.normalize(data), errors: [] };
+  }
+
+  /**
+   * Get the prose of a reply that is still streaming
+   * Everything from the start of the verdict block on is hidden.
+   * @param {string} content - Text received so far
+   * @returns {string} Text to show
+   */
+  getProse(content) {
+    const start = content.lastIndexOf(VERDICT_FENCE);
+    return start === -1 ? content : content.slice(0, start).trimEnd();
+  }
+
+  /**
+   * Validate a verdict against the schema
+   * @param {*} data - Parsed verdict JSON
+   * @returns {Object} Validation result with `valid` and `errors`
+   */
+  validate(data) {
+    const result = {
+      valid: true,
+      errors: []
+    };
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      result.errors.push('The verdict must be a JSON object.');
+      result.valid = false;
+      return result;
+    }
+
+    if (!Array.isArray(data.claims)) {
+      result.errors.push('"claims" must be an array.');
+    } else {
+      data.claims.forEach((claim, index) => {
+        const label = `Claim ${index + 1}`;
+        if (!claim || typeof claim !== 'object') {
+          result.errors.push(`${label} must be an object.`);
+          return;
+        }
+        if (typeof claim.claim !== 'string' || !claim.claim.trim()) {
+          result.errors.push(`${label} needs the claim text.`);
+        }
+        if (!VERDICT_LABELS.includes(claim.verdict)) {
+          result.errors.push(`${label} has an unknown verdict "${claim.verdict}".`);
+        }
+        if (typeof claim.confidence !== 'number' || claim.confidence < 0 || claim.confidence > 1) {
+          result.errors.push(`${label} needs a confidence between 0 and 1.`);
+        }
+        if (claim.explanation !== undefined && typeof claim.explanation !== 'string') {
+          result.errors.push(`${label} has an explanation that is not text.`);
+        }
+      });
+    }
+
+    if (data.techniques !== undefined && (!Array.isArray(data.techniques) || data.techniques.some(technique => typeof technique !== 'string'))) {
+      result.errors.push('"techniques" must be an array of strings.');
+    }
+
+    if (data.sources !== undefined) {
+      const sourcesValid = Array.isArray(data.sources) && data.sources.every(source =>
+        source && typeof source === 'object'
+          && (typeof source.title === 'string' || typeof source.url === 'string')
+          && (source.title === undefined || typeof source.title === 'string')
+          && (source.url === undefined || typeof source.url === 'string')
+      );
+      if (!sourcesValid) {
+        result.errors.push('"sources" must be an array of objects with a title or url.');
+      }
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Keep only the schema's fields of a valid verdict
+   * @param {Object} data - Validated verdict
+   * @returns {Object} Verdict with `claims`, `techniques` and `sources`
+   */
+  normalize(data) {
+    return {
+      claims: data.claims.map(claim => ({
+        claim: claim.claim.trim(),
+        verdict: claim.verdict,
+        confidence: claim.confidence,
+        explanation: (claim.explanation || '').trim()
+      })),
+      techniques: (data.techniques || []).map(technique => technique.trim()).filter(Boolean),
+      sources: (data.sources || []).map(source => ({
+        title: (source.title || '').trim(),
+        url: (source.url || '').trim()
+      }))
+    };
+  }
+}
+
+// Opening fence of the verdict block
+const VERDICT_FENCE = '```verdict';
+
+// Verdicts a claim can get
+const VERDICT_LABELS = ['supported', 'misleading', 'false', 'unverifiable'];
+
+// Added to the system prompt when structured verdicts are on
+const VERDICT_INSTRUCTIONS = `After your analysis, end your reply with a machine-readable summary: a fenced code block tagged "verdict" that contains one JSON object and nothing after it, in this form:
+
+${VERDICT_FENCE}
+{"claims": [{"claim": "the claim as stated", "verdict": "supported", "confidence": 0.8, "explanation": "one sentence"}], "techniques": ["loaded language"], "sources": [{"title": "source name", "url": "https://..."}]}
+\`\`\`
+
+Each claim's "verdict" is one of ${VERDICT_LABELS.map(label => `"${label}"`).join(', ')}; "confidence" is a number from 0 to 1. Use "unverifiable" when the evidence available to you is not enough. List only sources you actually relied on; use empty arrays when there are none.`;